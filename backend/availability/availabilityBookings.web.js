@@ -0,0 +1,450 @@
+import wixData from 'wix-data';
+import { logSystemState } from 'backend/shared/systemStateManager.web.js';
+import { applyCapacityStatus } from './availabilityCore.web.js';
+import { reserveSeats, releaseSeats } from './availabilityReservations.web.js';
+import { loadTourDateRows, migrateAvailabilityRecord, toAvailabilityEntry, commitWithVersionCheck, fetchAllPages, PAGE_SIZE } from './availabilityDates.web.js';
+import { CHANGE_SOURCES, resolveChangeContext, buildDateChange, recordDateChanges } from './availabilityHistory.web.js';
+import { getJSTToday, isValidDateKey } from 'public/jstDate.js';
+
+/**
+ * Bookings and booking count reconciliation
+ * Every reservation is a row in the Bookings collection, and the bookedParticipants counters
+ * of AvailabilityDates rows and their time slots can be recomputed from the bookings holding seats
+ * Pending bookings are seats held for a limited time (e.g., waitlist offers), they count like confirmed ones
+ *
+ * Booking fields:
+ *   tourName       Tour database ID
+ *   tourId         Business ID (e.g., OM001)
+ *   date           Date as YYYY-MM-DD
+ *   startTime      Time slot start time as HH:MM, null for the whole day
+ *   partySize      Number of participants
+ *   state          One of BOOKING_STATES
+ *   reference      Optional external reference (e.g., order number)
+ *   holdExpiresAt  For pending bookings, time the held seats are given back
+ *   confirmedAt    Time the booking was confirmed
+ *   cancelledAt    Time the booking was cancelled
+ */
+
+export const BOOKINGS_COLLECTION = 'Bookings';
+
+export const BOOKING_STATES = {
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    CANCELLED: 'cancelled'
+};
+
+// States whose party size is included in bookedParticipants
+const SEAT_HOLDING_STATES = [BOOKING_STATES.CONFIRMED, BOOKING_STATES.PENDING];
+
+/**
+ * Reserve seats and record the booking
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} partySize - Number of participants
+ * @param {string|null} startTime - Time slot start time in HH:MM format (optional)
+ * @param {string|null} reference - External reference of the booking (optional)
+ * @param {Object|null} changeContext - Source, user and reason recorded in the change history (optional)
+ * @returns {Promise<Object>} Reservation result with the booking ID, or the rejection
+ */
+export async function createBooking(tourId, date, partySize, startTime = null, reference = null, changeContext = null) {
+    return insertBookingWithSeats(tourId, date, partySize, startTime, reference, changeContext, {
+        state: BOOKING_STATES.CONFIRMED,
+        confirmedAt: new Date()
+    });
+}
+
+/**
+ * Reserve seats for a limited time and record them as a pending booking
+ * The hold is confirmed with confirmHeldBooking or given back with cancelBooking
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} partySize - Number of participants
+ * @param {Date} holdExpiresAt - Time the held seats are given back
+ * @param {string|null} startTime - Time slot start time in HH:MM format, null holds seats of the whole day
+ * @param {string|null} reference - External reference of the booking (optional)
+ * @param {Object|null} changeContext - Source, user and reason recorded in the change history (optional)
+ * @returns {Promise<Object>} Reservation result with the booking ID, or the rejection
+ */
+export async function createHeldBooking(tourId, date, partySize, holdExpiresAt, startTime = null, reference = null, changeContext = null) {
+    return insertBookingWithSeats(tourId, date, partySize, startTime, reference, changeContext, {
+        state: BOOKING_STATES.PENDING,
+        holdExpiresAt: holdExpiresAt
+    });
+}
+
+/**
+ * Confirm a pending booking, its seats are already reserved
+ * @param {string} bookingId - ID of the Bookings row
+ * @returns {Promise<Object>} Confirmed booking
+ */
+export async function confirmHeldBooking(bookingId) {
+    const booking = await wixData.get(BOOKINGS_COLLECTION, bookingId);
+    if (!booking) {
+        throw new Error(`Booking ${bookingId} not found`);
+    }
+    if (booking.state !== BOOKING_STATES.PENDING) {
+        throw new Error(`Booking ${bookingId} is ${booking.state}, only pending bookings can be confirmed`);
+    }
+
+    return wixData.update(BOOKINGS_COLLECTION, {
+        ...booking,
+        state: BOOKING_STATES.CONFIRMED,
+        confirmedAt: new Date()
+    });
+}
+
+/**
+ * Cancel a confirmed or pending booking and release its seats
+ * The booking is cancelled even if the seats cannot be released, the next reconciliation corrects the counter
+ * @param {string} bookingId - ID of the Bookings row
+ * @param {Object|null} changeContext - Source, user and reason recorded in the change history (optional)
+ * @returns {Promise<Object>} Cancellation result
+ */
+export async function cancelBooking(bookingId, changeContext = null) {
+    const booking = await wixData.get(BOOKINGS_COLLECTION, bookingId);
+    if (!booking) {
+        throw new Error(`Booking ${bookingId} not found`);
+    }
+    if (!SEAT_HOLDING_STATES.includes(booking.state)) {
+        return {
+            status: 'REJECTED',
+            bookingId: bookingId,
+            reason: `Booking is ${booking.state}, only confirmed and pending bookings can be cancelled`
+        };
+    }
+
+    const release = await releaseSeats(booking.tourName, booking.date, booking.partySize, booking.startTime || null, changeContext);
+
+    await wixData.update(BOOKINGS_COLLECTION, {
+        ...booking,
+        state: BOOKING_STATES.CANCELLED,
+        cancelledAt: new Date()
+    });
+
+    return {
+        status: 'SUCCESS',
+        bookingId: bookingId,
+        tourId: booking.tourName,
+        date: booking.date,
+        seatsReleased: release.status === 'SUCCESS',
+        releaseReason: release.reason || null
+    };
+}
+
+/**
+ * Cancel the pending bookings whose hold has expired and release their seats
+ * Also catches holds whose waitlist offer was never recorded
+ * @param {Object|null} changeContext - Source, user and reason recorded in the change history (optional)
+ * @returns {Promise<Array>} Cancellation results
+ */
+export async function expireHeldBookings(changeContext = null) {
+    const bookings = await fetchAllPages(wixData.query(BOOKINGS_COLLECTION)
+        .eq('state', BOOKING_STATES.PENDING)
+        .lt('holdExpiresAt', new Date())
+        .ascending('holdExpiresAt')
+        .limit(PAGE_SIZE));
+
+    const cancellations = [];
+    for (const booking of bookings) {
+        cancellations.push(await cancelBooking(booking._id, changeContext));
+    }
+    return cancellations;
+}
+
+/**
+ * Get the bookings holding seats on a date
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Array>} Confirmed and pending bookings
+ */
+export async function getDateBookings(tourId, date) {
+    return fetchAllPages(wixData.query(BOOKINGS_COLLECTION)
+        .eq('tourName', tourId)
+        .eq('date', date)
+        .hasSome('state', SEAT_HOLDING_STATES)
+        .limit(PAGE_SIZE));
+}
+
+/**
+ * Describe a booking affected by a closed or cancelled date for the staff follow-up
+ * @param {Object} booking - Bookings item
+ * @param {Object} row - AvailabilityDates row of the booking date
+ * @param {string} tourLabel - Tour title shown to staff
+ * @returns {Object} Booking ID, tour, date, start time, party size, state and reference
+ */
+export function toAffectedBooking(booking, row, tourLabel) {
+    return {
+        bookingId: booking._id,
+        tourId: booking.tourId || row.tourId,
+        tourLabel: tourLabel,
+        date: booking.date,
+        startTime: booking.startTime || null,
+        partySize: booking.partySize,
+        state: booking.state,
+        reference: booking.reference || ''
+    };
+}
+
+/**
+ * Recompute bookedParticipants of every date from today on from the bookings holding seats
+ * Runs as a scheduled job in report mode, mismatches are only written back when repair is set
+ * @param {boolean} repair - If true, stored counts are replaced with the counts of the bookings
+ * @param {string|null} tourId - Limit to a single tour database ID (optional)
+ * @param {Object|null} changeContext - User and reason recorded in the change history of repairs (optional)
+ * @returns {Promise<Object>} Checked dates, mismatches and repair results
+ */
+export async function reconcileBookedParticipants(repair = false, tourId = null, changeContext = null) {
+    const logBuffer = [];
+    const startTime = new Date();
+    const context = { ...resolveChangeContext(changeContext, CHANGE_SOURCES.RECONCILIATION), source: CHANGE_SOURCES.RECONCILIATION };
+    const today = getJSTToday();
+    const mismatches = [];
+    const failedTours = [];
+    let checkedTours = 0;
+    let checkedDates = 0;
+
+    try {
+        let query = wixData.query('Availability');
+        if (tourId) {
+            query = query.eq('tourName', tourId);
+        }
+        const records = await fetchAllPages(query.limit(PAGE_SIZE));
+        logBuffer.push(`Reconciling booked participants of ${records.length} tours from ${today}${repair ? ' with repair' : ' (report only)'}`);
+
+        for (const record of records) {
+            const label = record.tourId || record.tourName;
+            try {
+                const tourResult = await reconcileTour(record, today, repair, context);
+                checkedTours++;
+                checkedDates += tourResult.checkedDates;
+                mismatches.push(...tourResult.mismatches);
+
+                tourResult.mismatches.forEach(mismatch => {
+                    const slotLabel = mismatch.startTime ? ` ${mismatch.startTime}` : '';
+                    const outcome = mismatch.repaired ? 'repaired' : (mismatch.note || 'not repaired');
+                    logBuffer.push(`  WARNING: ${label} ${mismatch.date}${slotLabel}: stored ${mismatch.storedCount}, bookings ${mismatch.bookingCount} - ${outcome}`);
+                });
+            } catch (error) {
+                failedTours.push(label);
+                logBuffer.push(`  - ERROR: ${label}: ${error.message}`);
+            }
+        }
+
+        const repairedCount = mismatches.filter(mismatch => mismatch.repaired).length;
+        const openCount = mismatches.length - repairedCount;
+        logBuffer.push(`Checked ${checkedDates} dates of ${checkedTours} tours: ${mismatches.length} mismatches, ${repairedCount} repaired, ${failedTours.length} tours failed`);
+
+        await logSystemState({
+            stateType: 'Booking Reconciliation',
+            stateCategory: 'AVAILABILITY_OPERATIONS',
+            executionStatus: openCount === 0 && failedTours.length === 0 ? 'Execution Completed' : 'Executed with errors',
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: logBuffer.join('\n'),
+            errorDetails: failedTours.length > 0 ? `Failed tours: ${failedTours.join(', ')}` : '',
+            affectedTourCount: new Set(mismatches.map(mismatch => mismatch.tourId)).size,
+            affectedTourNames: [...new Set(mismatches.map(mismatch => mismatch.tourId))]
+        });
+
+        return {
+            status: failedTours.length === 0 ? 'SUCCESS' : 'PARTIAL_FAILURE',
+            repair: repair,
+            checkedTours: checkedTours,
+            checkedDates: checkedDates,
+            mismatches: mismatches,
+            repairedCount: repairedCount,
+            failedTours: failedTours
+        };
+    } catch (error) {
+        logBuffer.push(`ERROR: Booking reconciliation failed: ${error.message}`);
+
+        await logSystemState({
+            stateType: 'Booking Reconciliation',
+            stateCategory: 'AVAILABILITY_OPERATIONS',
+            executionStatus: 'Executed with errors',
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: logBuffer.join('\n'),
+            errorDetails: error.message,
+            affectedTourCount: 0,
+            affectedTourNames: []
+        });
+
+        throw error;
+    }
+}
+
+/**
+ * Reserve seats and insert the booking row
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} partySize - Number of participants
+ * @param {string|null} startTime - Time slot start time in HH:MM format
+ * @param {string|null} reference - External reference of the booking
+ * @param {Object|null} changeContext - Source, user and reason recorded in the change history
+ * @param {Object} stateFields - State and state timestamps of the new booking
+ * @returns {Promise<Object>} Reservation result with the booking ID, or the rejection
+ */
+async function insertBookingWithSeats(tourId, date, partySize, startTime, reference, changeContext, stateFields) {
+    const tourData = await wixData.get('Tours', tourId);
+    if (!tourData) {
+        throw new Error(`Tour with ID ${tourId} not found`);
+    }
+
+    const reservation = await reserveSeats(tourId, date, partySize, startTime, changeContext);
+    if (reservation.status !== 'SUCCESS') {
+        return reservation;
+    }
+
+    try {
+        const booking = await wixData.insert(BOOKINGS_COLLECTION, {
+            tourName: tourId,
+            tourId: tourData.tourId,
+            date: date,
+            startTime: startTime || null,
+            partySize: partySize,
+            reference: reference || '',
+            ...stateFields
+        });
+
+        return {
+            ...reservation,
+            bookingId: booking._id
+        };
+    } catch (error) {
+        // Give the seats back so the counter does not include a booking that was never saved
+        await releaseSeats(tourId, date, partySize, startTime, changeContext);
+        throw error;
+    }
+}
+
+/**
+ * Compare the stored counts of one tour with its bookings holding seats
+ * @param {Object} availabilityRecord - Availability record of the tour
+ * @param {string} fromDate - First date to check as YYYY-MM-DD
+ * @param {boolean} repair - If true, mismatching dates are written back
+ * @param {Object} context - Resolved change context for repairs
+ * @returns {Promise<Object>} Checked date count and mismatches
+ */
+async function reconcileTour(availabilityRecord, fromDate, repair, context) {
+    const tourId = availabilityRecord.tourName;
+    const label = availabilityRecord.tourId || tourId;
+    await migrateAvailabilityRecord(availabilityRecord);
+
+    const tourData = await wixData.get('Tours', tourId);
+    if (!tourData) {
+        throw new Error(`Tour with ID ${tourId} not found`);
+    }
+
+    const rows = await loadTourDateRows(tourId, fromDate);
+    const bookings = await fetchAllPages(wixData.query(BOOKINGS_COLLECTION)
+        .eq('tourName', tourId)
+        .hasSome('state', SEAT_HOLDING_STATES)
+        .ge('date', fromDate)
+        .limit(PAGE_SIZE));
+
+    const bookingsByDate = {};
+    bookings.forEach(booking => {
+        (bookingsByDate[booking.date] = bookingsByDate[booking.date] || []).push(booking);
+    });
+
+    const mismatches = [];
+    const rowDates = new Set();
+
+    for (const row of rows) {
+        rowDates.add(row.date);
+        const dateBookings = bookingsByDate[row.date] || [];
+        const entry = toAvailabilityEntry(row);
+        const timeSlots = Array.isArray(entry.timeSlots) ? entry.timeSlots : [];
+        const rowMismatches = [];
+
+        const bookingCount = sumPartySizes(dateBookings);
+        if ((entry.bookedParticipants || 0) !== bookingCount) {
+            rowMismatches.push(buildMismatch(label, row.date, null, entry.bookedParticipants || 0, bookingCount));
+        }
+
+        const correctedSlots = timeSlots.map(slot => {
+            const slotCount = sumPartySizes(dateBookings.filter(booking => booking.startTime === slot.startTime));
+            if ((slot.bookedParticipants || 0) !== slotCount) {
+                rowMismatches.push(buildMismatch(label, row.date, slot.startTime, slot.bookedParticipants || 0, slotCount));
+            }
+            return { ...slot, bookedParticipants: slotCount };
+        });
+
+        const slotTimes = new Set(timeSlots.map(slot => slot.startTime));
+        const unknownSlots = new Set(dateBookings
+            .filter(booking => booking.startTime && !slotTimes.has(booking.startTime))
+            .map(booking => booking.startTime));
+        unknownSlots.forEach(slotTime => {
+            const mismatch = buildMismatch(label, row.date, slotTime, null, sumPartySizes(dateBookings.filter(booking => booking.startTime === slotTime)));
+            mismatch.note = `No time slot starting at ${slotTime}`;
+            mismatches.push(mismatch);
+        });
+
+        if (rowMismatches.length > 0 && repair) {
+            const correctedEntry = { ...entry, bookedParticipants: bookingCount };
+            if (timeSlots.length > 0) {
+                correctedEntry.timeSlots = correctedSlots;
+            }
+
+            const committedRow = await commitWithVersionCheck(row, applyCapacityStatus(correctedEntry, tourData));
+            if (committedRow) {
+                await recordDateChanges([buildDateChange(row, committedRow, context)]);
+                rowMismatches.forEach(mismatch => {
+                    mismatch.repaired = true;
+                });
+            } else {
+                rowMismatches.forEach(mismatch => {
+                    mismatch.note = 'Date changed during reconciliation, run again';
+                });
+            }
+        }
+
+        mismatches.push(...rowMismatches);
+    }
+
+    // Bookings on dates that have no availability cannot be matched to a counter
+    Object.keys(bookingsByDate)
+        .filter(date => !rowDates.has(date) && isValidDateKey(date))
+        .sort()
+        .forEach(date => {
+            const mismatch = buildMismatch(label, date, null, null, sumPartySizes(bookingsByDate[date]));
+            mismatch.note = 'No availability for this date';
+            mismatches.push(mismatch);
+        });
+
+    return {
+        checkedDates: rows.length,
+        mismatches: mismatches
+    };
+}
+
+/**
+ * Build a mismatch report item
+ * @param {string} tourLabel - Business ID of the tour
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string|null} startTime - Time slot start time, null for the whole day
+ * @param {number|null} storedCount - Stored bookedParticipants, null if nothing is stored
+ * @param {number} bookingCount - Participants of the bookings holding seats
+ * @returns {Object} Mismatch
+ */
+function buildMismatch(tourLabel, date, startTime, storedCount, bookingCount) {
+    return {
+        tourId: tourLabel,
+        date: date,
+        startTime: startTime,
+        storedCount: storedCount,
+        bookingCount: bookingCount,
+        repaired: false,
+        note: null
+    };
+}
+
+/**
+ * Add up the party sizes of bookings
+ * @param {Array} bookings - Bookings rows
+ * @returns {number} Number of participants
+ */
+function sumPartySizes(bookings) {
+    return bookings.reduce((total, booking) => total + (Number(booking.partySize) || 0), 0);
+}
@@ -0,0 +1,327 @@
+import wixData from 'wix-data';
+import { isDateInClosedPeriods, validateClosedPeriods } from './availabilityCore.web.js';
+import { loadTourDates } from './availabilityDates.web.js';
+import { getJSTToday, getMonthStart, addDays } from 'public/jstDate.js';
+import { GO_NO_GO_DECISIONS } from 'public/goNoGoDecisions.js';
+
+/**
+ * iCalendar (RFC 5545) feed of tour operating dates
+ * Built from the Availability record of a tour and its date rows, from the start of the current month
+ * to the end of the availability horizon, for guides and partners to subscribe to
+ *
+ * Events:
+ *   Operating date   One event per time slot, or one all-day event for dates without slots
+ *   Sold out         Same events with a "SOLD OUT" summary prefix and the "Sold out" category
+ *   Closed           One all-day event per run of dates closed by a closed period, an emergency closure,
+ *                    a calendar import or a low demand cancellation, with the "Closed" category
+ * Dates that do not operate by the tour rules (no run day, holiday rules) get no event
+ * Event UIDs are stable per tour, date and slot, and SEQUENCE follows the row version,
+ * so subscribed calendars update events in place
+ */
+
+// Tours run in Japan, times in the feed are local JST times
+const CALENDAR_TIMEZONE = 'Asia/Tokyo';
+
+const PRODUCT_ID = '-//Tour Availability//Availability Calendar//EN';
+
+// Domain part of event UIDs
+const UID_DOMAIN = 'availability.tours';
+
+// How often subscribed calendars should reload the feed
+const REFRESH_INTERVAL = 'PT1H';
+
+// Longest content line in octets before it is folded (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+const CATEGORIES = {
+    SOLD_OUT: 'Sold out',
+    CLOSED: 'Closed'
+};
+
+/**
+ * Build the iCalendar feed of a tour
+ * @param {string} tourId - The database ID of the tour
+ * @param {Date} now - Time stamped on the events (defaults to now)
+ * @returns {Promise<string>} iCalendar text with CRLF line endings
+ */
+export async function buildTourCalendar(tourId, now = new Date()) {
+    const tourData = await wixData.get('Tours', tourId);
+    if (!tourData) {
+        throw new Error(`Tour with ID ${tourId} not found`);
+    }
+    const tourLabel = tourData.title || tourData.urlName || tourId;
+
+    const availabilityQuery = await wixData.query('Availability')
+        .eq('tourName', tourId)
+        .find();
+    if (availabilityQuery.items.length === 0) {
+        throw new Error(`No availability found for tour: ${tourLabel}`);
+    }
+    const availabilityRecord = availabilityQuery.items[0];
+
+    const feedStart = getMonthStart(getJSTToday(now));
+    const rows = (await loadTourDates(availabilityRecord)).filter(row => row.date >= feedStart);
+    const closedPeriods = validateClosedPeriods(availabilityRecord.closedPeriods).validPeriods;
+    const stamp = formatUTCDateTime(now);
+
+    const events = [];
+    let closedRun = null;
+    rows.forEach(row => {
+        const closedReason = row.status === 'notoperating' ? getClosedReason(row, closedPeriods) : null;
+
+        if (closedRun && (closedReason !== closedRun.reason || row.date !== addDays(closedRun.lastDate, 1))) {
+            events.push(buildClosedEvent(tourId, tourLabel, closedRun, stamp));
+            closedRun = null;
+        }
+
+        if (closedReason) {
+            if (closedRun) {
+                closedRun.lastDate = row.date;
+                closedRun.version = Math.max(closedRun.version, row.version || 0);
+            } else {
+                closedRun = { reason: closedReason, firstDate: row.date, lastDate: row.date, version: row.version || 0 };
+            }
+        } else if (row.status !== 'notoperating') {
+            events.push(...buildOperatingEvents(tourId, tourLabel, row, stamp));
+        }
+    });
+    if (closedRun) {
+        events.push(buildClosedEvent(tourId, tourLabel, closedRun, stamp));
+    }
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(tourLabel)}`,
+        `X-WR-TIMEZONE:${CALENDAR_TIMEZONE}`,
+        `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+        `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+        // Japan has no daylight saving time, a single standard offset describes the zone
+        'BEGIN:VTIMEZONE',
+        `TZID:${CALENDAR_TIMEZONE}`,
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        'TZOFFSETFROM:+0900',
+        'TZOFFSETTO:+0900',
+        'TZNAME:JST',
+        'END:STANDARD',
+        'END:VTIMEZONE',
+        ...events.flat(),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Get the reason a not operating date is shown as closed
+ * @param {Object} row - AvailabilityDates row with status notoperating
+ * @param {Array} closedPeriods - Valid closed periods of the Availability record
+ * @returns {string|null} Closure reason, or null if the date simply does not run
+ */
+function getClosedReason(row, closedPeriods) {
+    if (row.emergencyClosure) {
+        return `Emergency closure: ${row.emergencyClosure.reason}`;
+    }
+    if (row.calendarClosure) {
+        return `Imported closure: ${row.calendarClosure.summary}`;
+    }
+    if (row.goNoGoDecision === GO_NO_GO_DECISIONS.CANCELLED_LOW_DEMAND) {
+        return 'Cancelled for low demand';
+    }
+
+    const period = closedPeriods.find(item => isDateInClosedPeriods(row.date, [item]));
+    if (period) {
+        return period.reason ? `Closed period: ${period.reason}` : 'Closed period';
+    }
+    return null;
+}
+
+/**
+ * Build the events of an operating date, one per time slot or one all-day event
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} tourLabel - Tour name used in summaries
+ * @param {Object} row - AvailabilityDates row
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array} Events as arrays of content lines
+ */
+function buildOperatingEvents(tourId, tourLabel, row, stamp) {
+    const isDateSoldOut = row.status === 'soldout';
+    const timeSlots = (Array.isArray(row.timeSlots) ? row.timeSlots : []).filter(slot => slot && slot.startTime);
+
+    if (timeSlots.length === 0) {
+        return [buildEvent({
+            uid: `${tourId}-${row.date}@${UID_DOMAIN}`,
+            stamp: stamp,
+            sequence: row.version || 0,
+            timing: [`DTSTART;VALUE=DATE:${toICalDate(row.date)}`, `DTEND;VALUE=DATE:${toICalDate(addDays(row.date, 1))}`],
+            summary: isDateSoldOut ? `SOLD OUT: ${tourLabel}` : tourLabel,
+            description: describeDate(row, row),
+            category: isDateSoldOut ? CATEGORIES.SOLD_OUT : null,
+            transparent: false
+        })];
+    }
+
+    return timeSlots.map(slot => {
+        const isSoldOut = isDateSoldOut || slot.status === 'soldout';
+        const timing = [`DTSTART;TZID=${CALENDAR_TIMEZONE}:${toICalDateTime(row.date, slot.startTime)}`];
+        if (slot.endTime) {
+            timing.push(`DTEND;TZID=${CALENDAR_TIMEZONE}:${toICalDateTime(row.date, slot.endTime)}`);
+        }
+
+        return buildEvent({
+            uid: `${tourId}-${row.date}-${slot.startTime.replace(':', '')}@${UID_DOMAIN}`,
+            stamp: stamp,
+            sequence: row.version || 0,
+            timing: timing,
+            summary: isSoldOut ? `SOLD OUT: ${tourLabel}` : tourLabel,
+            description: describeDate(row, slot),
+            category: isSoldOut ? CATEGORIES.SOLD_OUT : null,
+            transparent: false
+        });
+    });
+}
+
+/**
+ * Build the all-day event of a run of closed dates
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} tourLabel - Tour name used in the summary
+ * @param {Object} closedRun - First and last date, reason and highest row version of the run
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array} Event content lines
+ */
+function buildClosedEvent(tourId, tourLabel, closedRun, stamp) {
+    return buildEvent({
+        uid: `${tourId}-closed-${closedRun.firstDate}@${UID_DOMAIN}`,
+        stamp: stamp,
+        sequence: closedRun.version,
+        timing: [`DTSTART;VALUE=DATE:${toICalDate(closedRun.firstDate)}`, `DTEND;VALUE=DATE:${toICalDate(addDays(closedRun.lastDate, 1))}`],
+        summary: `CLOSED: ${tourLabel}`,
+        description: closedRun.reason,
+        category: CATEGORIES.CLOSED,
+        transparent: true
+    });
+}
+
+/**
+ * Build the content lines of a VEVENT
+ * @param {Object} event - uid, stamp, sequence, timing lines, summary, description, category and transparent flag
+ * @returns {Array} Event content lines
+ */
+function buildEvent(event) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${event.stamp}`,
+        `SEQUENCE:${event.sequence}`,
+        ...event.timing,
+        `SUMMARY:${escapeText(event.summary)}`,
+        'STATUS:CONFIRMED',
+        `TRANSP:${event.transparent ? 'TRANSPARENT' : 'OPAQUE'}`
+    ];
+    if (event.description) {
+        lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.category) {
+        lines.push(`CATEGORIES:${escapeText(event.category)}`);
+    }
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Describe the seats, guide and holiday of a date or slot
+ * @param {Object} row - AvailabilityDates row
+ * @param {Object} item - The row itself or one of its time slots
+ * @returns {string} Description lines
+ */
+function describeDate(row, item) {
+    const details = [];
+    if (item.maxParticipants === null || item.maxParticipants === undefined) {
+        details.push(`Booked: ${item.bookedParticipants || 0} (no capacity limit)`);
+    } else {
+        const remainingSeats = Math.max(item.maxParticipants - (item.bookedParticipants || 0), 0);
+        details.push(`Seats left: ${remainingSeats} of ${item.maxParticipants}`);
+    }
+    if (row.guideName) {
+        details.push(`Guide: ${row.guideName}`);
+    }
+    if (row.holidayName) {
+        details.push(`Holiday: ${row.holidayName}`);
+    }
+    return details.join('\n');
+}
+
+/**
+ * Format a date key as an iCalendar DATE value
+ * @param {string} date - Date as YYYY-MM-DD
+ * @returns {string} Date as YYYYMMDD
+ */
+function toICalDate(date) {
+    return date.replace(/-/g, '');
+}
+
+/**
+ * Format a local JST date and time as an iCalendar DATE-TIME value
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {string} time - Time as HH:MM
+ * @returns {string} Date and time as YYYYMMDDTHHMMSS
+ */
+function toICalDateTime(date, time) {
+    return `${toICalDate(date)}T${time.replace(':', '')}00`;
+}
+
+/**
+ * Format an instant as an iCalendar UTC DATE-TIME value
+ * @param {Date} instant - Instant to format
+ * @returns {string} Date and time as YYYYMMDDTHHMMSSZ
+ */
+function formatUTCDateTime(instant) {
+    return instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into lines of at most MAX_LINE_OCTETS octets
+ * Lines are split between characters, so multi-byte UTF-8 characters (e.g., Japanese tour names) stay whole
+ * @param {string} line - Content line
+ * @returns {string} Folded line, continuation lines start with a space
+ */
+export function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+
+    for (const character of line) {
+        const codePoint = character.codePointAt(0);
+        const octets = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+        // Continuation lines lose one octet to the leading space
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+        current += character;
+        currentOctets += octets;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
@@ -0,0 +1,584 @@
+import wixData from 'wix-data';
+import wixFetch from 'wix-fetch';
+import { mediaManager } from 'wix-media-backend';
+import { logSystemState } from 'backend/shared/systemStateManager.web.js';
+import { parseICalEvents } from 'backend/shared/iCalParser.js';
+import { generateAvailabilityForTour } from './availabilityCore.web.js';
+import { loadTourDateRows, closeDateRowWithBatch, fetchAllPages, PAGE_SIZE } from './availabilityDates.web.js';
+import { getDateBookings, toAffectedBooking } from './availabilityBookings.web.js';
+import { parseRecurrenceRule, expandRecurrenceRule } from './recurrenceRules.web.js';
+import { CHANGE_SOURCES, resolveStaffChangeContext } from './availabilityHistory.web.js';
+import { getJSTToday, addDays, addMonths, eachDateKey } from 'public/jstDate.js';
+import { CALENDAR_IMPORT_MODES, BOOKED_DATE_RESOLUTIONS } from 'public/calendarImportOptions.js';
+
+/**
+ * Import of closures from external calendars
+ * Guides keep their days off in their own calendars, an .ics document (pasted or uploaded)
+ * is mapped onto one or more tours either as not operating dates or as one-off closed periods
+ * Every import is previewed with a dry run first, listing the dates to close and the booked dates hit
+ *
+ * Modes:
+ *   dates          Closes the stored dates of the events, the rows keep the import in calendarClosure
+ *                  so regeneration does not reopen them, and the run can be reverted as a unit
+ *                  with revertAvailabilityChangeBatch(importId)
+ *   closedPeriods  Adds one-off closed periods to the Availability record and regenerates the tour,
+ *                  so dates beyond the current horizon close too; the periods carry the importId
+ *                  and are removed again with revertImportedClosedPeriods(importId)
+ *
+ * Booked dates:
+ *   skip   Booked dates stay open and are listed as conflicts (default)
+ *   close  dates mode closes booked dates and lists their bookings for staff, like an emergency closure;
+ *          closedPeriods mode keeps the periods whole, regeneration keeps booked dates open as booking conflicts
+ *
+ * Cancelled events are ignored, recurring events are expanded with the recurrence rules engine
+ * (RRULE parts it does not support, such as COUNT, skip the event)
+ */
+
+// Furthest date an import reaches, matching the longest tour availability horizon
+const MAX_IMPORT_MONTHS = 36;
+
+/**
+ * Import the events of an iCalendar document as closures of one or more tours
+ * @param {Object} source - Pasted text in icsText, or an uploaded document in fileUrl (wix:document://...)
+ * @param {Array} tourIds - Tour database IDs the closures apply to
+ * @param {Object} options - mode ("dates" or "closedPeriods") and bookedDates ("skip" or "close")
+ * @param {boolean} dryRun - If true, only previews the closures and conflicts
+ * @param {Object|null} changeContext - Source recorded in the change history, the user is the logged in member (optional)
+ * @returns {Promise<Object>} Import ID, imported events, closed dates or periods and booking conflicts
+ */
+export async function importCalendarClosures(source, tourIds, options = {}, dryRun = false, changeContext = null) {
+    const logBuffer = [];
+    const startTime = new Date();
+    const importId = `import-${startTime.getTime()}-${Math.random().toString(36).substring(2, 8)}`;
+    const mode = options.mode || CALENDAR_IMPORT_MODES.DATES;
+    const bookedDates = options.bookedDates || BOOKED_DATE_RESOLUTIONS.SKIP;
+    const context = await resolveStaffChangeContext({ ...changeContext, reason: 'Calendar import' }, CHANGE_SOURCES.MANAGER);
+    const closedDates = [];
+    const closedPeriods = [];
+    const bookingConflicts = [];
+    const affectedBookings = [];
+    const failedTours = [];
+    const errorMessages = [];
+
+    try {
+        if (!Object.values(CALENDAR_IMPORT_MODES).includes(mode)) {
+            throw new Error(`Invalid import mode: ${mode}`);
+        }
+        if (!Object.values(BOOKED_DATE_RESOLUTIONS).includes(bookedDates)) {
+            throw new Error(`Invalid booked dates option: ${bookedDates}`);
+        }
+        if (!Array.isArray(tourIds) || tourIds.length === 0) {
+            throw new Error('Select at least one tour');
+        }
+
+        const tours = await loadImportTours(tourIds);
+        const icalData = await readCalendarSource(source);
+        const parsed = parseICalEvents(icalData);
+        if (parsed.events.length === 0 && parsed.errors.length > 0) {
+            throw new Error(`The calendar could not be read: ${parsed.errors[0]}`);
+        }
+
+        const fromDate = getJSTToday();
+        const toDate = addMonths(fromDate, MAX_IMPORT_MONTHS);
+        const expansion = expandEvents(parsed.events, fromDate, toDate);
+        const skippedEvents = [...parsed.errors, ...expansion.errors];
+
+        logBuffer.push(`Starting calendar import${dryRun ? ' (dry run)' : ''} as ${mode === CALENDAR_IMPORT_MODES.DATES ? 'not operating dates' : 'closed periods'} for ${tours.length} tours by ${context.user}, booked dates: ${bookedDates}`);
+        logBuffer.push(`Events: ${parsed.events.length} read, ${expansion.events.length} with dates from ${fromDate}, ${skippedEvents.length} skipped`);
+        skippedEvents.forEach(message => logBuffer.push(`  WARNING: Skipped ${message}`));
+
+        const dateSummaries = expansion.dateSummaries;
+        if (Object.keys(dateSummaries).length === 0) {
+            throw new Error('The calendar has no upcoming events to import');
+        }
+
+        for (const tour of tours) {
+            const tourLabel = tour.title || tour.urlName;
+            try {
+                const tourResult = mode === CALENDAR_IMPORT_MODES.DATES ?
+                    await importTourDates(tour, dateSummaries, bookedDates, importId, dryRun, context) :
+                    await importTourClosedPeriods(tour, dateSummaries, bookedDates, importId, dryRun, context);
+
+                closedDates.push(...tourResult.closedDates);
+                closedPeriods.push(...tourResult.closedPeriods);
+                bookingConflicts.push(...tourResult.bookingConflicts);
+                affectedBookings.push(...tourResult.affectedBookings);
+                tourResult.warnings.forEach(warning => logBuffer.push(`  WARNING: ${tourLabel}: ${warning}`));
+                if (mode === CALENDAR_IMPORT_MODES.DATES) {
+                    logBuffer.push(`  - ${tourLabel}: ${tourResult.closedDates.length} dates closed${tourResult.closedDates.length > 0 ? ` (${tourResult.closedDates.map(item => item.date).join(', ')})` : ''}, ${tourResult.bookingConflicts.length} booked dates`);
+                } else {
+                    logBuffer.push(`  - ${tourLabel}: ${tourResult.closedPeriods.length} closed periods added${tourResult.closedPeriods.length > 0 ? ` (${tourResult.closedPeriods.map(period => `${period.startDate} to ${period.endDate}`).join(', ')})` : ''}, ${tourResult.bookingConflicts.length} booked dates`);
+                }
+            } catch (error) {
+                failedTours.push(tourLabel);
+                errorMessages.push(`${tourLabel}: ${error.message}`);
+                logBuffer.push(`  - ERROR: ${tourLabel}: ${error.message}`);
+            }
+        }
+
+        bookingConflicts.forEach(conflict => {
+            logBuffer.push(`  CONFLICT: ${conflict.tourLabel} ${conflict.date}: ${conflict.bookedParticipants} booked, ${conflict.resolution}`);
+        });
+
+        const affectedTourNames = [...new Set([...closedDates, ...closedPeriods].map(item => item.tourLabel))];
+        const changeCount = closedDates.length + closedPeriods.length;
+        logBuffer.push(`${dryRun ? 'Would add' : 'Added'} ${mode === CALENDAR_IMPORT_MODES.DATES ? `${closedDates.length} closed dates` : `${closedPeriods.length} closed periods`} on ${affectedTourNames.length} tours, ${bookingConflicts.length} booked dates, ${failedTours.length} tours failed${dryRun ? '. Dry run: no changes saved' : `. Import ID: ${importId}`}`);
+
+        await logSystemState({
+            stateType: 'Calendar Import',
+            stateCategory: 'AVAILABILITY_OPERATIONS',
+            executionStatus: failedTours.length === 0 ? 'Execution Completed' : 'Executed with errors',
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: logBuffer.join('\n'),
+            errorDetails: errorMessages.join('; '),
+            affectedTourCount: dryRun ? 0 : affectedTourNames.length,
+            affectedTourNames: affectedTourNames
+        });
+
+        return {
+            status: dryRun ? 'DRY_RUN' : (failedTours.length === 0 ? 'SUCCESS' : 'PARTIAL_FAILURE'),
+            importId: dryRun || changeCount === 0 ? null : importId,
+            mode: mode,
+            events: expansion.events,
+            skippedEvents: skippedEvents,
+            closedDates: closedDates,
+            closedPeriods: closedPeriods,
+            bookingConflicts: bookingConflicts,
+            affectedBookings: affectedBookings,
+            affectedTourNames: affectedTourNames,
+            failedTours: failedTours,
+            errors: errorMessages
+        };
+    } catch (error) {
+        logBuffer.push(`ERROR: Calendar import failed: ${error.message}`);
+
+        await logSystemState({
+            stateType: 'Calendar Import',
+            stateCategory: 'AVAILABILITY_OPERATIONS',
+            executionStatus: 'Executed with errors',
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: logBuffer.join('\n'),
+            errorDetails: error.message,
+            affectedTourCount: dryRun ? 0 : new Set([...closedDates, ...closedPeriods].map(item => item.tourLabel)).size,
+            affectedTourNames: [...new Set([...closedDates, ...closedPeriods].map(item => item.tourLabel))]
+        });
+
+        throw error;
+    }
+}
+
+/**
+ * Revert an import in closedPeriods mode
+ * Removes the closed periods carrying the import ID from every tour and regenerates those tours, so their dates reopen
+ * Imports in dates mode are reverted with revertAvailabilityChangeBatch(importId)
+ * @param {string} importId - Import ID returned by importCalendarClosures
+ * @param {Object|null} changeContext - Reason of the undo, the user is the logged in member (optional)
+ * @returns {Promise<Object>} Removed period count, reverted and failed tours
+ */
+export async function revertImportedClosedPeriods(importId, changeContext = null) {
+    const logBuffer = [];
+    const startTime = new Date();
+    const context = await resolveStaffChangeContext({ ...changeContext, reason: `Revert calendar import ${importId}` }, CHANGE_SOURCES.UNDO);
+    const revertedTours = [];
+    const failedTours = [];
+    const errorMessages = [];
+    let removedPeriods = 0;
+
+    try {
+        const records = await fetchAllPages(wixData.query('Availability').limit(PAGE_SIZE));
+        const importRecords = records.filter(record => Array.isArray(record.closedPeriods) &&
+            record.closedPeriods.some(period => period.importId === importId));
+        if (importRecords.length === 0) {
+            throw new Error(`No closed periods of import ${importId} found`);
+        }
+
+        logBuffer.push(`Reverting closed periods of calendar import ${importId} on ${importRecords.length} tours by ${context.user}`);
+        for (const record of importRecords) {
+            const tourLabel = record.tourId || record.tourName;
+            try {
+                const removedCount = await removeImportedClosedPeriods(record.tourName, importId, context);
+                removedPeriods += removedCount;
+                revertedTours.push(tourLabel);
+                logBuffer.push(`  - ${tourLabel}: ${removedCount} closed periods removed`);
+            } catch (error) {
+                failedTours.push(tourLabel);
+                errorMessages.push(`${tourLabel}: ${error.message}`);
+                logBuffer.push(`  - ERROR: ${tourLabel}: ${error.message}`);
+            }
+        }
+        logBuffer.push(`Removed ${removedPeriods} closed periods on ${revertedTours.length} tours, ${failedTours.length} tours failed`);
+
+        await logSystemState({
+            stateType: 'Calendar Import Revert',
+            stateCategory: 'AVAILABILITY_OPERATIONS',
+            executionStatus: failedTours.length === 0 ? 'Execution Completed' : 'Executed with errors',
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: logBuffer.join('\n'),
+            errorDetails: errorMessages.join('; '),
+            affectedTourCount: revertedTours.length,
+            affectedTourNames: revertedTours
+        });
+
+        return {
+            status: failedTours.length === 0 ? 'SUCCESS' : 'PARTIAL_FAILURE',
+            importId: importId,
+            removedPeriods: removedPeriods,
+            revertedTours: revertedTours,
+            failedTours: failedTours,
+            errors: errorMessages
+        };
+    } catch (error) {
+        logBuffer.push(`ERROR: Revert of calendar import ${importId} failed: ${error.message}`);
+
+        await logSystemState({
+            stateType: 'Calendar Import Revert',
+            stateCategory: 'AVAILABILITY_OPERATIONS',
+            executionStatus: 'Executed with errors',
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: logBuffer.join('\n'),
+            errorDetails: error.message,
+            affectedTourCount: revertedTours.length,
+            affectedTourNames: revertedTours
+        });
+
+        throw error;
+    }
+}
+
+/**
+ * Read the iCalendar text of an import
+ * Uploaded files are only read from the site media manager, never from arbitrary URLs
+ * @param {Object} source - icsText or fileUrl
+ * @returns {Promise<string>} iCalendar text
+ */
+async function readCalendarSource(source) {
+    if (source && typeof source.icsText === 'string' && source.icsText.trim() !== '') {
+        return source.icsText;
+    }
+    if (!source || typeof source.fileUrl !== 'string' || !source.fileUrl.startsWith('wix:document://')) {
+        throw new Error('Paste the calendar or upload an .ics file');
+    }
+
+    const downloadUrl = await mediaManager.getDownloadUrl(source.fileUrl);
+    const response = await wixFetch.fetch(downloadUrl, { method: 'get' });
+    if (!response.ok) {
+        throw new Error(`Calendar file could not be read (HTTP ${response.status})`);
+    }
+    return response.text();
+}
+
+/**
+ * Expand parsed events into the dates they cover within the import window
+ * @param {Array} events - Events from parseICalEvents
+ * @param {string} fromDate - First date as YYYY-MM-DD
+ * @param {string} toDate - Last date as YYYY-MM-DD
+ * @returns {Object} Summary keyed by date (first event wins), imported events and skipped event messages
+ */
+function expandEvents(events, fromDate, toDate) {
+    const dateSummaries = {};
+    const importedEvents = [];
+    const errors = [];
+
+    events.forEach(event => {
+        if (event.status === 'CANCELLED') {
+            return;
+        }
+
+        const summary = event.summary || 'Calendar closure';
+        const expanded = expandEventDates(event, fromDate, toDate);
+        if (expanded.error) {
+            errors.push(`${event.summary || event.uid}: ${expanded.error}`);
+            return;
+        }
+        if (expanded.dates.length === 0) {
+            return;
+        }
+
+        expanded.dates.forEach(date => {
+            if (!dateSummaries[date]) {
+                dateSummaries[date] = summary;
+            }
+        });
+        importedEvents.push({
+            uid: event.uid,
+            summary: summary,
+            recurring: !!event.rrule,
+            firstDate: expanded.dates[0],
+            lastDate: expanded.dates[expanded.dates.length - 1],
+            dateCount: expanded.dates.length
+        });
+    });
+
+    return { dateSummaries, events: importedEvents, errors };
+}
+
+/**
+ * Get the dates an event covers within the import window
+ * Recurring events repeat their length from every date their rule produces
+ * @param {Object} event - Event from parseICalEvents
+ * @param {string} fromDate - First date as YYYY-MM-DD
+ * @param {string} toDate - Last date as YYYY-MM-DD
+ * @returns {Object} Dates as YYYY-MM-DD, or an error message in "error"
+ */
+function expandEventDates(event, fromDate, toDate) {
+    const dates = new Set();
+    const addRange = (start, end) => {
+        const first = start < fromDate ? fromDate : start;
+        const last = end > toDate ? toDate : end;
+        if (first <= last) {
+            eachDateKey(first, last).forEach(date => dates.add(date));
+        }
+    };
+
+    if (!event.rrule) {
+        addRange(event.startDate, event.endDate);
+        return { dates: [...dates].sort(), error: null };
+    }
+
+    // The rule engine reads dates only, times of UNTIL are dropped
+    const ruleString = `${event.rrule.replace(/UNTIL=(\d{8})T\d{6}Z?/i, 'UNTIL=$1')};DTSTART=${event.startDate.replace(/-/g, '')}`;
+    const parsedRule = parseRecurrenceRule(ruleString);
+    if (parsedRule.error) {
+        return { dates: [], error: `Unsupported recurrence "${event.rrule}": ${parsedRule.error}` };
+    }
+
+    // The rule is parsed once and expanded by its frequency, not tested against every day of the window
+    const lengthInDays = eachDateKey(event.startDate, event.endDate).length;
+    const firstOccurrence = addDays(fromDate, -(lengthInDays - 1));
+    expandRecurrenceRule(parsedRule.rule, firstOccurrence < event.startDate ? event.startDate : firstOccurrence, toDate).forEach(date => {
+        if (!event.exDates.includes(date)) {
+            addRange(date, addDays(date, lengthInDays - 1));
+        }
+    });
+    return { dates: [...dates].sort(), error: null };
+}
+
+/**
+ * Close the stored dates of one tour covered by the imported events
+ * @param {Object} tourData - Tour data
+ * @param {Object} dateSummaries - Event summary keyed by date
+ * @param {string} bookedDates - Booked date resolution
+ * @param {string} importId - Import ID stored as batchId
+ * @param {boolean} dryRun - If true, nothing is written
+ * @param {Object} context - Resolved change context
+ * @returns {Promise<Object>} Closed dates, booking conflicts, bookings on closed dates and warnings
+ */
+async function importTourDates(tourData, dateSummaries, bookedDates, importId, dryRun, context) {
+    const tourLabel = tourData.title || tourData.urlName;
+    const result = { closedDates: [], closedPeriods: [], bookingConflicts: [], affectedBookings: [], warnings: [] };
+
+    const importDates = Object.keys(dateSummaries).sort();
+    const rows = await loadTourDateRows(tourData._id, importDates[0], importDates[importDates.length - 1]);
+
+    for (const row of rows) {
+        const summary = dateSummaries[row.date];
+        if (!summary || row.status === 'notoperating') {
+            continue;
+        }
+
+        const bookedParticipants = row.bookedParticipants || 0;
+        if (bookedParticipants > 0) {
+            result.bookingConflicts.push({
+                tourId: tourData._id,
+                tourLabel: tourLabel,
+                date: row.date,
+                bookedParticipants: bookedParticipants,
+                summary: summary,
+                resolution: bookedDates === BOOKED_DATE_RESOLUTIONS.SKIP ? 'kept open' : 'closed with bookings'
+            });
+            if (bookedDates === BOOKED_DATE_RESOLUTIONS.SKIP) {
+                continue;
+            }
+        }
+
+        const committedRow = dryRun ? row : await closeDateRowWithBatch(row, importId, 'calendarClosure', { importId: importId, summary: summary }, context);
+        if (!committedRow) {
+            result.warnings.push(`${row.date} changed during the import, left as is`);
+            continue;
+        }
+
+        if ((committedRow.bookedParticipants || 0) > 0) {
+            const dateBookings = await getDateBookings(tourData._id, row.date);
+            result.affectedBookings.push(...dateBookings.map(booking => toAffectedBooking(booking, row, tourLabel)));
+        }
+
+        result.closedDates.push({
+            tourId: tourData._id,
+            tourLabel: tourLabel,
+            date: row.date,
+            summary: summary,
+            previousStatus: row.status,
+            bookedParticipants: committedRow.bookedParticipants || 0
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Add the imported events of one tour as one-off closed periods and regenerate its dates
+ * Consecutive dates of the same event become one period, periods the record already has are skipped
+ * @param {Object} tourData - Tour data
+ * @param {Object} dateSummaries - Event summary keyed by date
+ * @param {string} bookedDates - Booked date resolution
+ * @param {string} importId - Import ID stored on the periods
+ * @param {boolean} dryRun - If true, nothing is written
+ * @param {Object} context - Resolved change context
+ * @returns {Promise<Object>} Added periods, booking conflicts and warnings
+ */
+async function importTourClosedPeriods(tourData, dateSummaries, bookedDates, importId, dryRun, context) {
+    const tourLabel = tourData.title || tourData.urlName;
+    const result = { closedDates: [], closedPeriods: [], bookingConflicts: [], affectedBookings: [], warnings: [] };
+
+    const availabilityQuery = await wixData.query('Availability')
+        .eq('tourName', tourData._id)
+        .find();
+    if (availabilityQuery.items.length === 0) {
+        throw new Error(`No availability found for tour: ${tourLabel}`);
+    }
+    const availabilityRecord = availabilityQuery.items[0];
+
+    const importDates = Object.keys(dateSummaries).sort();
+    const rows = await loadTourDateRows(tourData._id, importDates[0], importDates[importDates.length - 1]);
+    const bookedRows = {};
+    rows.filter(row => (row.bookedParticipants || 0) > 0 && row.status !== 'notoperating').forEach(row => {
+        bookedRows[row.date] = row;
+    });
+
+    // Booked dates that are skipped split their period
+    const periodDates = [];
+    importDates.forEach(date => {
+        const bookedRow = bookedRows[date];
+        if (bookedRow) {
+            result.bookingConflicts.push({
+                tourId: tourData._id,
+                tourLabel: tourLabel,
+                date: date,
+                bookedParticipants: bookedRow.bookedParticipants,
+                summary: dateSummaries[date],
+                resolution: bookedDates === BOOKED_DATE_RESOLUTIONS.SKIP ? 'left out of the period' : 'kept open as booking conflict'
+            });
+            if (bookedDates === BOOKED_DATE_RESOLUTIONS.SKIP) {
+                return;
+            }
+        }
+        periodDates.push(date);
+    });
+
+    const existingPeriods = Array.isArray(availabilityRecord.closedPeriods) ? availabilityRecord.closedPeriods : [];
+    const newPeriods = [];
+    groupDateRuns(periodDates, dateSummaries).forEach(run => {
+        const [startYear, startMonth, startDay] = run.startDate.split('-').map(Number);
+        const [endYear, endMonth, endDay] = run.endDate.split('-').map(Number);
+        const period = {
+            startYear, startMonth, startDay,
+            endYear, endMonth, endDay,
+            reason: `Calendar import: ${run.summary}`,
+            importId: importId
+        };
+
+        const isDuplicate = existingPeriods.some(existing => existing.startYear === startYear && existing.startMonth === startMonth &&
+            existing.startDay === startDay && existing.endYear === endYear && existing.endMonth === endMonth && existing.endDay === endDay);
+        if (isDuplicate) {
+            result.warnings.push(`${run.startDate} to ${run.endDate} is already a closed period`);
+            return;
+        }
+
+        newPeriods.push(period);
+        result.closedPeriods.push({
+            tourId: tourData._id,
+            tourLabel: tourLabel,
+            startDate: run.startDate,
+            endDate: run.endDate,
+            reason: period.reason
+        });
+    });
+
+    if (!dryRun && newPeriods.length > 0) {
+        await wixData.update('Availability', {
+            ...availabilityRecord,
+            closedPeriods: [...existingPeriods, ...newPeriods]
+        });
+        try {
+            await generateAvailabilityForTour(tourData._id, true, false, context);
+        } catch (error) {
+            // Periods whose dates were never closed are taken out again, so the record matches the dates
+            await removeImportedClosedPeriods(tourData._id, importId, context).catch(rollbackError => {
+                console.error(`Failed to remove closed periods of import ${importId} from ${tourLabel}:`, rollbackError);
+            });
+            throw error;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Remove the closed periods of an import from one tour and regenerate its dates
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} importId - Import ID stored on the periods
+ * @param {Object} context - Resolved change context
+ * @returns {Promise<number>} Number of removed periods
+ */
+async function removeImportedClosedPeriods(tourId, importId, context) {
+    const availabilityQuery = await wixData.query('Availability')
+        .eq('tourName', tourId)
+        .find();
+    if (availabilityQuery.items.length === 0) {
+        return 0;
+    }
+
+    const availabilityRecord = availabilityQuery.items[0];
+    const closedPeriods = Array.isArray(availabilityRecord.closedPeriods) ? availabilityRecord.closedPeriods : [];
+    const keptPeriods = closedPeriods.filter(period => period.importId !== importId);
+    if (keptPeriods.length === closedPeriods.length) {
+        return 0;
+    }
+
+    await wixData.update('Availability', {
+        ...availabilityRecord,
+        closedPeriods: keptPeriods
+    });
+    await generateAvailabilityForTour(tourId, true, false, context);
+    return closedPeriods.length - keptPeriods.length;
+}
+
+/**
+ * Group sorted dates into runs of consecutive dates with the same summary
+ * @param {Array} dates - Dates as YYYY-MM-DD, sorted
+ * @param {Object} dateSummaries - Event summary keyed by date
+ * @returns {Array} Runs with startDate, endDate and summary
+ */
+function groupDateRuns(dates, dateSummaries) {
+    const runs = [];
+    dates.forEach(date => {
+        const lastRun = runs[runs.length - 1];
+        if (lastRun && lastRun.summary === dateSummaries[date] && addDays(lastRun.endDate, 1) === date) {
+            lastRun.endDate = date;
+        } else {
+            runs.push({ startDate: date, endDate: date, summary: dateSummaries[date] });
+        }
+    });
+    return runs;
+}
+
+/**
+ * Load the tours of an import
+ * @param {Array} tourIds - Tour database IDs
+ * @returns {Promise<Array>} Tours items
+ */
+async function loadImportTours(tourIds) {
+    const tours = await fetchAllPages(wixData.query('Tours')
+        .hasSome('_id', tourIds)
+        .limit(PAGE_SIZE));
+    const foundIds = tours.map(tour => tour._id);
+    const missingIds = tourIds.filter(tourId => !foundIds.includes(tourId));
+    if (missingIds.length > 0) {
+        throw new Error(`Tours not found: ${missingIds.join(', ')}`);
+    }
+    return tours;
+}
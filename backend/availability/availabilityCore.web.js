@@ -7,16 +7,57 @@
 
 import wixData from 'wix-data';
 import { logSystemState } from 'backend/shared/systemStateManager.web.js';
+import { getHolidaysInRange } from 'backend/shared/japaneseHolidays.web.js';
+import { matchesRecurrenceRules, validateRecurrenceRules } from './recurrenceRules.web.js';
+import { validateCutoffRules, isSalesOpen, getDateStartTime } from './bookingCutoffRules.web.js';
+import { getResourceBlocks } from './availabilityResources.web.js';
+import { loadTourDates, loadTourDateRows, getTourDateRow, migrateAvailabilityRecord, saveTourDates, commitWithVersionCheck, commitRowsWithVersionCheck, toAvailabilityEntry, hasLegacyAvailabilityData, getLegacyAvailabilityEntries, AVAILABILITY_DATES_COLLECTION } from './availabilityDates.web.js';
+import { CHANGE_SOURCES, resolveStaffChangeContext, buildDateChange, recordDateChanges, getDateChange, getRevertibleChanges, getBatchChanges, markDateChangeReverted, hasTrackedValues, pickRestoredValues, isRevertibleChange } from './availabilityHistory.web.js';
+import { GO_NO_GO_DECISIONS } from 'public/goNoGoDecisions.js';
+import { getJSTToday, parseDateKey, isValidDateKey, addDays, addMonths, getMonthStart, getMonthEnd, getWeekday, getDaysInMonth, dateKeyToUTCDate } from 'public/jstDate.js';
 
 /**
  * Core availability management system
  * Handles generation, regeneration and data processing for tour availability
  * Maintains closed periods and existing booking data integrity
+ * Dates are stored as one AvailabilityDates row per tour and date (see availabilityDates.web.js),
+ * the Availability record of a tour keeps closed periods and notes
  */
 
+// Share of capacity at which an operating date switches to "partiallysoldout"
+const NEAR_CAPACITY_RATIO = 0.8;
+
+// Availability horizon used when a tour has no availabilityHorizonMonths setting
+const DEFAULT_HORIZON_MONTHS = 18;
+
+// Allowed range for the per-tour availabilityHorizonMonths setting
+const MIN_HORIZON_MONTHS = 1;
+const MAX_HORIZON_MONTHS = 36;
+
+// Statuses staff can set on a date from the Manager page
+const DATE_STATUSES = ["available", "partiallysoldout", "soldout", "notoperating"];
+
+// Weekday names as used in runDays, indexed like getWeekday (0 = Sunday)
+const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Largest number of dates a bulk status update writes, about 16 months of daily dates,
+// so the bulk write, its history records and the retries of dates written meanwhile finish within one web call
+const MAX_BULK_UPDATE_DATES = 500;
+
+// Attempts at writing regenerated dates while seat reservations keep changing them
+const MAX_SAVE_ATTEMPTS = 3;
+
+// Tag values of the Tours holidayRules field
+const HOLIDAY_RULES = {
+    RUN_ON_HOLIDAYS: "Run on holidays",
+    CLOSED_ON_HOLIDAYS: "Closed on holidays",
+    CLOSED_DAY_AFTER_HOLIDAY: "Closed day after holiday"
+};
+
 /**
  * Helper function to format closed periods for logging
  * Processes closedPeriods array to provide human-readable information
+ * Recurring periods are shown as MM-DD, one-off periods as YYYY-MM-DD
  * @param {Array} closedPeriods - Array of closed period objects
  * @returns {Object} Formatted closed periods information
  */
@@ -30,28 +71,139 @@ function formatClosedPeriodsForLogging(closedPeriods) {
     }
     
     const details = closedPeriods.map(period => {
-        const startDate = `${String(period.startMonth).padStart(2, '0')}-${String(period.startDay).padStart(2, '0')}`;
-        const endDate = `${String(period.endMonth).padStart(2, '0')}-${String(period.endDay).padStart(2, '0')}`;
+        const startDate = formatClosedPeriodBoundary(period.startYear, period.startMonth, period.startDay);
+        const endDate = formatClosedPeriodBoundary(period.endYear, period.endMonth, period.endDay);
+        const periodType = isAbsoluteClosedPeriod(period) ? 'one-off' : 'every year';
         
-        if (period.startMonth === period.endMonth && period.startDay === period.endDay) {
-            return `${startDate} (${period.reason})`;
+        if (startDate === endDate) {
+            return `${startDate} (${period.reason}, ${periodType})`;
         } else {
-            return `${startDate} to ${endDate} (${period.reason})`;
+            return `${startDate} to ${endDate} (${period.reason}, ${periodType})`;
         }
     });
     
+    const absoluteCount = closedPeriods.filter(period => isAbsoluteClosedPeriod(period)).length;
+    
     return {
         count: closedPeriods.length,
-        summary: `${closedPeriods.length} periods configured`,
+        summary: `${closedPeriods.length} periods configured (${closedPeriods.length - absoluteCount} recurring, ${absoluteCount} one-off)`,
         details: details
     };
 }
 
+/**
+ * Formats one boundary of a closed period
+ * @param {number} [year] - Year, only set for one-off periods
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string} MM-DD or YYYY-MM-DD
+ */
+function formatClosedPeriodBoundary(year, month, day) {
+    const monthDay = `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    return year ? `${year}-${monthDay}` : monthDay;
+}
+
+/**
+ * Checks if a closed period is bound to specific years instead of recurring every year
+ * @param {Object} period - Closed period object
+ * @returns {boolean} True if startYear or endYear is set
+ */
+function isAbsoluteClosedPeriod(period) {
+    return !!period && (period.startYear !== undefined && period.startYear !== null ||
+        period.endYear !== undefined && period.endYear !== null);
+}
+
+/**
+ * Validates closed periods before they are used for generation
+ * Recurring periods use startMonth/startDay/endMonth/endDay and may cross the year end.
+ * One-off periods also set startYear/endYear and must not end before they start.
+ * @param {Array} closedPeriods - Array of closed period objects
+ * @returns {Object} Valid periods and a list of validation errors
+ */
+export function validateClosedPeriods(closedPeriods) {
+    const validPeriods = [];
+    const errors = [];
+
+    if (!closedPeriods) {
+        return { validPeriods, errors };
+    }
+    if (!Array.isArray(closedPeriods)) {
+        return { validPeriods, errors: ["closedPeriods must be an array"] };
+    }
+
+    closedPeriods.forEach((period, index) => {
+        const periodErrors = validateClosedPeriod(period);
+        if (periodErrors.length === 0) {
+            validPeriods.push(period);
+        } else {
+            errors.push(`Period ${index + 1}${period && period.reason ? ` (${period.reason})` : ''}: ${periodErrors.join('; ')}`);
+        }
+    });
+
+    return { validPeriods, errors };
+}
+
+/**
+ * Validates a single closed period
+ * @param {Object} period - Closed period object
+ * @returns {Array} Validation error messages, empty when valid
+ */
+function validateClosedPeriod(period) {
+    if (!period || typeof period !== 'object') {
+        return ["must be an object"];
+    }
+
+    const errors = [];
+    const isAbsolute = isAbsoluteClosedPeriod(period);
+
+    if (isAbsolute && (!Number.isInteger(period.startYear) || !Number.isInteger(period.endYear))) {
+        errors.push("one-off periods need both startYear and endYear");
+    }
+
+    // Recurring periods are checked against a leap year so Feb 29 is accepted
+    const startYear = isAbsolute ? period.startYear : 2024;
+    const endYear = isAbsolute ? period.endYear : 2024;
+
+    if (!isValidMonthDay(startYear, period.startMonth, period.startDay)) {
+        errors.push(`invalid start date ${period.startMonth}/${period.startDay}`);
+    }
+    if (!isValidMonthDay(endYear, period.endMonth, period.endDay)) {
+        errors.push(`invalid end date ${period.endMonth}/${period.endDay}`);
+    }
+
+    if (errors.length === 0 && isAbsolute) {
+        const start = formatClosedPeriodBoundary(period.startYear, period.startMonth, period.startDay);
+        const end = formatClosedPeriodBoundary(period.endYear, period.endMonth, period.endDay);
+        if (start > end) {
+            errors.push(`ends (${end}) before it starts (${start})`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Checks if month and day form a real calendar date in the given year
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {boolean} True if the date exists
+ */
+function isValidMonthDay(year, month, day) {
+    if (!Number.isInteger(year) || !Number.isInteger(month) || !Number.isInteger(day)) {
+        return false;
+    }
+    if (month < 1 || month > 12 || day < 1) {
+        return false;
+    }
+    return day <= getDaysInMonth(year, month);
+}
+
 /**
  * Creates initial availability for a tour when it becomes visible
- * Generates 18 months of availability starting from first day of current month
+ * Generates the tour availability horizon (18 months by default) starting from first day of current month
  * @param {Object} tourData - Tour data from Tours collection
- * @returns {Promise<Object>} - Created availability record
+ * @returns {Promise<Object>} - Created availability record, with the generated dates in availabilityData
  */
 export async function createInitialAvailability(tourData) {
     const logBuffer = [];
@@ -74,15 +226,19 @@ export async function createInitialAvailability(tourData) {
             throw new Error(`Availability already exists for: ${tourData.title || tourData.urlName}`);
         }
 
-        // Calculate 18 month period starting from first day of current month in JST
-        const currentDate = new Date();
-        const startDate = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
-        startDate.setHours(9, 0, 0, 0); // 9AM JST
-        const endDate = new Date(startDate);
-        endDate.setMonth(startDate.getMonth() + 18); // 18 months ahead
-        endDate.setDate(0); // Last day of 18th month
+        // Calculate the tour horizon starting from first day of current month in JST
+        const horizonMonths = resolveHorizonMonths(tourData);
+        const startDate = getMonthStart(getJSTToday());
+        const endDate = calculateHorizonEndDate(startDate, horizonMonths);
         
-        logBuffer.push(`Generating dates from ${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}`);
+        logBuffer.push(`Horizon: ${horizonMonths} months${isValidHorizonMonths(tourData.availabilityHorizonMonths) ? '' : ' (default)'}`);
+        logBuffer.push(`Generating dates from ${startDate} to ${endDate}`);
+
+        // Get national holidays for holiday rules and holidayName tagging
+        const holidayMap = await fetchHolidayMap(startDate, endDate);
+        logBuffer.push(`Holidays in range: ${Object.keys(holidayMap).length}. Holiday rules: ${formatHolidayRulesForLogging(tourData.holidayRules)}`);
+        logRecurrenceRules(tourData.recurrenceRules, logBuffer);
+        logCutoffRules(tourData.bookingCutoffRules, logBuffer);
 
         // Get high season periods and cancellation policy for proper season tagging
         const highSeasonData = await fetchHighSeasonPeriods(tourData.highSeasonPeriods);
@@ -90,6 +246,8 @@ export async function createInitialAvailability(tourData) {
         
         logBuffer.push(`Retrieved ${highSeasonData.periods.length} high season periods from policy: ${highSeasonData.policyName || 'None'}`);
         logBuffer.push(`Cancellation Policy: ${cancellationPolicy ? cancellationPolicy.policyName : 'None'}`);
+        logBuffer.push(`Capacity: ${isValidCapacity(tourData.maxParticipants) ? `${tourData.maxParticipants} participants per date` : 'Unlimited'}`);
+        logBuffer.push(`Time slots: ${formatTimeSlotsForLogging(tourData)}`);
         
         // Process closed periods from tour data and log them
         const closedPeriods = tourData.closedPeriods || [];
@@ -101,8 +259,14 @@ export async function createInitialAvailability(tourData) {
             });
         }
         
+        // Only valid closed periods are applied, invalid ones are reported
+        const closedPeriodsValidation = validateClosedPeriods(closedPeriods);
+        closedPeriodsValidation.errors.forEach(error => {
+            logBuffer.push(`  WARNING: Ignored invalid closed period - ${error}`);
+        });
+        
         // Generate availability data with proper status and season
-        const availabilityData = generateAvailabilityData(startDate, endDate, tourData, highSeasonData.periods, closedPeriods);
+        const availabilityData = generateAvailabilityData(startDate, endDate, tourData, highSeasonData.periods, closedPeriodsValidation.validPeriods, holidayMap);
         
         logBuffer.push(`Generated ${availabilityData.length} availability dates`);
 
@@ -112,12 +276,21 @@ export async function createInitialAvailability(tourData) {
             tourName: tourId, // Using actual tour ID for proper reference
             tourId: tourData.tourId, // Business ID (e.g., OM001)
             notes: "",
-            availabilityData: availabilityData,
-            closedPeriods: closedPeriods // Store and preserve closed periods
+            closedPeriods: closedPeriods, // Store and preserve closed periods
+            version: 1
         };
 
-        // Save to database
+        // Save to database, dates go to their own rows
         const savedRecord = await wixData.insert("Availability", availabilityRecord);
+        const existingRows = await loadTourDateRows(tourId);
+        const writeResult = await saveTourDates(savedRecord, availabilityData, existingRows);
+        logBuffer.push(`Saved ${writeResult.inserted + writeResult.updated} dates to ${AVAILABILITY_DATES_COLLECTION}${writeResult.removed > 0 ? `, removed ${writeResult.removed} leftover dates` : ''}`);
+        if (writeResult.conflicts.length > 0) {
+            logBuffer.push(`  WARNING: Leftover dates changed while saving and were kept as stored: ${writeResult.conflicts.join(', ')}`);
+        }
+        if (writeResult.keptBookedDates.length > 0) {
+            logBuffer.push(`  WARNING: Booked leftover dates were kept: ${writeResult.keptBookedDates.join(', ')}`);
+        }
         
         const endTime = new Date();
         logBuffer.push(`Successfully created availability for tour: ${tourData.title || tourData.urlName}. Duration: ${((endTime.getTime() - startTime.getTime()) / 1000).toFixed(2)}s`);
@@ -135,7 +308,7 @@ export async function createInitialAvailability(tourData) {
             affectedTourNames: [tourData.title || tourData.urlName]
         });
 
-        return savedRecord;
+        return { ...savedRecord, availabilityData: availabilityData };
     } catch (error) {
         const endTime = new Date();
         logBuffer.push(`ERROR: Failed to create availability for tour: ${tourData.title || tourData.urlName || "unknown"}. Error: ${error.message}`);
@@ -160,13 +333,18 @@ export async function createInitialAvailability(tourData) {
 /**
  * Regenerates availability for a specific tour
  * Maintains booked participants and preserves closed periods
+ * A dry run computes the same result without saving anything and returns the changeset,
+ * so staff can review added and removed dates, status and season changes first
  * @param {string} tourId - The database ID of the tour
  * @param {boolean} isManualUpdate - Whether this is a manual update (affects behavior)
- * @returns {Promise<Object>} - Update operation result
+ * @param {boolean} dryRun - If true, only previews the changes
+ * @param {Object|null} changeContext - Reason recorded in the change history, the user is the logged in member (optional)
+ * @returns {Promise<Object>} - Update operation result with the changeset
  */
-export async function generateAvailabilityForTour(tourId, isManualUpdate = true) {
+export async function generateAvailabilityForTour(tourId, isManualUpdate = true, dryRun = false, changeContext = null) {
     const logBuffer = [];
     const startTime = new Date();
+    const context = await resolveStaffChangeContext(changeContext, isManualUpdate ? CHANGE_SOURCES.MANAGER : CHANGE_SOURCES.SCHEDULER);
     
     try {
         // Get tour data using ID
@@ -176,7 +354,7 @@ export async function generateAvailabilityForTour(tourId, isManualUpdate = true)
         }
         
         const tourData = tourQuery;
-        logBuffer.push(`Starting ${isManualUpdate ? 'manual' : 'scheduled'} regeneration for tour: ${tourData.title || tourData.urlName}`);
+        logBuffer.push(`Starting ${isManualUpdate ? 'manual' : 'scheduled'} regeneration${dryRun ? ' (dry run)' : ''} for tour: ${tourData.title || tourData.urlName}`);
         logBuffer.push(`Tour ID: ${tourData.tourId || 'Not set'}`);
         logBuffer.push(`Database ID: ${tourId}`);
 
@@ -185,13 +363,22 @@ export async function generateAvailabilityForTour(tourId, isManualUpdate = true)
             .eq("tourName", tourId)
             .find();
 
-        if (availabilityQuery.items.length === 0) {
+        if (availabilityQuery.items.length === 0 && !dryRun) {
             // If no availability exists, create new
             logBuffer.push(`No existing availability found, creating new availability`);
             return createInitialAvailability(tourData);
         }
 
-        const existingAvailability = availabilityQuery.items[0];
+        // A dry run on a tour without availability previews the initial generation
+        const existingAvailability = availabilityQuery.items[0] || null;
+        let existingRows = [];
+        if (existingAvailability && dryRun && hasLegacyAvailabilityData(existingAvailability)) {
+            // Preview from the old array without migrating it
+            existingRows = getLegacyAvailabilityEntries(existingAvailability);
+        } else if (existingAvailability) {
+            existingRows = await loadTourDates(existingAvailability);
+        }
+        logBuffer.push(existingAvailability ? `Loaded ${existingRows.length} stored dates` : 'No existing availability found, previewing initial generation');
         
         // Get high season periods and cancellation policy for proper season tagging
         const highSeasonData = await fetchHighSeasonPeriods(tourData.highSeasonPeriods);
@@ -199,9 +386,13 @@ export async function generateAvailabilityForTour(tourId, isManualUpdate = true)
         
         logBuffer.push(`Retrieved ${highSeasonData.periods.length} high season periods from policy: ${highSeasonData.policyName || 'None'}`);
         logBuffer.push(`Cancellation Policy: ${cancellationPolicy ? cancellationPolicy.policyName : 'None'}`);
+        logBuffer.push(`Capacity: ${isValidCapacity(tourData.maxParticipants) ? `${tourData.maxParticipants} participants per date` : 'Unlimited'}`);
+        logBuffer.push(`Time slots: ${formatTimeSlotsForLogging(tourData)}`);
 
         // PRESERVE existing closed periods from Availability record - never overwrite
-        const existingClosedPeriods = existingAvailability.closedPeriods || [];
+        const existingClosedPeriods = existingAvailability ?
+            (existingAvailability.closedPeriods || []) :
+            (tourData.closedPeriods || []);
         const closedPeriodsInfo = formatClosedPeriodsForLogging(existingClosedPeriods);
         logBuffer.push(`Closed Periods: ${closedPeriodsInfo.summary}`);
         if (closedPeriodsInfo.details.length > 0) {
@@ -210,29 +401,38 @@ export async function generateAvailabilityForTour(tourId, isManualUpdate = true)
             });
         }
 
-        // Calculate date ranges for update
-        const currentDate = new Date();
-        currentDate.setHours(9, 0, 0, 0); // 9AM JST
+        // Only valid closed periods are applied, invalid ones are reported
+        const closedPeriodsValidation = validateClosedPeriods(existingClosedPeriods);
+        closedPeriodsValidation.errors.forEach(error => {
+            logBuffer.push(`  WARNING: Ignored invalid closed period - ${error}`);
+        });
+
+        // Calculate date ranges for update from the tour horizon in JST
+        const horizonMonths = resolveHorizonMonths(tourData);
+        const currentDate = getJSTToday();
+        const currentMonthStart = getMonthStart(currentDate);
         let startDate, endDate;
         
         if (isManualUpdate) {
             // Manual update: start from first day of current month
-            startDate = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
-            endDate = new Date(startDate);
-            endDate.setMonth(startDate.getMonth() + 18);
-            endDate.setDate(0); // Last day of 18th month
-            logBuffer.push(`Manual update: regenerating full 18-month period from ${startDate.toISOString().split('T')[0]}`);
+            startDate = currentMonthStart;
+            endDate = calculateHorizonEndDate(startDate, horizonMonths);
+            logBuffer.push(`Manual update: regenerating full ${horizonMonths}-month period from ${startDate} to ${endDate}`);
         } else {
-            // Scheduled update: remove previous month, add 18th month
-            const prevMonthStart = new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1);
-            const prevMonthEnd = new Date(currentDate.getFullYear(), currentDate.getMonth(), 0);
+            // Scheduled update: remove past months, extend or trim to the last month of the horizon
+            const prevMonthStart = addMonths(currentMonthStart, -1);
+            const prevMonthEnd = addDays(currentMonthStart, -1);
             startDate = prevMonthStart;
-            endDate = new Date(currentDate);
-            endDate.setMonth(endDate.getMonth() + 18);
-            endDate.setDate(0);
-            logBuffer.push(`Scheduled update: removing ${prevMonthStart.toISOString().split('T')[0]} to ${prevMonthEnd.toISOString().split('T')[0]}, adding month ${endDate.toISOString().split('T')[0]}`);
+            endDate = calculateHorizonEndDate(currentMonthStart, horizonMonths);
+            logBuffer.push(`Scheduled update: removing ${prevMonthStart} to ${prevMonthEnd}, filling ${horizonMonths}-month horizon up to ${endDate}`);
         }
 
+        // Get national holidays for holiday rules and holidayName tagging
+        const holidayMap = await fetchHolidayMap(startDate, endDate);
+        logBuffer.push(`Holidays in range: ${Object.keys(holidayMap).length}. Holiday rules: ${formatHolidayRulesForLogging(tourData.holidayRules)}`);
+        logRecurrenceRules(tourData.recurrenceRules, logBuffer);
+        logCutoffRules(tourData.bookingCutoffRules, logBuffer);
+
         // Process existing data differently based on update type
         let updatedAvailabilityData;
         
@@ -243,8 +443,9 @@ export async function generateAvailabilityForTour(tourId, isManualUpdate = true)
                 endDate,
                 tourData,
                 highSeasonData.periods,
-                existingAvailability.availabilityData,
-                existingClosedPeriods // Use existing closed periods
+                existingRows.map(toAvailabilityEntry),
+                closedPeriodsValidation.validPeriods, // Use existing closed periods
+                holidayMap
             );
             logBuffer.push(`Manual regeneration completed: ${updatedAvailabilityData.length} dates updated`);
         } else {
@@ -253,16 +454,83 @@ export async function generateAvailabilityForTour(tourId, isManualUpdate = true)
                 currentDate,
                 tourData,
                 highSeasonData.periods,
-                existingAvailability.availabilityData,
-                existingClosedPeriods // Use existing closed periods
+                existingRows.map(toAvailabilityEntry),
+                closedPeriodsValidation.validPeriods, // Use existing closed periods
+                holidayMap
             );
             logBuffer.push(`Scheduled rotation completed: ${updatedAvailabilityData.length} dates in array`);
         }
 
-        // Update the availability record - PRESERVE existing closed periods
-        existingAvailability.availabilityData = updatedAvailabilityData;
-        // DO NOT MODIFY closedPeriods - keep existing values
-        const updatedRecord = await wixData.update("Availability", existingAvailability);
+        if (dryRun) {
+            const changeset = buildRegenerationChangeset(existingRows.map(toAvailabilityEntry), updatedAvailabilityData);
+            const bookingConflicts = collectBookingConflicts(updatedAvailabilityData);
+            logBuffer.push(`Changes: ${formatChangesetForLogging(changeset)}`);
+            logBuffer.push(`Booking conflicts: ${bookingConflicts.length}`);
+            logBuffer.push('Dry run: no changes saved');
+
+            await logSystemState({
+                stateType: isManualUpdate ? "Selected Tour Date Regeneration" : "Monthly Data Update",
+                stateCategory: "AVAILABILITY_OPERATIONS",
+                executionStatus: "Execution Completed",
+                processingStartTime: startTime,
+                processingEndTime: new Date(),
+                logData: logBuffer.join('\n'),
+                errorDetails: "",
+                affectedTourCount: 0,
+                affectedTourNames: [tourData.title || tourData.urlName]
+            });
+
+            return {
+                status: "DRY_RUN",
+                tourId: tourId,
+                tourName: tourData.urlName,
+                regeneratedDatesCount: updatedAvailabilityData.length,
+                changeset: changeset,
+                bookingConflicts: bookingConflicts
+            };
+        }
+
+        // Dates written by someone else since they were read, such as seat reservations, are refused
+        // by the version check, so they are regenerated from the latest rows and written again
+        const loadedEntries = existingRows.map(toAvailabilityEntry);
+        const writeTotals = { inserted: 0, updated: 0, removed: 0, keptBookedDates: [] };
+        for (let attempt = 1; ; attempt++) {
+            const writeResult = await saveTourDates(existingAvailability, updatedAvailabilityData, existingRows, context);
+            writeTotals.inserted += writeResult.inserted;
+            writeTotals.updated += writeResult.updated;
+            writeTotals.removed += writeResult.removed;
+            writeTotals.keptBookedDates = writeResult.keptBookedDates;
+            if (writeResult.conflicts.length === 0) {
+                break;
+            }
+            if (attempt >= MAX_SAVE_ATTEMPTS) {
+                throw new Error(`Dates kept changing during ${isManualUpdate ? 'regeneration' : 'rotation'}, try again: ${writeResult.conflicts.join(', ')}`);
+            }
+
+            logBuffer.push(`${writeResult.conflicts.length} dates changed during ${isManualUpdate ? 'regeneration' : 'rotation'}, reapplying to latest data: ${writeResult.conflicts.join(', ')}`);
+            existingRows = await loadTourDateRows(tourId);
+            const latestData = existingRows.map(toAvailabilityEntry);
+            updatedAvailabilityData = isManualUpdate ?
+                regenerateWithPreservedBookings(startDate, endDate, tourData, highSeasonData.periods, latestData, closedPeriodsValidation.validPeriods, holidayMap) :
+                rotateAvailabilityMonths(currentDate, tourData, highSeasonData.periods, latestData, closedPeriodsValidation.validPeriods, holidayMap);
+        }
+
+        const changeset = buildRegenerationChangeset(loadedEntries, updatedAvailabilityData);
+        logBuffer.push(`Changes: ${formatChangesetForLogging(changeset)}`);
+
+        // Booked dates the tour rules would close were kept open, staff has to resolve them
+        const bookingConflicts = collectBookingConflicts(updatedAvailabilityData);
+        logBuffer.push(`Booking conflicts: ${bookingConflicts.length}`);
+        bookingConflicts.forEach(conflict => {
+            logBuffer.push(`  WARNING: ${conflict.date} has ${conflict.bookedParticipants} booked - ${conflict.reason}, kept as ${conflict.status}`);
+        });
+
+        // Only the dates that changed were written - the Availability record and its closed periods stay untouched
+        const unchangedCount = updatedAvailabilityData.length - writeTotals.inserted - writeTotals.updated;
+        logBuffer.push(`Dates written: ${writeTotals.inserted} added, ${writeTotals.updated} updated, ${writeTotals.removed} removed, ${unchangedCount} unchanged`);
+        if (writeTotals.keptBookedDates.length > 0) {
+            logBuffer.push(`  WARNING: Booked dates were kept instead of removed: ${writeTotals.keptBookedDates.join(', ')}`);
+        }
 
         const endTime = new Date();
         logBuffer.push(`Successfully ${isManualUpdate ? 'regenerated' : 'updated'} availability for tour: ${tourData.title || tourData.urlName}. Duration: ${((endTime.getTime() - startTime.getTime()) / 1000).toFixed(2)}s`);
@@ -280,11 +548,17 @@ export async function generateAvailabilityForTour(tourId, isManualUpdate = true)
             affectedTourNames: [tourData.title || tourData.urlName]
         });
 
+        if (bookingConflicts.length > 0) {
+            await logBookingConflicts(tourData, bookingConflicts, isManualUpdate ? 'regeneration' : 'rotation');
+        }
+
         return {
             status: "SUCCESS",
             tourId: tourId,
             tourName: tourData.urlName,
-            regeneratedDatesCount: updatedAvailabilityData.length
+            regeneratedDatesCount: updatedAvailabilityData.length,
+            changeset: changeset,
+            bookingConflicts: bookingConflicts
         };
     } catch (error) {
         const endTime = new Date();
@@ -292,21 +566,757 @@ export async function generateAvailabilityForTour(tourId, isManualUpdate = true)
         
         // Log error to SystemState
         await logSystemState({
-            stateType: isManualUpdate ? "Selected Tour Date Regeneration" : "Monthly Data Update",
+            stateType: isManualUpdate ? "Selected Tour Date Regeneration" : "Monthly Data Update",
+            stateCategory: "AVAILABILITY_OPERATIONS",
+            executionStatus: "Executed with errors",
+            processingStartTime: startTime,
+            processingEndTime: endTime,
+            logData: logBuffer.join('\n'),
+            errorDetails: error.message,
+            affectedTourCount: 0,
+            affectedTourNames: [tourId]
+        });
+        
+        throw error;
+    }
+}
+
+/**
+ * Compare stored and regenerated dates
+ * @param {Array} existingData - Stored availability entries
+ * @param {Array} updatedData - Regenerated availability entries
+ * @returns {Object} Added and removed dates, status and season changes per date
+ */
+function buildRegenerationChangeset(existingData, updatedData) {
+    const changeset = {
+        addedDates: [],
+        removedDates: [],
+        statusChanges: [],
+        seasonChanges: [],
+        unchangedCount: 0
+    };
+
+    const existingByDate = {};
+    existingData.forEach(entry => {
+        existingByDate[entry.date] = entry;
+    });
+    const updatedDates = new Set();
+
+    updatedData.forEach(entry => {
+        updatedDates.add(entry.date);
+        const existingEntry = existingByDate[entry.date];
+
+        if (!existingEntry) {
+            changeset.addedDates.push(entry.date);
+            return;
+        }
+
+        let changed = false;
+        if (existingEntry.status !== entry.status) {
+            changeset.statusChanges.push({ date: entry.date, from: existingEntry.status, to: entry.status });
+            changed = true;
+        }
+        if (existingEntry.season !== entry.season) {
+            changeset.seasonChanges.push({ date: entry.date, from: existingEntry.season, to: entry.season });
+            changed = true;
+        }
+        if (!changed) {
+            changeset.unchangedCount++;
+        }
+    });
+
+    changeset.removedDates = existingData
+        .filter(entry => !updatedDates.has(entry.date))
+        .map(entry => entry.date)
+        .sort();
+
+    return changeset;
+}
+
+/**
+ * Lists the dates flagged with a booking conflict
+ * @param {Array} availabilityData - Availability entries
+ * @returns {Array} - Date, booked participants, status and reason of each conflict
+ */
+function collectBookingConflicts(availabilityData) {
+    return availabilityData
+        .filter(entry => entry.bookingConflict)
+        .map(entry => ({
+            date: entry.date,
+            bookedParticipants: entry.bookedParticipants || 0,
+            status: entry.status,
+            reason: entry.bookingConflict
+        }));
+}
+
+/**
+ * Logs booking conflicts as a separate entry with errors, so they show up until someone resolves them
+ * @param {Object} tourData - Tour data
+ * @param {Array} bookingConflicts - Conflicts from collectBookingConflicts
+ * @param {string} operation - "regeneration" or "rotation"
+ */
+async function logBookingConflicts(tourData, bookingConflicts, operation) {
+    const tourLabel = tourData.title || tourData.urlName;
+    const conflictLines = bookingConflicts.map(conflict =>
+        `${conflict.date}: ${conflict.bookedParticipants} booked - ${conflict.reason}, kept as ${conflict.status}`
+    );
+
+    await logSystemState({
+        stateType: "Booking Conflict",
+        stateCategory: "AVAILABILITY_OPERATIONS",
+        executionStatus: "Executed with errors",
+        processingStartTime: new Date(),
+        processingEndTime: new Date(),
+        logData: [
+            `${bookingConflicts.length} booked dates of tour ${tourLabel} would be closed by ${operation}.`,
+            'They stay open for the booked guests and accept no new reservations until the bookings are moved or released.',
+            ...conflictLines
+        ].join('\n'),
+        errorDetails: conflictLines.join('; '),
+        affectedTourCount: 1,
+        affectedTourNames: [tourLabel]
+    });
+}
+
+/**
+ * Helper function to summarize a regeneration changeset for logging
+ * @param {Object} changeset - Changeset from buildRegenerationChangeset
+ * @returns {string} One line summary
+ */
+function formatChangesetForLogging(changeset) {
+    return `${changeset.addedDates.length} dates added, ${changeset.removedDates.length} removed, ${changeset.statusChanges.length} status changes, ${changeset.seasonChanges.length} season changes, ${changeset.unchangedCount} unchanged`;
+}
+
+/**
+ * Sets or clears the capacity override of a single date
+ * The date status is derived again from bookings and the new capacity
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number|null} maxParticipants - New capacity, or null to fall back to the tour capacity
+ * @param {Object|null} changeContext - Source and reason recorded in the change history, the user is the logged in member (optional)
+ * @returns {Promise<Object>} - Update operation result
+ */
+export async function setDateCapacityOverride(tourId, dateString, maxParticipants, changeContext = null) {
+    const logBuffer = [];
+    const startTime = new Date();
+
+    try {
+        if (maxParticipants !== null && !isValidCapacity(maxParticipants)) {
+            throw new Error(`Invalid capacity: ${maxParticipants}`);
+        }
+
+        const tourData = await wixData.get("Tours", tourId);
+        if (!tourData) {
+            throw new Error(`Tour with ID ${tourId} not found`);
+        }
+
+        const availabilityQuery = await wixData.query("Availability")
+            .eq("tourName", tourId)
+            .find();
+
+        if (availabilityQuery.items.length === 0) {
+            throw new Error(`No availability found for tour: ${tourData.title || tourData.urlName}`);
+        }
+
+        await migrateAvailabilityRecord(availabilityQuery.items[0]);
+        const dateRow = await getTourDateRow(tourId, dateString);
+
+        if (!dateRow) {
+            throw new Error(`Date ${dateString} not found in availability for tour: ${tourData.title || tourData.urlName}`);
+        }
+
+        const entry = toAvailabilityEntry(dateRow);
+        if (maxParticipants === null) {
+            delete entry.capacityOverride;
+        } else {
+            entry.capacityOverride = true;
+            entry.maxParticipants = maxParticipants;
+        }
+
+        const updatedEntry = applyCapacityStatus(entry, tourData);
+        const updatedRow = await writeDateRow(dateRow, updatedEntry, await resolveStaffChangeContext(changeContext, CHANGE_SOURCES.MANAGER));
+        if (!updatedRow) {
+            throw new Error(`Date ${dateString} changed while its capacity was being updated, try again`);
+        }
+
+        logBuffer.push(`Capacity for ${dateString} on tour ${tourData.title || tourData.urlName}: ${maxParticipants === null ? 'reset to tour capacity' : `overridden to ${maxParticipants}`}`);
+        logBuffer.push(`Resulting capacity: ${updatedEntry.maxParticipants === null ? 'unlimited' : updatedEntry.maxParticipants}, booked: ${updatedEntry.bookedParticipants || 0}, status: ${updatedEntry.status}`);
+
+        await logSystemState({
+            stateType: "Date Capacity Update",
+            stateCategory: "AVAILABILITY_OPERATIONS",
+            executionStatus: "Execution Completed",
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: logBuffer.join('\n'),
+            errorDetails: "",
+            affectedTourCount: 1,
+            affectedTourNames: [tourData.title || tourData.urlName]
+        });
+
+        return {
+            status: "SUCCESS",
+            tourId: tourId,
+            date: dateString,
+            entry: updatedEntry
+        };
+    } catch (error) {
+        logBuffer.push(`ERROR: Failed to update capacity for ${dateString} on tour ID: ${tourId}. Error: ${error.message}`);
+
+        await logSystemState({
+            stateType: "Date Capacity Update",
+            stateCategory: "AVAILABILITY_OPERATIONS",
+            executionStatus: "Executed with errors",
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: logBuffer.join('\n'),
+            errorDetails: error.message,
+            affectedTourCount: 0,
+            affectedTourNames: [tourId]
+        });
+
+        throw error;
+    }
+}
+
+/**
+ * Sets the status of a single date, as done by staff on the Manager page
+ * Sold out set by staff is kept by regeneration, other statuses follow capacity
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {string} newStatus - "available", "partiallysoldout", "soldout" or "notoperating"
+ * @param {Object|null} changeContext - Source and reason recorded in the change history, the user is the logged in member (optional)
+ * @returns {Promise<Object>} - Update operation result
+ */
+export async function setDateStatus(tourId, dateString, newStatus, changeContext = null) {
+    const startTime = new Date();
+    const context = await resolveStaffChangeContext(changeContext, CHANGE_SOURCES.MANAGER);
+
+    try {
+        if (!DATE_STATUSES.includes(newStatus)) {
+            throw new Error(`Invalid status: ${newStatus}`);
+        }
+
+        const dateRow = await getTourDateRow(tourId, dateString);
+        if (!dateRow) {
+            throw new Error(`Date ${dateString} not found in availability for tour ID: ${tourId}`);
+        }
+
+        const updatedEntry = buildStatusEntry(dateRow, newStatus);
+        const updatedRow = await writeDateRow(dateRow, updatedEntry, context);
+        if (!updatedRow) {
+            throw new Error(`Date ${dateString} changed while its status was being updated, try again`);
+        }
+
+        await logSystemState({
+            stateType: "Date Status Update",
+            stateCategory: "AVAILABILITY_OPERATIONS",
+            executionStatus: "Execution Completed",
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: `Status of ${dateString} on tour ${dateRow.tourId || tourId}: ${dateRow.status} → ${newStatus}. Source: ${context.source}, user: ${context.user}${context.reason ? `, reason: ${context.reason}` : ''}`,
+            errorDetails: "",
+            affectedTourCount: 1,
+            affectedTourNames: [dateRow.tourId || tourId]
+        });
+
+        return {
+            status: "SUCCESS",
+            tourId: tourId,
+            date: dateString,
+            entry: toAvailabilityEntry(updatedRow),
+            row: updatedRow
+        };
+    } catch (error) {
+        await logSystemState({
+            stateType: "Date Status Update",
+            stateCategory: "AVAILABILITY_OPERATIONS",
+            executionStatus: "Executed with errors",
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: `Failed to set status of ${dateString} on tour ID ${tourId} to ${newStatus}: ${error.message}`,
+            errorDetails: error.message,
+            affectedTourCount: 0,
+            affectedTourNames: [tourId]
+        });
+
+        throw error;
+    }
+}
+
+/**
+ * Sets the status of every date of a tour in a range, optionally only on some weekdays
+ * Matching dates are written in one bulk write guarded by the version check, only their status and manual status change,
+ * and dates written meanwhile (for example by a seat reservation) are re-read and updated one by one
+ * All changes are recorded in the history under one batch ID, so the update can be reverted as a unit
+ * @param {string} tourId - The database ID of the tour
+ * @param {Object} options - Update options
+ * @param {string} options.from - First date as YYYY-MM-DD
+ * @param {string} options.to - Last date as YYYY-MM-DD
+ * @param {Array} options.weekdays - Weekday names (e.g., ["Monday"]), empty or missing for every day
+ * @param {string} options.status - "available", "partiallysoldout", "soldout" or "notoperating"
+ * @param {string} options.reason - Reason recorded in the change history (optional)
+ * @param {Object|null} changeContext - Source recorded in the change history, the user is the logged in member (optional)
+ * @returns {Promise<Object>} - Update result with the changed dates, the dates left in conflict and the batch ID
+ */
+export async function bulkUpdateAvailability(tourId, options, changeContext = null) {
+    const logBuffer = [];
+    const startTime = new Date();
+    const { from, to, status: newStatus, reason } = options || {};
+    const weekdays = options && Array.isArray(options.weekdays) ? options.weekdays : [];
+    const context = await resolveStaffChangeContext({ ...changeContext, reason: reason || (changeContext && changeContext.reason) }, CHANGE_SOURCES.MANAGER);
+    const batchId = `bulk-${startTime.getTime()}-${Math.random().toString(36).substring(2, 8)}`;
+    let tourLabel = tourId;
+
+    try {
+        if (!isValidDateKey(from) || !isValidDateKey(to)) {
+            throw new Error(`Invalid date range: ${from} to ${to}, expected YYYY-MM-DD`);
+        }
+        if (from > to) {
+            throw new Error(`Invalid date range: ${from} is after ${to}`);
+        }
+        if (from < getJSTToday()) {
+            throw new Error(`Past dates cannot be changed, the range starts on ${from}`);
+        }
+        if (!DATE_STATUSES.includes(newStatus)) {
+            throw new Error(`Invalid status: ${newStatus}`);
+        }
+        const invalidWeekdays = weekdays.filter(weekday => !WEEKDAY_NAMES.includes(weekday));
+        if (invalidWeekdays.length > 0) {
+            throw new Error(`Invalid weekdays: ${invalidWeekdays.join(', ')}, expected names such as "Monday"`);
+        }
+
+        const tourData = await wixData.get("Tours", tourId);
+        if (!tourData) {
+            throw new Error(`Tour with ID ${tourId} not found`);
+        }
+        tourLabel = tourData.title || tourData.urlName;
+
+        const availabilityQuery = await wixData.query("Availability")
+            .eq("tourName", tourId)
+            .find();
+        if (availabilityQuery.items.length === 0) {
+            throw new Error(`No availability found for tour: ${tourLabel}`);
+        }
+        await migrateAvailabilityRecord(availabilityQuery.items[0]);
+
+        const weekdayLabel = weekdays.length > 0 ? weekdays.join(', ') : 'every day';
+        logBuffer.push(`Setting ${from} to ${to} (${weekdayLabel}) on tour ${tourLabel} to ${newStatus} by ${context.user}${context.reason ? `, reason: ${context.reason}` : ''}`);
+
+        const matchesWeekday = row => weekdays.length === 0 || weekdays.includes(WEEKDAY_NAMES[getWeekday(row.date)]);
+        const rows = (await loadTourDateRows(tourId, from, to)).filter(matchesWeekday);
+        if (rows.length === 0) {
+            throw new Error(`No availability dates of tour ${tourLabel} match ${from} to ${to} (${weekdayLabel})`);
+        }
+
+        const changedRows = rows.filter(row => isStatusChange(row, buildStatusEntry(row, newStatus)));
+        if (changedRows.length > MAX_BULK_UPDATE_DATES) {
+            throw new Error(`${changedRows.length} dates match, a bulk update changes at most ${MAX_BULK_UPDATE_DATES}`);
+        }
+
+        const { committed, conflicts } = await commitRowsWithVersionCheck(changedRows.map(row => ({
+            dateRow: row,
+            updatedEntry: buildStatusEntry(row, newStatus)
+        })));
+        const writtenRows = committed.map(({ dateRow, committedRow }) => ({ dateRow: dateRow, updatedRow: committedRow }));
+
+        // Dates written meanwhile (for example by a seat reservation) are re-read and updated one by one
+        const conflictDates = [];
+        for (const { dateRow: row } of conflicts) {
+            let dateRow = await getTourDateRow(tourId, row.date);
+            let updatedRow = null;
+
+            for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS && dateRow; attempt++) {
+                const updatedEntry = buildStatusEntry(dateRow, newStatus);
+                if (!isStatusChange(dateRow, updatedEntry)) {
+                    break;
+                }
+
+                updatedRow = await commitWithVersionCheck(dateRow, updatedEntry);
+                if (updatedRow) {
+                    writtenRows.push({ dateRow: dateRow, updatedRow: updatedRow });
+                    break;
+                }
+                dateRow = await getTourDateRow(tourId, row.date);
+            }
+
+            if (!updatedRow && dateRow && isStatusChange(dateRow, buildStatusEntry(dateRow, newStatus))) {
+                conflictDates.push(row.date);
+            }
+        }
+
+        await recordDateChanges(writtenRows.map(({ dateRow, updatedRow }) => {
+            const change = buildDateChange(dateRow, updatedRow, context);
+            return change ? { ...change, batchId: batchId } : null;
+        }));
+
+        writtenRows.sort((a, b) => (a.updatedRow.date < b.updatedRow.date ? -1 : 1));
+        const updatedRows = writtenRows.map(({ updatedRow }) => updatedRow);
+        const bookedDates = updatedRows
+            .filter(row => newStatus === "notoperating" && (row.bookedParticipants || 0) > 0)
+            .map(row => row.date);
+
+        if (bookedDates.length > 0) {
+            logBuffer.push(`  WARNING: ${bookedDates.length} closed dates have bookings: ${bookedDates.join(', ')}`);
+        }
+        if (conflictDates.length > 0) {
+            logBuffer.push(`  WARNING: ${conflictDates.length} dates kept changing during the update and were left as they are: ${conflictDates.join(', ')}`);
+        }
+        const unchangedCount = rows.length - updatedRows.length - conflictDates.length;
+        logBuffer.push(`Updated ${updatedRows.length} dates, ${unchangedCount} already ${newStatus}${updatedRows.length > 0 ? `. Batch ID: ${batchId}` : ''}`);
+
+        await logSystemState({
+            stateType: "Bulk Status Update",
+            stateCategory: "AVAILABILITY_OPERATIONS",
+            executionStatus: "Execution Completed",
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: logBuffer.join('\n'),
+            errorDetails: "",
+            affectedTourCount: updatedRows.length > 0 ? 1 : 0,
+            affectedTourNames: [tourLabel]
+        });
+
+        return {
+            status: "SUCCESS",
+            tourId: tourId,
+            batchId: updatedRows.length > 0 ? batchId : null,
+            updatedDates: updatedRows.map(row => row.date),
+            unchangedCount: unchangedCount,
+            bookedDates: bookedDates,
+            conflictDates: conflictDates,
+            rows: updatedRows
+        };
+    } catch (error) {
+        logBuffer.push(`ERROR: Bulk status update of tour ${tourLabel} failed: ${error.message}`);
+
+        await logSystemState({
+            stateType: "Bulk Status Update",
+            stateCategory: "AVAILABILITY_OPERATIONS",
+            executionStatus: "Executed with errors",
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: logBuffer.join('\n'),
+            errorDetails: error.message,
+            affectedTourCount: 0,
+            affectedTourNames: [tourLabel]
+        });
+
+        throw error;
+    }
+}
+
+/**
+ * Builds the entry of a date set to a status by staff
+ * @param {Object} dateRow - AvailabilityDates row
+ * @param {string} newStatus - New status
+ * @returns {Object} - Updated availability entry
+ */
+function buildStatusEntry(dateRow, newStatus) {
+    const updatedEntry = {
+        ...toAvailabilityEntry(dateRow),
+        status: newStatus,
+        manualStatus: newStatus === "soldout" ? "soldout" : null
+    };
+    // Staff reopening a date cancelled for low demand decide to run it
+    if (newStatus !== "notoperating" && dateRow.goNoGoDecision === GO_NO_GO_DECISIONS.CANCELLED_LOW_DEMAND) {
+        updatedEntry.goNoGoDecision = GO_NO_GO_DECISIONS.GO;
+    }
+    // A date reopened by hand is no longer part of its emergency closure or calendar import
+    if (newStatus !== "notoperating" && dateRow.emergencyClosure) {
+        updatedEntry.emergencyClosure = null;
+    }
+    if (newStatus !== "notoperating" && dateRow.calendarClosure) {
+        updatedEntry.calendarClosure = null;
+    }
+    return updatedEntry;
+}
+
+/**
+ * Checks if setting a status changes the status or manual status of a date
+ * @param {Object} dateRow - AvailabilityDates row
+ * @param {Object} updatedEntry - Entry built by buildStatusEntry
+ * @returns {boolean} - True if the date has to be written
+ */
+function isStatusChange(dateRow, updatedEntry) {
+    return dateRow.status !== updatedEntry.status || (dateRow.manualStatus || null) !== updatedEntry.manualStatus;
+}
+
+/**
+ * Reverts a single recorded change of a date
+ * Restores status, manual status and closure markers, booking counts stay as they are
+ * The date must still hold the values the change wrote, newer changes have to be reverted first
+ * @param {string} changeId - ID of the AvailabilityChanges record
+ * @param {Object|null} changeContext - Reason of the undo, the user is the logged in member (optional)
+ * @returns {Promise<Object>} - Revert result with status "REVERTED" or "SKIPPED"
+ */
+export async function revertAvailabilityChange(changeId, changeContext = null) {
+    const startTime = new Date();
+    const context = { ...(await resolveStaffChangeContext(changeContext, CHANGE_SOURCES.UNDO)), source: CHANGE_SOURCES.UNDO };
+
+    try {
+        const change = await getDateChange(changeId);
+        if (!change) {
+            throw new Error(`Change ${changeId} not found`);
+        }
+
+        const result = await revertDateChange(change, context);
+
+        await logSystemState({
+            stateType: "Availability Change Revert",
+            stateCategory: "AVAILABILITY_OPERATIONS",
+            executionStatus: "Execution Completed",
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: `${result.status === "REVERTED" ? 'Reverted' : 'Skipped'} change of ${change.date} (${change.changedFields.join(', ')}) on tour ${change.tourId || change.tourName} by ${context.user}${result.reason ? `: ${result.reason}` : ''}`,
+            errorDetails: "",
+            affectedTourCount: result.status === "REVERTED" ? 1 : 0,
+            affectedTourNames: [change.tourId || change.tourName]
+        });
+
+        return result;
+    } catch (error) {
+        await logSystemState({
+            stateType: "Availability Change Revert",
+            stateCategory: "AVAILABILITY_OPERATIONS",
+            executionStatus: "Executed with errors",
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: `Failed to revert change ${changeId}: ${error.message}`,
+            errorDetails: error.message,
+            affectedTourCount: 0,
+            affectedTourNames: []
+        });
+
+        throw error;
+    }
+}
+
+/**
+ * Reverts every recorded change of a tour in a time window, newest first
+ * Seat changes of partner reservations and booking reconciliation are left out, booking counts are never restored
+ * Changes that cannot be reverted are skipped and listed in the result
+ * @param {string} tourId - The database ID of the tour
+ * @param {Date} fromTime - Window start
+ * @param {Date} toTime - Window end
+ * @param {Object|null} changeContext - Reason of the undo, the user is the logged in member (optional)
+ * @returns {Promise<Object>} - Reverted and skipped changes
+ */
+export async function revertAvailabilityChangesInWindow(tourId, fromTime, toTime, changeContext = null) {
+    const logBuffer = [];
+    const startTime = new Date();
+    const context = { ...(await resolveStaffChangeContext(changeContext, CHANGE_SOURCES.UNDO)), source: CHANGE_SOURCES.UNDO };
+
+    try {
+        const windowStart = new Date(fromTime);
+        const windowEnd = new Date(toTime);
+        if (isNaN(windowStart.getTime()) || isNaN(windowEnd.getTime()) || windowStart > windowEnd) {
+            throw new Error(`Invalid time window: ${fromTime} to ${toTime}`);
+        }
+
+        const changes = await getRevertibleChanges(tourId, windowStart, windowEnd);
+        logBuffer.push(`Reverting ${changes.length} changes of tour ID ${tourId} from ${windowStart.toISOString()} to ${windowEnd.toISOString()} by ${context.user}`);
+
+        const reverted = [];
+        const skipped = [];
+        for (const change of changes) {
+            const result = await revertDateChange(change, context);
+            if (result.status === "REVERTED") {
+                reverted.push(result);
+                logBuffer.push(`  - ${change.date}: reverted ${change.changedFields.join(', ')}`);
+            } else {
+                skipped.push(result);
+                logBuffer.push(`  WARNING: ${change.date}: skipped - ${result.reason}`);
+            }
+        }
+
+        logBuffer.push(`Reverted ${reverted.length} changes, skipped ${skipped.length}`);
+
+        await logSystemState({
+            stateType: "Availability Change Revert",
+            stateCategory: "AVAILABILITY_OPERATIONS",
+            executionStatus: skipped.length === 0 ? "Execution Completed" : "Executed with errors",
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: logBuffer.join('\n'),
+            errorDetails: skipped.map(result => `${result.date}: ${result.reason}`).join('; '),
+            affectedTourCount: reverted.length > 0 ? 1 : 0,
+            affectedTourNames: [tourId]
+        });
+
+        return {
+            status: skipped.length === 0 ? "SUCCESS" : "PARTIAL_FAILURE",
+            tourId: tourId,
+            revertedCount: reverted.length,
+            reverted: reverted,
+            skipped: skipped
+        };
+    } catch (error) {
+        logBuffer.push(`ERROR: Failed to revert changes of tour ID ${tourId}: ${error.message}`);
+
+        await logSystemState({
+            stateType: "Availability Change Revert",
+            stateCategory: "AVAILABILITY_OPERATIONS",
+            executionStatus: "Executed with errors",
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: logBuffer.join('\n'),
+            errorDetails: error.message,
+            affectedTourCount: 0,
+            affectedTourNames: [tourId]
+        });
+
+        throw error;
+    }
+}
+
+/**
+ * Reverts every recorded change of a bulk operation run as a unit, newest first
+ * Seat changes of partner reservations and booking reconciliation are left out, booking counts are never restored
+ * Changes that cannot be reverted are skipped and listed in the result
+ * @param {string} batchId - Run ID stored on the changes
+ * @param {Object|null} changeContext - Reason of the undo, the user is the logged in member (optional)
+ * @returns {Promise<Object>} - Reverted and skipped changes
+ */
+export async function revertAvailabilityChangeBatch(batchId, changeContext = null) {
+    const logBuffer = [];
+    const startTime = new Date();
+    const context = { ...(await resolveStaffChangeContext(changeContext, CHANGE_SOURCES.UNDO)), source: CHANGE_SOURCES.UNDO };
+    const affectedTours = new Set();
+
+    try {
+        if (!batchId) {
+            throw new Error("Batch ID is required");
+        }
+
+        const changes = await getBatchChanges(batchId);
+        logBuffer.push(`Reverting ${changes.length} changes of run ${batchId} by ${context.user}`);
+
+        const reverted = [];
+        const skipped = [];
+        for (const change of changes) {
+            const tourLabel = change.tourId || change.tourName;
+            const result = await revertDateChange(change, context);
+            if (result.status === "REVERTED") {
+                reverted.push({ ...result, tourId: change.tourName });
+                affectedTours.add(tourLabel);
+                logBuffer.push(`  - ${tourLabel} ${change.date}: reverted ${change.changedFields.join(', ')}`);
+            } else {
+                skipped.push({ ...result, tourId: change.tourName });
+                logBuffer.push(`  WARNING: ${tourLabel} ${change.date}: skipped - ${result.reason}`);
+            }
+        }
+
+        logBuffer.push(`Reverted ${reverted.length} changes on ${affectedTours.size} tours, skipped ${skipped.length}`);
+
+        await logSystemState({
+            stateType: "Availability Change Revert",
+            stateCategory: "AVAILABILITY_OPERATIONS",
+            executionStatus: skipped.length === 0 ? "Execution Completed" : "Executed with errors",
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: logBuffer.join('\n'),
+            errorDetails: skipped.map(result => `${result.date}: ${result.reason}`).join('; '),
+            affectedTourCount: affectedTours.size,
+            affectedTourNames: [...affectedTours]
+        });
+
+        return {
+            status: skipped.length === 0 ? "SUCCESS" : "PARTIAL_FAILURE",
+            batchId: batchId,
+            revertedCount: reverted.length,
+            reverted: reverted,
+            skipped: skipped
+        };
+    } catch (error) {
+        logBuffer.push(`ERROR: Failed to revert changes of run ${batchId}: ${error.message}`);
+
+        await logSystemState({
+            stateType: "Availability Change Revert",
             stateCategory: "AVAILABILITY_OPERATIONS",
             executionStatus: "Executed with errors",
             processingStartTime: startTime,
-            processingEndTime: endTime,
+            processingEndTime: new Date(),
             logData: logBuffer.join('\n'),
             errorDetails: error.message,
-            affectedTourCount: 0,
-            affectedTourNames: [tourId]
+            affectedTourCount: affectedTours.size,
+            affectedTourNames: [...affectedTours]
         });
-        
+
         throw error;
     }
 }
 
+/**
+ * Restores the status and closure markers a date held before a recorded change
+ * @param {Object} change - AvailabilityChanges record
+ * @param {Object} context - Resolved undo context
+ * @returns {Promise<Object>} - Result with status "REVERTED" or "SKIPPED" and the reason
+ */
+async function revertDateChange(change, context) {
+    const result = { changeId: change._id, date: change.date, status: "SKIPPED", reason: null };
+
+    if (change.revertedAt) {
+        result.reason = "Change was already reverted";
+        return result;
+    }
+    if (change.source === CHANGE_SOURCES.UNDO) {
+        result.reason = "Undo records cannot be reverted";
+        return result;
+    }
+    if (change.removed) {
+        result.reason = "Removed dates cannot be restored, regenerate the tour instead";
+        return result;
+    }
+    if (!isRevertibleChange(change)) {
+        result.reason = "Seat changes of bookings cannot be reverted, cancel the booking instead";
+        return result;
+    }
+
+    const dateRow = await wixData.get(AVAILABILITY_DATES_COLLECTION, change.rowId);
+    if (!dateRow) {
+        result.reason = "Date no longer exists";
+        return result;
+    }
+    if (!hasTrackedValues(dateRow, change.newValue)) {
+        result.reason = "Date changed again since, revert the newer changes first";
+        return result;
+    }
+
+    // Booking counts stay as they are now, only status and closure markers are restored
+    const restoredEntry = { ...toAvailabilityEntry(dateRow), ...pickRestoredValues(change.previousValue) };
+    const updatedRow = await writeDateRow(dateRow, restoredEntry, context, { revertOf: change._id });
+    if (!updatedRow) {
+        result.reason = "Date changed during the revert, try again";
+        return result;
+    }
+    await markDateChangeReverted(change, context);
+
+    result.status = "REVERTED";
+    return result;
+}
+
+/**
+ * Writes a single date row through the version check and records the change in the history
+ * @param {Object} dateRow - AvailabilityDates row as read
+ * @param {Object} updatedEntry - New availability entry for the date
+ * @param {Object} context - Resolved change context
+ * @param {Object} extraChangeFields - Additional fields for the history record
+ * @returns {Promise<Object|null>} - Updated row, or null if the date was written by someone else since it was read
+ */
+async function writeDateRow(dateRow, updatedEntry, context, extraChangeFields = {}) {
+    const updatedRow = await commitWithVersionCheck(dateRow, updatedEntry);
+    if (!updatedRow) {
+        return null;
+    }
+
+    const change = buildDateChange(dateRow, updatedRow, context);
+    if (change) {
+        await recordDateChanges([{ ...change, ...extraChangeFields }]);
+    }
+    return updatedRow;
+}
+
 /**
  * Fetches high season periods from HighSeasonPeriods collection with proper jsonCode parsing
  * @param {string} highSeasonId - Single HighSeasonPeriods reference ID  
@@ -381,58 +1391,175 @@ export async function fetchCancellationPolicy(cancellationPolicyId) {
     }
 }
 
+/**
+ * Fetches Japanese national holidays for a date range as a lookup map
+ * Range starts one day early so "closed day after holiday" works on the first date
+ * @param {string} startDate - Start date as YYYY-MM-DD
+ * @param {string} endDate - End date as YYYY-MM-DD
+ * @returns {Promise<Object>} - Holiday names keyed by YYYY-MM-DD date
+ */
+async function fetchHolidayMap(startDate, endDate) {
+    const holidayMap = {};
+
+    try {
+        // Holiday dates are compared as midnight UTC, so pass the range the same way
+        const holidays = await getHolidaysInRange(dateKeyToUTCDate(addDays(startDate, -1)), dateKeyToUTCDate(endDate));
+
+        holidays.forEach(holiday => {
+            holidayMap[holiday.date] = holiday.name;
+        });
+    } catch (error) {
+        console.error("Error fetching holidays for availability:", error);
+    }
+
+    return holidayMap;
+}
+
+/**
+ * Formats tour holiday rules for logging
+ * @param {Array} holidayRules - Holiday rule tags from tour data
+ * @returns {string} - Comma separated rules or "None"
+ */
+function formatHolidayRulesForLogging(holidayRules) {
+    if (!Array.isArray(holidayRules) || holidayRules.length === 0) {
+        return "None";
+    }
+    return holidayRules.join(', ');
+}
+
 /**
  * Generates availability data for date range with proper status and season detection
- * @param {Date} startDate - Start date
- * @param {Date} endDate - End date
+ * @param {string} startDate - Start date as YYYY-MM-DD
+ * @param {string} endDate - End date as YYYY-MM-DD
  * @param {Object} tourData - Tour data
  * @param {Array} highSeasonPeriods - High season periods data with parsed jsonCode
  * @param {Array} closedPeriods - Closed periods array with new format
+ * @param {Object} holidayMap - Holiday names keyed by YYYY-MM-DD date
  * @returns {Array} - Generated availability data
  */
-function generateAvailabilityData(startDate, endDate, tourData, highSeasonPeriods, closedPeriods) {
+function generateAvailabilityData(startDate, endDate, tourData, highSeasonPeriods, closedPeriods, holidayMap) {
     const availabilityData = [];
-    const currentDate = new Date(startDate);
+    let dateString = startDate;
     
-    while (currentDate <= endDate) {
-        const dateString = currentDate.toISOString().split('T')[0];
-        
-        // Check if date is in closed periods using new format
-        const isClosedDate = isDateInClosedPeriods(currentDate, closedPeriods);
-        
-        // Determine if tour operates on this day based on runDays
-        const isOperatingDay = !isClosedDate && isDateOperatingDay(currentDate, tourData.runDays);
+    while (dateString <= endDate) {
+        // Determine if tour operates on this day from closed periods, runDays and holiday rules
+        const isOperatingDay = isTourOperatingOnDate(dateString, tourData, closedPeriods, holidayMap);
         
         // Check high season detection
-        const isHighSeason = checkDateInHighSeasonPeriods(currentDate, highSeasonPeriods);
-        
+        const isHighSeason = checkDateInHighSeasonPeriods(dateString, highSeasonPeriods);
+
+        // Resolve capacity and time slots from tour configuration
+        const maxParticipants = resolveMaxParticipants(tourData, null);
+        const timeSlots = isOperatingDay ? buildTimeSlots(tourData, null) : [];
+
         // Create availability entry
-        availabilityData.push({
+        const entry = {
             date: dateString,
-            status: isOperatingDay ? "available" : "notoperating",
+            status: isOperatingDay ? deriveDayStatus(0, maxParticipants, timeSlots) : "notoperating",
             bookedParticipants: 0,
-            season: isHighSeason ? "high" : "normal"
-        });
+            maxParticipants: maxParticipants,
+            season: isHighSeason ? "high" : "normal",
+            holidayName: holidayMap[dateString] || null
+        };
+        if (timeSlots.length > 0) {
+            entry.timeSlots = timeSlots;
+        }
+        availabilityData.push(entry);
         
         // Move to next day
-        currentDate.setDate(currentDate.getDate() + 1);
+        dateString = addDays(dateString, 1);
     }
     
     return availabilityData;
 }
 
+/**
+ * Determines if the tour operates on a date
+ * Closed periods always close the date, then holiday rules, then runDays or recurrence rules apply
+ * @param {string} dateString - Date to check as YYYY-MM-DD
+ * @param {Object} tourData - Tour data with runDays, recurrenceRules and holidayRules
+ * @param {Array} closedPeriods - Closed periods array
+ * @param {Object} holidayMap - Holiday names keyed by YYYY-MM-DD date
+ * @returns {boolean} - True if the tour operates on the date
+ */
+function isTourOperatingOnDate(dateString, tourData, closedPeriods, holidayMap) {
+    return getClosureReason(dateString, tourData, closedPeriods, holidayMap) === null;
+}
+
+/**
+ * Determines why the tour does not operate on a date
+ * Uses the same order as isTourOperatingOnDate
+ * @param {string} dateString - Date to check as YYYY-MM-DD
+ * @param {Object} tourData - Tour data with runDays, recurrenceRules and holidayRules
+ * @param {Array} closedPeriods - Closed periods array
+ * @param {Object} holidayMap - Holiday names keyed by YYYY-MM-DD date
+ * @returns {string|null} - Reason the date is closed, or null if the tour operates
+ */
+function getClosureReason(dateString, tourData, closedPeriods, holidayMap) {
+    if (isDateInClosedPeriods(dateString, closedPeriods)) {
+        return "Closed period";
+    }
+
+    const holidayRules = Array.isArray(tourData.holidayRules) ? tourData.holidayRules : [];
+    const previousDayHoliday = holidayMap[addDays(dateString, -1)];
+
+    if (holidayRules.includes(HOLIDAY_RULES.CLOSED_DAY_AFTER_HOLIDAY) && previousDayHoliday) {
+        return `Closed day after holiday (${previousDayHoliday})`;
+    }
+
+    if (holidayMap[dateString]) {
+        if (holidayRules.includes(HOLIDAY_RULES.CLOSED_ON_HOLIDAYS)) {
+            return `Closed on holiday (${holidayMap[dateString]})`;
+        }
+        if (holidayRules.includes(HOLIDAY_RULES.RUN_ON_HOLIDAYS)) {
+            return null;
+        }
+    }
+
+    if (isDateOperatingDay(dateString, tourData.runDays) || matchesRecurrenceRules(dateString, tourData.recurrenceRules)) {
+        return null;
+    }
+    return "Not a run day";
+}
+
+/**
+ * Log the tour recurrence rules and any invalid ones, which are ignored during generation
+ * @param {Array} recurrenceRules - RRULE strings from tour data
+ * @param {Array} logBuffer - Operation log buffer
+ */
+function logRecurrenceRules(recurrenceRules, logBuffer) {
+    const recurrenceValidation = validateRecurrenceRules(recurrenceRules);
+    logBuffer.push(`Recurrence rules: ${recurrenceValidation.validRules.length > 0 ? recurrenceValidation.validRules.map(rule => rule.source).join(' | ') : 'None'}`);
+    recurrenceValidation.errors.forEach(error => {
+        logBuffer.push(`  WARNING: Ignored invalid recurrence rule - ${error}`);
+    });
+}
+
+/**
+ * Logs the booking cutoff rules of a tour and warns about invalid ones
+ * @param {Array} bookingCutoffRules - Cutoff rule strings from tour data
+ * @param {Array} logBuffer - Log lines of the running operation
+ */
+function logCutoffRules(bookingCutoffRules, logBuffer) {
+    const cutoffValidation = validateCutoffRules(bookingCutoffRules);
+    logBuffer.push(`Booking cutoff rules: ${cutoffValidation.validRules.length > 0 ? cutoffValidation.validRules.map(rule => rule.source).join(' | ') : 'None'}`);
+    cutoffValidation.errors.forEach(error => {
+        logBuffer.push(`  WARNING: Ignored invalid booking cutoff rule - ${error}`);
+    });
+}
+
 /**
  * Checks if a date is an operating day based on runDays tags
- * @param {Date} date - Date to check
+ * @param {string} dateString - Date to check as YYYY-MM-DD
  * @param {Array} runDays - Array of day names (e.g., ["Monday", "Tuesday", ...])
  * @returns {boolean} - True if date is an operating day
  */
-function isDateOperatingDay(date, runDays) {
+function isDateOperatingDay(dateString, runDays) {
     if (!runDays || !Array.isArray(runDays) || runDays.length === 0) {
         return false;
     }
     
-    const dayOfWeek = date.getDay(); // 0 = Sunday, 6 = Saturday
+    const dayOfWeek = getWeekday(dateString); // 0 = Sunday, 6 = Saturday
     const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
     const currentDayName = dayNames[dayOfWeek];
     
@@ -442,17 +1569,16 @@ function isDateOperatingDay(date, runDays) {
 
 /**
  * Checks if a date falls within high season periods with proper cross-year support
- * @param {Date} date - Date to check
+ * @param {string} dateString - Date to check as YYYY-MM-DD
  * @param {Array} highSeasonPeriods - Array of high season period objects with from/to
  * @returns {boolean} - True if date is in high season
  */
-function checkDateInHighSeasonPeriods(date, highSeasonPeriods) {
+function checkDateInHighSeasonPeriods(dateString, highSeasonPeriods) {
     if (!highSeasonPeriods || highSeasonPeriods.length === 0) {
         return false;
     }
     
-    const month = date.getMonth() + 1; // 1-12
-    const day = date.getDate();
+    const { month, day } = parseDateKey(dateString); // month 1-12
     
     // Check if date falls within any high season period
     return highSeasonPeriods.some(period => {
@@ -488,17 +1614,17 @@ function checkDateInHighSeasonPeriods(date, highSeasonPeriods) {
 /**
  * Checks if a date is in closed periods using new JSON format
  * Complete implementation to handle new closedPeriods format with startMonth/startDay/endMonth/endDay
- * @param {Date} date - Date to check
+ * One-off periods with startYear/endYear only match dates inside that exact range
+ * @param {string} dateString - Date to check as YYYY-MM-DD
  * @param {Array} closedPeriods - Array of closed period objects with new format
  * @returns {boolean} - True if date is in closed periods
  */
-function isDateInClosedPeriods(date, closedPeriods) {
+export function isDateInClosedPeriods(dateString, closedPeriods) {
     if (!closedPeriods || closedPeriods.length === 0) {
         return false;
     }
     
-    const month = date.getMonth() + 1; // 1-12 (JavaScript month is 0-based)
-    const day = date.getDate(); // 1-31
+    const { month, day } = parseDateKey(dateString); // month 1-12, day 1-31
     
     // Check if date falls within any closed period
     return closedPeriods.some(period => {
@@ -506,6 +1632,13 @@ function isDateInClosedPeriods(date, closedPeriods) {
             return false;
         }
         
+        // One-off period bound to specific years
+        if (isAbsoluteClosedPeriod(period)) {
+            const startDate = formatClosedPeriodBoundary(period.startYear, period.startMonth, period.startDay);
+            const endDate = formatClosedPeriodBoundary(period.endYear, period.endMonth, period.endDay);
+            return dateString >= startDate && dateString <= endDate;
+        }
+        
         const startMonth = period.startMonth;
         const startDay = period.startDay;
         const endMonth = period.endMonth;
@@ -547,16 +1680,392 @@ function isDateInClosedPeriods(date, closedPeriods) {
 }
 
 /**
- * Regenerates availability data while preserving booking information
- * @param {Date} startDate - Start date
- * @param {Date} endDate - End date
+ * Resolves the capacity for a date from tour configuration or a per-date override
+ * @param {Object} tourData - Tour data with optional maxParticipants
+ * @param {Object|null} existingEntry - Existing availability entry, if any
+ * @returns {number|null} - Maximum participants, or null when capacity is unlimited
+ */
+function resolveMaxParticipants(tourData, existingEntry) {
+    if (existingEntry && existingEntry.capacityOverride && isValidCapacity(existingEntry.maxParticipants)) {
+        return existingEntry.maxParticipants;
+    }
+
+    return isValidCapacity(tourData.maxParticipants) ? tourData.maxParticipants : null;
+}
+
+/**
+ * Checks if a value is a usable capacity (whole number, zero or more)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if value can be used as maxParticipants
+ */
+function isValidCapacity(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Resolves the number of months of availability kept for a tour
+ * Uses the tour's availabilityHorizonMonths setting, falling back to the default
+ * @param {Object} tourData - Tour data
+ * @returns {number} - Horizon in months
+ */
+export function resolveHorizonMonths(tourData) {
+    return tourData && isValidHorizonMonths(tourData.availabilityHorizonMonths) ?
+        tourData.availabilityHorizonMonths :
+        DEFAULT_HORIZON_MONTHS;
+}
+
+/**
+ * Checks if a value is a usable horizon setting
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if value is an integer within the allowed range
+ */
+function isValidHorizonMonths(value) {
+    return Number.isInteger(value) && value >= MIN_HORIZON_MONTHS && value <= MAX_HORIZON_MONTHS;
+}
+
+/**
+ * Calculates the last date of a horizon starting at the month of startDate
+ * @param {string} startDate - Any date in the first month of the horizon as YYYY-MM-DD
+ * @param {number} horizonMonths - Horizon in months
+ * @returns {string} - Last day of the final horizon month as YYYY-MM-DD
+ */
+function calculateHorizonEndDate(startDate, horizonMonths) {
+    return getMonthEnd(addMonths(getMonthStart(startDate), horizonMonths - 1));
+}
+
+/**
+ * Derives the status of an operating date from its bookings and capacity
+ * @param {number} bookedParticipants - Participants already booked
+ * @param {number|null} maxParticipants - Capacity, null when unlimited
+ * @returns {string} - "available", "partiallysoldout" or "soldout"
+ */
+function deriveCapacityStatus(bookedParticipants, maxParticipants) {
+    if (maxParticipants === null || maxParticipants === undefined) {
+        return "available";
+    }
+
+    const booked = bookedParticipants || 0;
+
+    if (booked >= maxParticipants) {
+        return "soldout";
+    }
+    if (booked >= Math.ceil(maxParticipants * NEAR_CAPACITY_RATIO)) {
+        return "partiallysoldout";
+    }
+    return "available";
+}
+
+/**
+ * Checks if a date was set to sold out by staff rather than by capacity
+ * Entries created before capacity tracking have no maxParticipants field,
+ * so a sold out status on them can only have been set by hand
+ * @param {Object} entry - Availability entry
+ * @returns {boolean} - True if sold out status must be preserved
+ */
+function isManuallySoldOut(entry) {
+    if (entry.manualStatus !== undefined) {
+        return entry.manualStatus === "soldout";
+    }
+    return entry.status === "soldout" && entry.maxParticipants === undefined;
+}
+
+/**
+ * Refreshes capacity and derived status of an existing entry
+ * Slot statuses are refreshed and rolled up into the day status
+ * Not operating dates and manual sold out dates keep their status
+ * A booking conflict is resolved once its date has no bookings left
+ * @param {Object} entry - Existing availability entry
+ * @param {Object} tourData - Tour data
+ * @returns {Object} - Updated availability entry
+ */
+export function applyCapacityStatus(entry, tourData) {
+    const maxParticipants = resolveMaxParticipants(tourData, entry);
+    const updatedEntry = { ...entry, maxParticipants: maxParticipants };
+
+    if (Array.isArray(entry.timeSlots)) {
+        updatedEntry.timeSlots = entry.timeSlots.map(refreshSlotStatus);
+    }
+
+    // The last booking of a conflicting date is gone, so the date closes as its rules require
+    if (entry.bookingConflict && !((entry.bookedParticipants || 0) > 0)) {
+        delete updatedEntry.bookingConflict;
+        updatedEntry.status = "notoperating";
+        return updatedEntry;
+    }
+
+    if (entry.status === "notoperating") {
+        return updatedEntry;
+    }
+
+    if (isManuallySoldOut(entry)) {
+        updatedEntry.status = "soldout";
+        updatedEntry.manualStatus = "soldout";
+    } else {
+        updatedEntry.status = deriveDayStatus(entry.bookedParticipants, maxParticipants, updatedEntry.timeSlots);
+    }
+
+    return updatedEntry;
+}
+
+/**
+ * Adds the computed bookable flag to a date and its time slots
+ * A date or slot is bookable while it operates, is not sold out or in conflict,
+ * is not blocked by another tour using a shared resource, has a guide when the tour requires one,
+ * and the booking cutoff rules of the tour have not closed its sales yet
+ * The flag depends on the current time and on other tours, so it is computed on read and never stored
+ * @param {Object} entry - Availability entry
+ * @param {Object} tourData - Tour data with optional bookingCutoffRules and requiresGuide
+ * @param {Date} now - Current instant (defaults to now)
+ * @param {Object|null} resourceBlock - Shared resource block of the date from getResourceBlocks (optional)
+ * @returns {Object} - Availability entry with bookable flags
+ */
+export function applyBookableFlags(entry, tourData, now = new Date(), resourceBlock = null) {
+    const cutoffRules = tourData ? tourData.bookingCutoffRules : null;
+    const isOnSale = entry.status !== "notoperating" &&
+        entry.status !== "soldout" &&
+        !isManuallySoldOut(entry) &&
+        !entry.bookingConflict &&
+        !(tourData && tourData.requiresGuide && !entry.guideId) &&
+        !(resourceBlock && resourceBlock.startTimes === null);
+
+    const flaggedEntry = { ...entry };
+    if (resourceBlock) {
+        flaggedEntry.resourceBlock = resourceBlock;
+    }
+
+    if (Array.isArray(entry.timeSlots) && entry.timeSlots.length > 0) {
+        flaggedEntry.timeSlots = entry.timeSlots.map(slot => ({
+            ...slot,
+            bookable: isOnSale &&
+                slot.status !== "soldout" &&
+                !(resourceBlock && resourceBlock.startTimes.includes(slot.startTime)) &&
+                isSalesOpen(entry.date, slot.startTime, cutoffRules, now)
+        }));
+        flaggedEntry.bookable = flaggedEntry.timeSlots.some(slot => slot.bookable);
+    } else {
+        flaggedEntry.bookable = isOnSale && isSalesOpen(entry.date, getDateStartTime(entry), cutoffRules, now);
+    }
+
+    return flaggedEntry;
+}
+
+/**
+ * Loads the dates of a tour with their computed bookable flags
+ * Dates blocked by shared resources carry the block with its reason in resourceBlock
+ * A tour still stored in the legacy availabilityData array is migrated to date rows first
+ * @param {string} tourId - The database ID of the tour
+ * @param {string|null} fromDate - First date as YYYY-MM-DD (optional)
+ * @param {string|null} toDate - Last date as YYYY-MM-DD (optional)
+ * @returns {Promise<Array>} - Availability entries sorted by date
+ */
+export async function loadBookableTourDates(tourId, fromDate = null, toDate = null) {
+    const tourData = await wixData.get("Tours", tourId);
+    if (!tourData) {
+        throw new Error(`Tour with ID ${tourId} not found`);
+    }
+
+    const availabilityQuery = await wixData.query("Availability")
+        .eq("tourName", tourId)
+        .find();
+    if (availabilityQuery.items.length > 0) {
+        await migrateAvailabilityRecord(availabilityQuery.items[0]);
+    }
+
+    const now = new Date();
+    const rows = await loadTourDateRows(tourId, fromDate, toDate);
+    const resourceBlocks = await getResourceBlocks(tourId, fromDate, toDate);
+    return rows.map(row => applyBookableFlags(toAvailabilityEntry(row), tourData, now, resourceBlocks[row.date] || null));
+}
+
+/**
+ * Formats the time slots generated from tour hours for logging
+ * @param {Object} tourData - Tour data
+ * @returns {string} - Slot times with per-slot capacity
+ */
+function formatTimeSlotsForLogging(tourData) {
+    const hours = parseHoursOfAvailability(tourData.hoursOfAvailability);
+    if (hours.length === 0) {
+        return "None generated";
+    }
+
+    const slotCapacity = resolveSlotCapacity(tourData);
+    const times = hours.map(hour => hour.endTime ? `${hour.startTime}-${hour.endTime}` : hour.startTime).join(', ');
+    return `${times} (${slotCapacity === null ? 'unlimited' : slotCapacity} per slot)`;
+}
+
+/**
+ * Derives the status of an operating date from its capacity and time slots
+ * The day is sold out when its own capacity or every slot is full,
+ * and partially sold out when some slots are full
+ * @param {number} bookedParticipants - Participants booked on the day
+ * @param {number|null} maxParticipants - Day capacity, null when unlimited
+ * @param {Array} timeSlots - Time slots of the day
+ * @returns {string} - "available", "partiallysoldout" or "soldout"
+ */
+function deriveDayStatus(bookedParticipants, maxParticipants, timeSlots) {
+    const capacityStatus = deriveCapacityStatus(bookedParticipants, maxParticipants);
+    if (capacityStatus === "soldout" || !Array.isArray(timeSlots) || timeSlots.length === 0) {
+        return capacityStatus;
+    }
+
+    const fullSlots = timeSlots.filter(slot => slot.status === "soldout").length;
+    if (fullSlots === timeSlots.length) {
+        return "soldout";
+    }
+    if (fullSlots > 0) {
+        return "partiallysoldout";
+    }
+    return capacityStatus;
+}
+
+/**
+ * Builds the time slots of an operating date from the tour hoursOfAvailability
+ * Bookings and capacity overrides of existing slots are kept by start time,
+ * and existing slots with bookings are kept even when the hours no longer include them
+ * Tours without usable hours keep their existing slots unchanged
+ * @param {Object} tourData - Tour data
+ * @param {Array|null} existingSlots - Current time slots of the date
+ * @returns {Array} - Time slots sorted by start time
+ */
+function buildTimeSlots(tourData, existingSlots) {
+    const currentSlots = Array.isArray(existingSlots) ? existingSlots : [];
+    const hours = parseHoursOfAvailability(tourData.hoursOfAvailability);
+
+    if (hours.length === 0) {
+        return currentSlots.map(refreshSlotStatus);
+    }
+
+    const slotCapacity = resolveSlotCapacity(tourData);
+    const existingSlotMap = {};
+    currentSlots.forEach(slot => {
+        if (slot && slot.startTime) {
+            existingSlotMap[slot.startTime] = slot;
+        }
+    });
+
+    const timeSlots = hours.map(hour => {
+        const existingSlot = existingSlotMap[hour.startTime];
+        const hasOverride = !!(existingSlot && existingSlot.capacityOverride && isValidCapacity(existingSlot.maxParticipants));
+        const slot = {
+            startTime: hour.startTime,
+            endTime: hour.endTime,
+            maxParticipants: hasOverride ? existingSlot.maxParticipants : slotCapacity,
+            bookedParticipants: existingSlot ? (existingSlot.bookedParticipants || 0) : 0
+        };
+        if (hasOverride) {
+            slot.capacityOverride = true;
+        }
+        return refreshSlotStatus(slot);
+    });
+
+    // Never drop a slot that already has bookings
+    const generatedTimes = hours.map(hour => hour.startTime);
+    currentSlots
+        .filter(slot => slot && !generatedTimes.includes(slot.startTime) && (slot.bookedParticipants || 0) > 0)
+        .forEach(slot => timeSlots.push(refreshSlotStatus(slot)));
+
+    return timeSlots.sort((a, b) => String(a.startTime).localeCompare(String(b.startTime)));
+}
+
+/**
+ * Refreshes the derived status of a time slot from its bookings and capacity
+ * @param {Object} slot - Time slot
+ * @returns {Object} - Time slot with updated status
+ */
+function refreshSlotStatus(slot) {
+    const maxParticipants = isValidCapacity(slot.maxParticipants) ? slot.maxParticipants : null;
+    return {
+        ...slot,
+        maxParticipants: maxParticipants,
+        bookedParticipants: slot.bookedParticipants || 0,
+        status: deriveCapacityStatus(slot.bookedParticipants, maxParticipants)
+    };
+}
+
+/**
+ * Resolves the capacity of each time slot
+ * Uses maxParticipantsPerSlot, then the tour capacity, otherwise unlimited
+ * @param {Object} tourData - Tour data
+ * @returns {number|null} - Slot capacity, null when unlimited
+ */
+function resolveSlotCapacity(tourData) {
+    if (isValidCapacity(tourData.maxParticipantsPerSlot)) {
+        return tourData.maxParticipantsPerSlot;
+    }
+    return isValidCapacity(tourData.maxParticipants) ? tourData.maxParticipants : null;
+}
+
+/**
+ * Parses tour hoursOfAvailability into slot start and end times
+ * Accepts "HH:MM" or "HH:MM-HH:MM" strings (array or comma separated)
+ * and objects with startTime/endTime, invalid values are skipped
+ * @param {Array|string} hoursOfAvailability - Tour hours of availability
+ * @returns {Array} - Unique slot times sorted by start time
+ */
+export function parseHoursOfAvailability(hoursOfAvailability) {
+    let values = hoursOfAvailability;
+    if (typeof values === "string") {
+        values = values.split(/[,\n]/);
+    }
+    if (!Array.isArray(values)) {
+        return [];
+    }
+
+    const slotMap = {};
+    values.forEach(value => {
+        let startTime = null;
+        let endTime = null;
+
+        if (typeof value === "string") {
+            const match = value.trim().match(/^(\d{1,2}:\d{2})(?:\s*[-~–]\s*(\d{1,2}:\d{2}))?$/);
+            if (match) {
+                startTime = normalizeTime(match[1]);
+                endTime = match[2] ? normalizeTime(match[2]) : null;
+            }
+        } else if (value && typeof value === "object") {
+            startTime = normalizeTime(value.startTime || value.start);
+            endTime = normalizeTime(value.endTime || value.end);
+        }
+
+        if (startTime && !slotMap[startTime]) {
+            slotMap[startTime] = { startTime: startTime, endTime: endTime };
+        }
+    });
+
+    return Object.values(slotMap).sort((a, b) => a.startTime.localeCompare(b.startTime));
+}
+
+/**
+ * Normalizes a time value to HH:MM
+ * @param {string} value - Time such as "9:00" or "09:00"
+ * @returns {string|null} - Normalized time, or null if invalid
+ */
+function normalizeTime(value) {
+    if (typeof value !== "string") {
+        return null;
+    }
+
+    const match = value.trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        return null;
+    }
+    return `${match[1].padStart(2, "0")}:${match[2]}`;
+}
+
+/**
+ * Regenerates availability data while preserving booking information, staff overrides and guide assignments
+ * Dates beyond endDate that already have bookings are kept when the horizon was shortened
+ * Booked dates that the tour rules would close stay open and get a bookingConflict reason
+ * @param {string} startDate - Start date as YYYY-MM-DD
+ * @param {string} endDate - End date as YYYY-MM-DD
  * @param {Object} tourData - Tour data
  * @param {Array} highSeasonPeriods - High season periods
  * @param {Array} existingData - Existing availability data
  * @param {Array} closedPeriods - Closed periods with new format
+ * @param {Object} holidayMap - Holiday names keyed by YYYY-MM-DD date
  * @returns {Array} - Updated availability data
  */
-function regenerateWithPreservedBookings(startDate, endDate, tourData, highSeasonPeriods, existingData, closedPeriods) {
+function regenerateWithPreservedBookings(startDate, endDate, tourData, highSeasonPeriods, existingData, closedPeriods, holidayMap) {
     // Create a map of existing data for quick lookup
     const existingDataMap = {};
     existingData.forEach(item => {
@@ -565,115 +2074,176 @@ function regenerateWithPreservedBookings(startDate, endDate, tourData, highSeaso
     
     // Generate new data
     const newData = [];
-    const currentDate = new Date(startDate);
+    let dateString = startDate;
     
-    while (currentDate <= endDate) {
-        const dateString = currentDate.toISOString().split('T')[0];
-        
-        // Check if date is in closed periods using new format
-        const isClosedDate = isDateInClosedPeriods(currentDate, closedPeriods);
-        
-        // Determine if tour operates on this day based on runDays
-        const isOperatingDay = !isClosedDate && isDateOperatingDay(currentDate, tourData.runDays);
+    while (dateString <= endDate) {
+        // Determine if tour operates on this day from closed periods, runDays and holiday rules
+        const closureReason = getClosureReason(dateString, tourData, closedPeriods, holidayMap);
+        let isOperatingDay = closureReason === null;
         
         // Determine season based on high season periods
-        const isHighSeason = checkDateInHighSeasonPeriods(currentDate, highSeasonPeriods);
+        const isHighSeason = checkDateInHighSeasonPeriods(dateString, highSeasonPeriods);
         
         // Create new entry, preserving booking information if exists
         const existingEntry = existingDataMap[dateString];
-        
+        const bookedParticipants = existingEntry ? (existingEntry.bookedParticipants || 0) : 0;
+        const maxParticipants = resolveMaxParticipants(tourData, existingEntry);
+
+        // Never close a booked date silently: it stays open for its guests and is flagged for staff
+        const hasBookingConflict = !isOperatingDay && bookedParticipants > 0;
+        if (hasBookingConflict) {
+            isOperatingDay = true;
+        }
+
+        // Rebuild time slots from tour hours, keeping slot bookings and overrides
+        const existingSlots = existingEntry ? existingEntry.timeSlots : null;
+        const timeSlots = isOperatingDay ?
+            buildTimeSlots(tourData, existingSlots) :
+            (Array.isArray(existingSlots) ? existingSlots.map(refreshSlotStatus) : []);
+
         const newEntry = {
             date: dateString,
-            status: isOperatingDay ? "available" : "notoperating",
-            bookedParticipants: existingEntry ? existingEntry.bookedParticipants : 0,
-            season: isHighSeason ? "high" : "normal"
+            status: isOperatingDay ? deriveDayStatus(bookedParticipants, maxParticipants, timeSlots) : "notoperating",
+            bookedParticipants: bookedParticipants,
+            maxParticipants: maxParticipants,
+            season: isHighSeason ? "high" : "normal",
+            holidayName: holidayMap[dateString] || null
         };
-        
-        // Preserve custom statuses and time slots if exist
+        if (timeSlots.length > 0) {
+            newEntry.timeSlots = timeSlots;
+        }
+        if (hasBookingConflict) {
+            newEntry.bookingConflict = closureReason;
+        }
+
+        // Preserve manual sold out and capacity overrides if exist
         if (existingEntry) {
-            if (existingEntry.status === "soldout" || existingEntry.status === "partiallysoldout") {
-                newEntry.status = existingEntry.status;
+            if (isOperatingDay && isManuallySoldOut(existingEntry)) {
+                newEntry.status = "soldout";
+                newEntry.manualStatus = "soldout";
+            }
+            if (existingEntry.capacityOverride) {
+                newEntry.capacityOverride = true;
             }
-            if (existingEntry.timeSlots) {
-                newEntry.timeSlots = existingEntry.timeSlots;
+            if (existingEntry.guideId) {
+                newEntry.guideId = existingEntry.guideId;
+                newEntry.guideName = existingEntry.guideName;
+            }
+            // Dates cancelled for low demand stay closed, their guests are already on the affected bookings list
+            if (existingEntry.goNoGoDecision) {
+                newEntry.goNoGoDecision = existingEntry.goNoGoDecision;
+            }
+            if (existingEntry.goNoGoDecision === GO_NO_GO_DECISIONS.CANCELLED_LOW_DEMAND) {
+                newEntry.status = "notoperating";
+                delete newEntry.bookingConflict;
+            }
+            // Emergency closures stay until they are reverted or staff reopen the date
+            if (existingEntry.emergencyClosure) {
+                newEntry.emergencyClosure = existingEntry.emergencyClosure;
+                newEntry.status = "notoperating";
+                delete newEntry.bookingConflict;
+            }
+            // Days off imported from calendars stay as well
+            if (existingEntry.calendarClosure) {
+                newEntry.calendarClosure = existingEntry.calendarClosure;
+                newEntry.status = "notoperating";
+                delete newEntry.bookingConflict;
             }
         }
         
         newData.push(newEntry);
         
         // Move to next day
-        currentDate.setDate(currentDate.getDate() + 1);
+        dateString = addDays(dateString, 1);
     }
+
+    // Never trim booked dates, even when they fall outside a shortened horizon
+    existingData
+        .filter(item => item.date > endDate && (item.bookedParticipants || 0) > 0)
+        .forEach(item => newData.push(applyCapacityStatus(item, tourData)));
     
     return newData;
 }
 
 /**
- * Rotates availability months: removes past month, adds future month
+ * Rotates availability months: removes past months and fills the tour horizon
+ * Extends or trims the array when the tour horizon setting changed since the last run
+ * Dates beyond the horizon that already have bookings are kept
+ * Dates closed by hand that still have bookings are flagged with a bookingConflict reason
  * Preserves all existing availability information
- * @param {Date} currentDate - Current date
+ * @param {string} currentDate - Current JST date as YYYY-MM-DD
  * @param {Object} tourData - Tour data
  * @param {Array} highSeasonPeriods - High season periods
  * @param {Array} existingData - Existing availability data
  * @param {Array} closedPeriods - Closed periods with new format
+ * @param {Object} holidayMap - Holiday names keyed by YYYY-MM-DD date
  * @returns {Array} - Updated availability data
  */
-function rotateAvailabilityMonths(currentDate, tourData, highSeasonPeriods, existingData, closedPeriods) {
-    // Define previous month range for removal
-    const prevMonthStart = new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1);
-    const prevMonthEnd = new Date(currentDate.getFullYear(), currentDate.getMonth(), 0);
+function rotateAvailabilityMonths(currentDate, tourData, highSeasonPeriods, existingData, closedPeriods, holidayMap) {
+    // Horizon runs from the first day of the current month to the last day of its final month
+    const horizonStartString = getMonthStart(currentDate);
+    const horizonEndString = calculateHorizonEndDate(currentDate, resolveHorizonMonths(tourData));
     
-    // Filter out COMPLETE previous month (fix for first day remaining)
+    // Filter out ALL dates before the current month (fix for first day remaining)
+    // and unbooked dates beyond the horizon, then re-apply capacity
+    // so full dates are closed even if nobody flipped them
     const filteredData = existingData.filter(item => {
-        const itemDate = new Date(item.date);
-        // Exclude ALL dates in previous month range
-        return !(itemDate >= prevMonthStart && itemDate <= prevMonthEnd);
+        if (item.date < horizonStartString) return false;
+        return item.date <= horizonEndString || (item.bookedParticipants || 0) > 0;
+    }).map(item => {
+        const updatedItem = applyCapacityStatus(item, tourData);
+        // Dates closed by hand while guests are booked are flagged for staff,
+        // go/no-go cancellations, emergency closures and calendar imports already list their bookings
+        if (updatedItem.status === "notoperating" && (updatedItem.bookedParticipants || 0) > 0 && !updatedItem.bookingConflict &&
+            updatedItem.goNoGoDecision !== GO_NO_GO_DECISIONS.CANCELLED_LOW_DEMAND &&
+            !updatedItem.emergencyClosure && !updatedItem.calendarClosure) {
+            updatedItem.bookingConflict = "Not operating with bookings";
+        }
+        return updatedItem;
     });
     
-    // Define future month range for addition
-    const futureMonthStart = new Date(currentDate);
-    futureMonthStart.setMonth(futureMonthStart.getMonth() + 17); // Month 18
-    futureMonthStart.setDate(1);
+    const existingDates = new Set(filteredData.map(item => item.date));
     
-    const futureMonthEnd = new Date(futureMonthStart);
-    futureMonthEnd.setMonth(futureMonthEnd.getMonth() + 1);
-    futureMonthEnd.setDate(0);
-    
-    // Generate new future month data
+    // Generate data for every missing date of the horizon
     const newMonthData = [];
-    const genDate = new Date(futureMonthStart);
+    let dateString = horizonStartString;
     
-    while (genDate <= futureMonthEnd) {
-        const dateString = genDate.toISOString().split('T')[0];
-        
+    while (dateString <= horizonEndString) {
         // Skip if date already exists
-        if (filteredData.some(item => item.date === dateString)) {
-            genDate.setDate(genDate.getDate() + 1);
+        if (existingDates.has(dateString)) {
+            dateString = addDays(dateString, 1);
             continue;
         }
         
-        // Check if date is in closed periods using new format
-        const isClosedDate = isDateInClosedPeriods(genDate, closedPeriods);
-        
-        // Determine if tour operates on this day
-        const isOperatingDay = !isClosedDate && isDateOperatingDay(genDate, tourData.runDays);
+        // Determine if tour operates on this day from closed periods, runDays and holiday rules
+        const isOperatingDay = isTourOperatingOnDate(dateString, tourData, closedPeriods, holidayMap);
         
         // Determine season
-        const isHighSeason = checkDateInHighSeasonPeriods(genDate, highSeasonPeriods);
-        
+        const isHighSeason = checkDateInHighSeasonPeriods(dateString, highSeasonPeriods);
+
+        // Resolve capacity and time slots from tour configuration
+        const maxParticipants = resolveMaxParticipants(tourData, null);
+        const timeSlots = isOperatingDay ? buildTimeSlots(tourData, null) : [];
+
         // Create new entry
-        newMonthData.push({
+        const newEntry = {
             date: dateString,
-            status: isOperatingDay ? "available" : "notoperating",
+            status: isOperatingDay ? deriveDayStatus(0, maxParticipants, timeSlots) : "notoperating",
             bookedParticipants: 0,
-            season: isHighSeason ? "high" : "normal"
-        });
+            maxParticipants: maxParticipants,
+            season: isHighSeason ? "high" : "normal",
+            holidayName: holidayMap[dateString] || null
+        };
+        if (timeSlots.length > 0) {
+            newEntry.timeSlots = timeSlots;
+        }
+        newMonthData.push(newEntry);
         
         // Move to next day
-        genDate.setDate(genDate.getDate() + 1);
+        dateString = addDays(dateString, 1);
     }
     
-    // Combine filtered existing data with new month data and sort
+    // Combine filtered existing data with new month data and sort (YYYY-MM-DD sorts as text)
     const combinedData = [...filteredData, ...newMonthData];
-    return combinedData.sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime());
+    return combinedData.sort((a, b) => a.date.localeCompare(b.date));
 }
@@ -0,0 +1,738 @@
+import wixData from 'wix-data';
+import { logSystemState } from 'backend/shared/systemStateManager.web.js';
+import { buildDateChange, recordDateChanges } from './availabilityHistory.web.js';
+
+/**
+ * Per-date availability storage
+ * Every tour date is its own row in the AvailabilityDates collection, so a status change
+ * or a seat reservation writes one small row instead of the whole schedule
+ * The Availability collection keeps one record per tour with closed periods and notes
+ *
+ * Row fields:
+ *   _id        "<tour database ID>_<YYYY-MM-DD>", so each (tour, date) pair exists only once
+ *   tourName   Tour database ID, like the Availability record
+ *   tourId     Business ID (e.g., OM001)
+ *   date       Date as YYYY-MM-DD
+ *   version    Incremented on every write for optimistic concurrency
+ *   ...        Availability entry fields (status, bookedParticipants, maxParticipants, season, ...)
+ *
+ * Wix Data has no conditional update, so versioned writes take a lease in the AvailabilityDateLocks
+ * collection first. A lease is an item with the fixed ID "<row ID>_v<version>", and inserting an
+ * existing ID fails, so only one writer can move a row from a given version to the next
+ *
+ * Other versioned items (e.g., Waitlist entries) use the same leases through updateItemWithVersionCheck
+ *
+ * Lease fields:
+ *   _id        "<row ID>_v<version>", with "_<n>" appended when a stale lease was taken over
+ *   rowId      AvailabilityDates row ID, or the ID of another versioned item
+ *   version    Row version the lease holder expects
+ *   acquiredAt Date the lease was taken
+ */
+
+export const AVAILABILITY_DATES_COLLECTION = 'AvailabilityDates';
+export const AVAILABILITY_DATE_LOCKS_COLLECTION = 'AvailabilityDateLocks';
+
+// Largest page Wix Data returns per query and accepts per bulk operation
+export const PAGE_SIZE = 1000;
+
+// Time in milliseconds after which a lease whose writer never finished may be taken over
+const LEASE_TIMEOUT = 30000;
+
+// Stale leases taken over on one row version before a write gives up
+const MAX_LEASE_TAKEOVERS = 3;
+
+// Attempts before closing a date gives up on concurrent updates
+const MAX_CLOSE_ATTEMPTS = 3;
+
+// Row fields that are not part of an availability entry
+const ROW_ONLY_FIELDS = ['_id', '_owner', '_createdDate', '_updatedDate', 'tourName', 'tourId', 'version', 'lastWriteToken'];
+
+// Statuses that still have seats for sale
+const BOOKABLE_STATUSES = ['available', 'partiallysoldout'];
+
+/**
+ * Build the row ID of a tour date
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} Row ID
+ */
+export function buildDateRowId(tourId, date) {
+    return `${tourId}_${date}`;
+}
+
+/**
+ * Strip storage fields from a row
+ * @param {Object} row - AvailabilityDates row
+ * @returns {Object} Availability entry as used by generation and reservations
+ */
+export function toAvailabilityEntry(row) {
+    const entry = { ...row };
+    ROW_ONLY_FIELDS.forEach(field => {
+        delete entry[field];
+    });
+    return entry;
+}
+
+/**
+ * Check if an Availability record still keeps its dates in the old availabilityData array
+ * @param {Object} availabilityRecord - Availability record
+ * @returns {boolean} True if the record has not been migrated yet
+ */
+export function hasLegacyAvailabilityData(availabilityRecord) {
+    return !!availabilityRecord &&
+        Array.isArray(availabilityRecord.availabilityData) &&
+        availabilityRecord.availabilityData.some(isValidLegacyEntry);
+}
+
+/**
+ * Get the entries of the old availabilityData array of an Availability record
+ * @param {Object} availabilityRecord - Availability record
+ * @returns {Array} Valid entries sorted by date, empty if the record was migrated
+ */
+export function getLegacyAvailabilityEntries(availabilityRecord) {
+    if (!hasLegacyAvailabilityData(availabilityRecord)) {
+        return [];
+    }
+
+    return availabilityRecord.availabilityData
+        .filter(isValidLegacyEntry)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Load the date rows of a tour
+ * @param {string} tourId - The database ID of the tour
+ * @param {string|null} fromDate - First date as YYYY-MM-DD (optional)
+ * @param {string|null} toDate - Last date as YYYY-MM-DD (optional)
+ * @returns {Promise<Array>} Rows sorted by date
+ */
+export async function loadTourDateRows(tourId, fromDate = null, toDate = null) {
+    let query = wixData.query(AVAILABILITY_DATES_COLLECTION)
+        .eq('tourName', tourId);
+    if (fromDate) {
+        query = query.ge('date', fromDate);
+    }
+    if (toDate) {
+        query = query.le('date', toDate);
+    }
+
+    return fetchAllPages(query.ascending('date').limit(PAGE_SIZE));
+}
+
+/**
+ * Load the date rows of a tour, migrating the old availabilityData array first if needed
+ * @param {Object} availabilityRecord - Availability record of the tour
+ * @returns {Promise<Array>} Rows sorted by date
+ */
+export async function loadTourDates(availabilityRecord) {
+    await migrateAvailabilityRecord(availabilityRecord);
+    return loadTourDateRows(availabilityRecord.tourName);
+}
+
+/**
+ * Get a single date row of a tour
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object|null>} Row, or null if the date has no availability
+ */
+export async function getTourDateRow(tourId, date) {
+    return wixData.get(AVAILABILITY_DATES_COLLECTION, buildDateRowId(tourId, date));
+}
+
+/**
+ * Write an updated availability entry only if the date row version is unchanged
+ * Holds the lease of the expected version while the row is checked and written,
+ * so a concurrent writer that read the same version gets a conflict instead of overwriting
+ * @param {Object} dateRow - AvailabilityDates row as read at the start of the attempt
+ * @param {Object} updatedEntry - New availability entry for the date
+ * @returns {Promise<Object|null>} The committed row, or null on conflict
+ */
+export async function commitWithVersionCheck(dateRow, updatedEntry) {
+    const expectedVersion = dateRow.version || 0;
+
+    const lease = await acquireRowLease(dateRow._id, expectedVersion);
+    if (!lease) {
+        return null;
+    }
+
+    try {
+        const latest = await wixData.get(AVAILABILITY_DATES_COLLECTION, dateRow._id);
+        if (!latest || (latest.version || 0) !== expectedVersion) {
+            return null;
+        }
+
+        // A writer that stalled past the lease timeout may have been taken over already
+        if (Date.now() - new Date(lease.acquiredAt).getTime() >= LEASE_TIMEOUT) {
+            return null;
+        }
+
+        return await wixData.update(AVAILABILITY_DATES_COLLECTION, buildCommittedRow(latest, updatedEntry));
+    } finally {
+        await releaseRowLease(lease);
+    }
+}
+
+/**
+ * Write several date rows through the version check with bulk operations
+ * The leases of all rows are taken in one bulk insert and the leased rows are re-read once,
+ * rows still at the version they were read with are written in one bulk update
+ * Rows whose lease is held or whose version moved on are returned as conflicts,
+ * the caller re-reads them and retries them one by one through commitWithVersionCheck
+ * @param {Array} updates - Objects with the dateRow as read and the updatedEntry to write
+ * @returns {Promise<Object>} Committed updates with their committedRow, and the updates left in conflict
+ */
+export async function commitRowsWithVersionCheck(updates) {
+    const committed = [];
+    const conflicts = [];
+
+    for (let i = 0; i < updates.length; i += PAGE_SIZE) {
+        const result = await writeRowBatch(updates.slice(i, i + PAGE_SIZE), async writable => {
+            const written = writable.map(({ dateRow, updatedEntry, latestRow }) => ({
+                dateRow: dateRow,
+                updatedEntry: updatedEntry,
+                committedRow: buildCommittedRow(latestRow, updatedEntry)
+            }));
+            await wixData.bulkUpdate(AVAILABILITY_DATES_COLLECTION, written.map(update => update.committedRow));
+            return written;
+        });
+        committed.push(...result.written);
+        conflicts.push(...result.conflicts);
+    }
+    return { committed: committed, conflicts: conflicts };
+}
+
+/**
+ * Write changes to a versioned item of another collection only if its version is unchanged
+ * Takes the same lease as date rows, keyed by the item ID
+ * @param {string} collectionName - Collection of the item
+ * @param {Object} item - Item as read at the start of the attempt
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object|null>} The committed item, or null on conflict
+ */
+export async function updateItemWithVersionCheck(collectionName, item, changes) {
+    const expectedVersion = item.version || 0;
+
+    const lease = await acquireRowLease(item._id, expectedVersion);
+    if (!lease) {
+        return null;
+    }
+
+    try {
+        const latest = await wixData.get(collectionName, item._id);
+        if (!latest || (latest.version || 0) !== expectedVersion) {
+            return null;
+        }
+        if (Date.now() - new Date(lease.acquiredAt).getTime() >= LEASE_TIMEOUT) {
+            return null;
+        }
+
+        return await wixData.update(collectionName, {
+            ...latest,
+            ...changes,
+            _id: latest._id,
+            version: expectedVersion + 1
+        });
+    } finally {
+        await releaseRowLease(lease);
+    }
+}
+
+/**
+ * Close a date row as part of a batch (emergency closure or calendar import)
+ * Re-reads the row when a reservation changed it meanwhile and records the change under the batch ID,
+ * so the whole batch can be reverted together
+ * @param {Object} row - AvailabilityDates row
+ * @param {string} batchId - Closure or import ID stored as batchId
+ * @param {string} closureField - Row field marking the closure (emergencyClosure or calendarClosure)
+ * @param {Object} closure - Value stored in the closure field
+ * @param {Object} context - Resolved change context
+ * @returns {Promise<Object|null>} The committed row, or null when the date closed meanwhile or every attempt conflicted
+ */
+export async function closeDateRowWithBatch(row, batchId, closureField, closure, context) {
+    let dateRow = row;
+
+    for (let attempt = 1; attempt <= MAX_CLOSE_ATTEMPTS; attempt++) {
+        const updatedEntry = {
+            ...toAvailabilityEntry(dateRow),
+            status: 'notoperating',
+            [closureField]: closure
+        };
+
+        const committedRow = await commitWithVersionCheck(dateRow, updatedEntry);
+        if (committedRow) {
+            const change = buildDateChange(dateRow, committedRow, context);
+            await recordDateChanges([change ? { ...change, batchId: batchId } : null]);
+            return committedRow;
+        }
+
+        dateRow = await getTourDateRow(row.tourName, row.date);
+        if (!dateRow || dateRow.status === 'notoperating') {
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Write the dates of a tour, touching only rows that changed
+ * Dates missing from the entries are removed, unless they have bookings
+ * Changed and removed dates go through the version check in bulk, so a date written by someone else
+ * since existingRows was read (for example a seat reservation) is left as it is and reported as a conflict
+ * Changes to existing dates and removals are recorded in the change history when a change context is given
+ * @param {Object} availabilityRecord - Availability record of the tour
+ * @param {Array} entries - Availability entries to store
+ * @param {Array} existingRows - Rows currently stored for the tour
+ * @param {Object|null} changeContext - Resolved source and user of the change (optional)
+ * @returns {Promise<Object>} Number of inserted, updated, removed and unchanged rows, the dates left in conflict
+ *                            and the booked dates kept instead of removed
+ */
+export async function saveTourDates(availabilityRecord, entries, existingRows, changeContext = null) {
+    const tourId = availabilityRecord.tourName;
+    const existingById = {};
+    existingRows.forEach(row => {
+        existingById[row._id] = row;
+    });
+
+    const toInsert = [];
+    const toUpdate = [];
+    const keptIds = new Set();
+
+    entries.forEach(entry => {
+        const rowId = buildDateRowId(tourId, entry.date);
+        const existingRow = existingById[rowId];
+        keptIds.add(rowId);
+
+        if (!existingRow) {
+            toInsert.push(buildDateRow(availabilityRecord, entry, 1));
+        } else if (!isSameEntry(toAvailabilityEntry(existingRow), entry)) {
+            toUpdate.push({ dateRow: existingRow, updatedEntry: entry });
+        }
+    });
+
+    // Booked dates stay, their guests still hold seats on them
+    const leftoverRows = existingRows.filter(row => !keptIds.has(row._id));
+    const bookedRows = leftoverRows.filter(row => (row.bookedParticipants || 0) > 0);
+    const toRemove = leftoverRows.filter(row => !((row.bookedParticipants || 0) > 0));
+
+    for (let i = 0; i < toInsert.length; i += PAGE_SIZE) {
+        await wixData.bulkInsert(AVAILABILITY_DATES_COLLECTION, toInsert.slice(i, i + PAGE_SIZE));
+    }
+
+    const conflicts = [];
+    const updateResult = await commitRowsWithVersionCheck(toUpdate);
+    const committed = updateResult.committed;
+    const removeResult = await removeRowsWithVersionCheck(toRemove);
+    const removed = removeResult.removed;
+
+    // Rows the bulk writes left are tried once more on their own, which also takes over stale leases
+    for (const { dateRow, updatedEntry } of updateResult.conflicts) {
+        const committedRow = await commitWithVersionCheck(dateRow, updatedEntry);
+        if (committedRow) {
+            committed.push({ dateRow: dateRow, committedRow: committedRow });
+        } else {
+            conflicts.push(updatedEntry.date);
+        }
+    }
+    for (const row of removeResult.conflicts) {
+        const removedRow = await removeRowWithVersionCheck(row);
+        if (removedRow) {
+            removed.push(removedRow);
+        } else {
+            conflicts.push(row.date);
+        }
+    }
+
+    if (changeContext) {
+        await recordDateChanges([
+            ...committed.map(({ dateRow, committedRow }) => buildDateChange(dateRow, committedRow, changeContext)),
+            ...removed.map(row => buildDateChange(row, null, changeContext))
+        ]);
+    }
+
+    return {
+        inserted: toInsert.length,
+        updated: committed.length,
+        removed: removed.length,
+        unchanged: entries.length - toInsert.length - toUpdate.length,
+        conflicts: conflicts,
+        keptBookedDates: bookedRows.map(row => row.date)
+    };
+}
+
+/**
+ * Find the tours that still have seats on a date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Array>} Date rows of all tours with seats for sale on that date
+ */
+export async function findToursWithSeats(date) {
+    const query = wixData.query(AVAILABILITY_DATES_COLLECTION)
+        .eq('date', date)
+        .hasSome('status', BOOKABLE_STATUSES)
+        .ascending('tourId')
+        .limit(PAGE_SIZE);
+
+    return fetchAllPages(query);
+}
+
+/**
+ * Move the availabilityData array of one Availability record into date rows
+ * Safe to run again: rows are written by ID and the array is only cleared once all rows exist
+ * @param {Object} availabilityRecord - Availability record
+ * @returns {Promise<number>} Number of migrated dates, 0 if the record was already migrated
+ */
+export async function migrateAvailabilityRecord(availabilityRecord) {
+    if (!hasLegacyAvailabilityData(availabilityRecord)) {
+        return 0;
+    }
+
+    const entries = getLegacyAvailabilityEntries(availabilityRecord);
+
+    // A previous interrupted run may have written some rows already, the array still wins
+    const existingRows = await loadTourDateRows(availabilityRecord.tourName);
+    const writeResult = await saveTourDates(availabilityRecord, entries, existingRows);
+    if (writeResult.conflicts.length > 0) {
+        throw new Error(`Dates of tour ${availabilityRecord.tourName} changed during migration, run it again: ${writeResult.conflicts.join(', ')}`);
+    }
+
+    availabilityRecord.availabilityData = [];
+    availabilityRecord.version = (availabilityRecord.version || 0) + 1;
+    await wixData.update('Availability', availabilityRecord);
+
+    return entries.length;
+}
+
+/**
+ * Move the availabilityData array of a tour into date rows
+ * Loads the Availability record on the server, so pages only pass the tour ID
+ * @param {string} tourId - The database ID of the tour
+ * @returns {Promise<number>} Number of migrated dates, 0 if the tour was already migrated or has no record
+ */
+export async function migrateTourAvailability(tourId) {
+    const availabilityQuery = await wixData.query('Availability')
+        .eq('tourName', tourId)
+        .find();
+
+    if (availabilityQuery.items.length === 0) {
+        return 0;
+    }
+    return migrateAvailabilityRecord(availabilityQuery.items[0]);
+}
+
+/**
+ * Move all Availability records from the availabilityData array into date rows
+ * @returns {Promise<Object>} Migration result with migrated and failed tours
+ */
+export async function migrateAvailabilityToDateRows() {
+    const logBuffer = [];
+    const startTime = new Date();
+    const migratedTours = [];
+    const failedTours = [];
+    let migratedDates = 0;
+    let skippedCount = 0;
+
+    try {
+        const records = await fetchAllPages(wixData.query('Availability').limit(PAGE_SIZE));
+        logBuffer.push(`Checking ${records.length} availability records for array data`);
+
+        for (const record of records) {
+            const label = record.availabilityId || record.tourName;
+            try {
+                const count = await migrateAvailabilityRecord(record);
+                if (count === 0) {
+                    skippedCount++;
+                    continue;
+                }
+                migratedDates += count;
+                migratedTours.push(label);
+                logBuffer.push(`  - ${label}: ${count} dates moved to ${AVAILABILITY_DATES_COLLECTION}`);
+            } catch (error) {
+                failedTours.push(label);
+                logBuffer.push(`  - ERROR: ${label}: ${error.message}`);
+            }
+        }
+
+        logBuffer.push(`Migrated ${migratedTours.length} tours (${migratedDates} dates), ${skippedCount} already migrated, ${failedTours.length} failed`);
+
+        await logSystemState({
+            stateType: 'Availability Date Migration',
+            stateCategory: 'AVAILABILITY_OPERATIONS',
+            executionStatus: failedTours.length === 0 ? 'Execution Completed' : 'Executed with errors',
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: logBuffer.join('\n'),
+            errorDetails: failedTours.length > 0 ? `Failed tours: ${failedTours.join(', ')}` : '',
+            affectedTourCount: migratedTours.length,
+            affectedTourNames: migratedTours
+        });
+
+        return {
+            status: failedTours.length === 0 ? 'SUCCESS' : 'PARTIAL_FAILURE',
+            migratedTours: migratedTours,
+            migratedDates: migratedDates,
+            skippedCount: skippedCount,
+            failedTours: failedTours
+        };
+    } catch (error) {
+        logBuffer.push(`ERROR: Availability date migration failed: ${error.message}`);
+
+        await logSystemState({
+            stateType: 'Availability Date Migration',
+            stateCategory: 'AVAILABILITY_OPERATIONS',
+            executionStatus: 'Executed with errors',
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: logBuffer.join('\n'),
+            errorDetails: error.message,
+            affectedTourCount: migratedTours.length,
+            affectedTourNames: migratedTours
+        });
+
+        throw error;
+    }
+}
+
+/**
+ * Take the lease of a row version
+ * A lease older than the timeout belongs to a writer that never finished,
+ * so the next lease ID of that version is tried instead
+ * @param {string} rowId - AvailabilityDates row ID or versioned item ID
+ * @param {number} version - Row version the writer expects
+ * @returns {Promise<Object|null>} The lease, or null if another writer holds it
+ */
+async function acquireRowLease(rowId, version) {
+    for (let takeover = 0; takeover <= MAX_LEASE_TAKEOVERS; takeover++) {
+        const leaseId = takeover === 0 ? `${rowId}_v${version}` : `${rowId}_v${version}_${takeover}`;
+        try {
+            return await wixData.insert(AVAILABILITY_DATE_LOCKS_COLLECTION, {
+                _id: leaseId,
+                rowId: rowId,
+                version: version,
+                acquiredAt: new Date()
+            });
+        } catch (error) {
+            const existing = await wixData.get(AVAILABILITY_DATE_LOCKS_COLLECTION, leaseId);
+            if (!existing) {
+                throw error;
+            }
+            if (Date.now() - new Date(existing.acquiredAt).getTime() < LEASE_TIMEOUT) {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Remove several date rows through the version check with bulk operations
+ * Rows written by someone else since they were read are kept and returned as conflicts
+ * @param {Array} rows - AvailabilityDates rows as read
+ * @returns {Promise<Object>} Removed rows as they were last stored, and the rows left in conflict
+ */
+async function removeRowsWithVersionCheck(rows) {
+    const removed = [];
+    const conflicts = [];
+
+    for (let i = 0; i < rows.length; i += PAGE_SIZE) {
+        const result = await writeRowBatch(rows.slice(i, i + PAGE_SIZE).map(row => ({ dateRow: row })), async writable => {
+            await wixData.bulkRemove(AVAILABILITY_DATES_COLLECTION, writable.map(item => item.latestRow._id));
+            return writable;
+        });
+        removed.push(...result.written.map(item => item.latestRow));
+        conflicts.push(...result.conflicts.map(item => item.dateRow));
+    }
+    return { removed: removed, conflicts: conflicts };
+}
+
+/**
+ * Remove a single date row only if its version is unchanged
+ * Takes the row lease like commitWithVersionCheck, so a stale lease of a writer that never finished is taken over
+ * @param {Object} dateRow - Row as read
+ * @returns {Promise<Object|null>} The removed row as last stored, or null on conflict
+ */
+async function removeRowWithVersionCheck(dateRow) {
+    const expectedVersion = dateRow.version || 0;
+
+    const lease = await acquireRowLease(dateRow._id, expectedVersion);
+    if (!lease) {
+        return null;
+    }
+
+    try {
+        const latest = await wixData.get(AVAILABILITY_DATES_COLLECTION, dateRow._id);
+        if (!latest || (latest.version || 0) !== expectedVersion) {
+            return null;
+        }
+        if (Date.now() - new Date(lease.acquiredAt).getTime() >= LEASE_TIMEOUT) {
+            return null;
+        }
+
+        await wixData.remove(AVAILABILITY_DATES_COLLECTION, latest._id);
+        return latest;
+    } finally {
+        await releaseRowLease(lease);
+    }
+}
+
+/**
+ * Write one bulk operation worth of date rows through the version check
+ * Only the first lease ID of each version is tried, a stale lease is taken over by the single row retry
+ * @param {Array} items - Objects with the dateRow as read
+ * @param {Function} writeRows - Writes the items whose rows are still at their read version, receives them with
+ *                               the re-read latestRow and resolves to the written items
+ * @returns {Promise<Object>} Written items, and the items left in conflict
+ */
+async function writeRowBatch(items, writeRows) {
+    const acquiredAt = new Date();
+    const leases = items.map(({ dateRow }) => ({
+        _id: `${dateRow._id}_v${dateRow.version || 0}`,
+        rowId: dateRow._id,
+        version: dateRow.version || 0,
+        acquiredAt: acquiredAt
+    }));
+    const leaseResult = await wixData.bulkInsert(AVAILABILITY_DATE_LOCKS_COLLECTION, leases);
+    const leasedIds = new Set(leaseResult.insertedItemIds || []);
+
+    try {
+        const leasedRowIds = leases.filter(lease => leasedIds.has(lease._id)).map(lease => lease.rowId);
+        const latestById = {};
+        if (leasedRowIds.length > 0) {
+            const latestRows = await fetchAllPages(wixData.query(AVAILABILITY_DATES_COLLECTION)
+                .hasSome('_id', leasedRowIds)
+                .limit(PAGE_SIZE));
+            latestRows.forEach(row => {
+                latestById[row._id] = row;
+            });
+        }
+
+        const writable = [];
+        const conflicts = [];
+        items.forEach((item, index) => {
+            const latest = latestById[item.dateRow._id];
+            if (leasedIds.has(leases[index]._id) && latest && (latest.version || 0) === leases[index].version) {
+                writable.push({ ...item, latestRow: latest });
+            } else {
+                conflicts.push(item);
+            }
+        });
+
+        // A batch that stalled past the lease timeout may have been taken over already
+        if (Date.now() - acquiredAt.getTime() >= LEASE_TIMEOUT) {
+            return { written: [], conflicts: items };
+        }
+
+        const written = writable.length > 0 ? await writeRows(writable) : [];
+        return { written: written, conflicts: conflicts };
+    } finally {
+        if (leasedIds.size > 0) {
+            try {
+                await wixData.bulkRemove(AVAILABILITY_DATE_LOCKS_COLLECTION, [...leasedIds]);
+            } catch (error) {
+                console.error(`Failed to release ${leasedIds.size} leases:`, error);
+            }
+        }
+    }
+}
+
+/**
+ * Release a row lease
+ * Failures are ignored: a lease left behind only blocks a version the row has already moved past,
+ * or expires after the timeout
+ * @param {Object} lease - Lease returned by acquireRowLease
+ * @returns {Promise<void>}
+ */
+async function releaseRowLease(lease) {
+    try {
+        await wixData.remove(AVAILABILITY_DATE_LOCKS_COLLECTION, lease._id);
+    } catch (error) {
+        console.error(`Failed to release lease ${lease._id}:`, error);
+    }
+}
+
+/**
+ * Build the next version of a row from its latest state and a new entry
+ * @param {Object} latest - Row as re-read under the lease
+ * @param {Object} updatedEntry - New availability entry for the date
+ * @returns {Object} AvailabilityDates row with the version raised by one
+ */
+function buildCommittedRow(latest, updatedEntry) {
+    return {
+        _id: latest._id,
+        tourName: latest.tourName,
+        tourId: latest.tourId,
+        ...toAvailabilityEntry(updatedEntry),
+        date: latest.date,
+        version: (latest.version || 0) + 1
+    };
+}
+
+/**
+ * Build a row for an availability entry
+ * @param {Object} availabilityRecord - Availability record of the tour
+ * @param {Object} entry - Availability entry
+ * @param {number} version - Row version
+ * @returns {Object} AvailabilityDates row
+ */
+function buildDateRow(availabilityRecord, entry, version) {
+    return {
+        ...toAvailabilityEntry(entry),
+        _id: buildDateRowId(availabilityRecord.tourName, entry.date),
+        tourName: availabilityRecord.tourName,
+        tourId: availabilityRecord.tourId,
+        version: version
+    };
+}
+
+/**
+ * Compare two availability entries field by field
+ * @param {Object} a - Stored entry
+ * @param {Object} b - New entry
+ * @returns {boolean} True if both entries hold the same data
+ */
+function isSameEntry(a, b) {
+    return stableStringify(a) === stableStringify(b);
+}
+
+/**
+ * Serialize a value with sorted object keys, skipping undefined values
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON text that does not depend on key order
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Check an item of the old availabilityData array
+ * Older records may contain empty strings left by broken writes
+ * @param {*} entry - Array item
+ * @returns {boolean} True if the item is an entry with a date
+ */
+function isValidLegacyEntry(entry) {
+    return !!entry && typeof entry === 'object' && typeof entry.date === 'string';
+}
+
+/**
+ * Read every page of a query
+ * @param {Object} query - Wix Data query with its page size set
+ * @returns {Promise<Array>} All items
+ */
+export async function fetchAllPages(query) {
+    let result = await query.find();
+    const items = [...result.items];
+
+    while (result.hasNext()) {
+        result = await result.next();
+        items.push(...result.items);
+    }
+    return items;
+}
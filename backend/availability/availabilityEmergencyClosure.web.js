@@ -0,0 +1,273 @@
+import wixData from 'wix-data';
+import { logSystemState } from 'backend/shared/systemStateManager.web.js';
+import { revertAvailabilityChangeBatch } from './availabilityCore.web.js';
+import { loadTourDateRows, closeDateRowWithBatch, fetchAllPages, PAGE_SIZE } from './availabilityDates.web.js';
+import { getDateBookings, toAffectedBooking } from './availabilityBookings.web.js';
+import { CHANGE_SOURCES, resolveStaffChangeContext } from './availabilityHistory.web.js';
+import { addDays, isValidDateKey } from 'public/jstDate.js';
+
+/**
+ * Emergency closure of a date range across tours
+ * Typhoons and similar events close every operating date of the range on all or selected tours in one run
+ * Closed rows keep the closure in their emergencyClosure field, so regeneration does not reopen them,
+ * and their history records share the closure ID as batchId, so the run can be reverted as a unit
+ * Bookings on the closed dates are listed for staff, they are not cancelled
+ *
+ * Closure fields:
+ *   _id                Closure ID, also the batchId of its history records
+ *   fromDate           First closed date as YYYY-MM-DD
+ *   toDate             Last closed date as YYYY-MM-DD
+ *   reason             Reason given by staff
+ *   tourNames          Tour labels with closed dates
+ *   closedDateCount    Number of closed dates across tours
+ *   bookingCount       Number of bookings on the closed dates
+ *   user               Who ran the closure
+ *   closedAt           Time of the run
+ *   revertedAt         Time the closure was reverted, if it was
+ *   revertedBy         User who reverted it
+ */
+
+export const EMERGENCY_CLOSURES_COLLECTION = 'EmergencyClosures';
+
+// Longest range a single closure can cover, longer closures belong in closed periods
+const MAX_CLOSURE_DAYS = 31;
+
+/**
+ * Close every operating date of a range on all or selected tours
+ * @param {string} fromDate - First date as YYYY-MM-DD
+ * @param {string} toDate - Last date as YYYY-MM-DD
+ * @param {Array|null} tourIds - Tour database IDs, null or empty for all published tours
+ * @param {string} reason - Reason shown in the history and on the closed dates
+ * @param {boolean} dryRun - If true, only previews the dates and bookings that would be hit
+ * @param {Object|null} changeContext - Source recorded in the change history, the user is the logged in member (optional)
+ * @returns {Promise<Object>} Closure ID, closed dates and the bookings on them
+ */
+export async function closeDateRangeForTours(fromDate, toDate, tourIds, reason, dryRun = false, changeContext = null) {
+    const logBuffer = [];
+    const startTime = new Date();
+    const closureId = `closure-${startTime.getTime()}-${Math.random().toString(36).substring(2, 8)}`;
+    const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+    const context = await resolveStaffChangeContext({ ...changeContext, reason: `Emergency closure: ${trimmedReason}` }, CHANGE_SOURCES.MANAGER);
+    const closedDates = [];
+    const affectedBookings = [];
+    const failedTours = [];
+    const errorMessages = [];
+
+    try {
+        validateClosureRange(fromDate, toDate);
+        if (trimmedReason === '') {
+            throw new Error('A closure reason is required');
+        }
+
+        const tours = await loadClosureTours(tourIds);
+        logBuffer.push(`Starting emergency closure${dryRun ? ' (dry run)' : ''} of ${fromDate} to ${toDate} for ${tourIds && tourIds.length > 0 ? `${tours.length} selected tours` : `all ${tours.length} published tours`} by ${context.user}. Reason: ${trimmedReason}`);
+
+        for (const tour of tours) {
+            const tourLabel = tour.title || tour.urlName;
+            try {
+                const tourResult = await closeTourDates(tour, fromDate, toDate, closureId, trimmedReason, dryRun, context);
+                closedDates.push(...tourResult.closedDates);
+                affectedBookings.push(...tourResult.affectedBookings);
+                tourResult.warnings.forEach(warning => logBuffer.push(`  WARNING: ${tourLabel}: ${warning}`));
+                if (tourResult.closedDates.length > 0) {
+                    logBuffer.push(`  - ${tourLabel}: ${tourResult.closedDates.length} dates closed (${tourResult.closedDates.map(item => item.date).join(', ')}), ${tourResult.affectedBookings.length} bookings affected`);
+                }
+            } catch (error) {
+                failedTours.push(tourLabel);
+                errorMessages.push(`${tourLabel}: ${error.message}`);
+                logBuffer.push(`  - ERROR: ${tourLabel}: ${error.message}`);
+            }
+        }
+
+        affectedBookings.forEach(booking => {
+            logBuffer.push(`  BOOKING: ${booking.tourLabel} ${booking.date}${booking.startTime ? ` ${booking.startTime}` : ''}: ${booking.partySize} participants, ${booking.state}${booking.reference ? `, reference ${booking.reference}` : ''}`);
+        });
+
+        const affectedTourNames = [...new Set(closedDates.map(item => item.tourLabel))];
+
+        if (!dryRun && closedDates.length > 0) {
+            await wixData.insert(EMERGENCY_CLOSURES_COLLECTION, {
+                _id: closureId,
+                fromDate: fromDate,
+                toDate: toDate,
+                reason: trimmedReason,
+                tourNames: affectedTourNames,
+                closedDateCount: closedDates.length,
+                bookingCount: affectedBookings.length,
+                user: context.user,
+                closedAt: startTime
+            });
+        }
+
+        logBuffer.push(`${dryRun ? 'Would close' : 'Closed'} ${closedDates.length} dates on ${affectedTourNames.length} tours, ${affectedBookings.length} bookings affected, ${failedTours.length} tours failed${dryRun ? '. Dry run: no changes saved' : `. Closure ID: ${closureId}`}`);
+
+        await logSystemState({
+            stateType: 'Emergency Closure',
+            stateCategory: 'AVAILABILITY_OPERATIONS',
+            executionStatus: failedTours.length === 0 ? 'Execution Completed' : 'Executed with errors',
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: logBuffer.join('\n'),
+            errorDetails: errorMessages.join('; '),
+            affectedTourCount: dryRun ? 0 : affectedTourNames.length,
+            affectedTourNames: affectedTourNames
+        });
+
+        return {
+            status: dryRun ? 'DRY_RUN' : (failedTours.length === 0 ? 'SUCCESS' : 'PARTIAL_FAILURE'),
+            closureId: dryRun || closedDates.length === 0 ? null : closureId,
+            closedDates: closedDates,
+            affectedBookings: affectedBookings,
+            affectedTourNames: affectedTourNames,
+            failedTours: failedTours,
+            errors: errorMessages
+        };
+    } catch (error) {
+        logBuffer.push(`ERROR: Emergency closure of ${fromDate} to ${toDate} failed: ${error.message}`);
+
+        await logSystemState({
+            stateType: 'Emergency Closure',
+            stateCategory: 'AVAILABILITY_OPERATIONS',
+            executionStatus: 'Executed with errors',
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: logBuffer.join('\n'),
+            errorDetails: error.message,
+            affectedTourCount: dryRun ? 0 : new Set(closedDates.map(item => item.tourLabel)).size,
+            affectedTourNames: [...new Set(closedDates.map(item => item.tourLabel))]
+        });
+
+        throw error;
+    }
+}
+
+/**
+ * Reopen the dates of an emergency closure as a unit
+ * Dates changed since the closure, for example reopened by hand, are skipped and listed
+ * @param {string} closureId - ID from closeDateRangeForTours
+ * @param {Object|null} changeContext - Reason of the undo, the user is the logged in member (optional)
+ * @returns {Promise<Object>} Reverted and skipped changes
+ */
+export async function revertEmergencyClosure(closureId, changeContext = null) {
+    const closure = await wixData.get(EMERGENCY_CLOSURES_COLLECTION, closureId);
+    if (!closure) {
+        throw new Error(`Emergency closure ${closureId} not found`);
+    }
+    if (closure.revertedAt) {
+        throw new Error(`Emergency closure ${closureId} was already reverted by ${closure.revertedBy}`);
+    }
+
+    const context = await resolveStaffChangeContext({ ...changeContext, reason: `Revert emergency closure: ${closure.reason}` }, CHANGE_SOURCES.UNDO);
+    const result = await revertAvailabilityChangeBatch(closureId, context);
+
+    await wixData.update(EMERGENCY_CLOSURES_COLLECTION, {
+        ...closure,
+        revertedAt: new Date(),
+        revertedBy: context.user,
+        skippedDateCount: result.skipped.length
+    });
+
+    return result;
+}
+
+/**
+ * List the emergency closures that were not reverted yet, newest first
+ * @returns {Promise<Array>} EmergencyClosures items
+ */
+export async function getActiveEmergencyClosures() {
+    return fetchAllPages(wixData.query(EMERGENCY_CLOSURES_COLLECTION)
+        .isEmpty('revertedAt')
+        .descending('closedAt')
+        .limit(PAGE_SIZE));
+}
+
+/**
+ * Close the operating dates of one tour in the range
+ * @param {Object} tourData - Tour data
+ * @param {string} fromDate - First date as YYYY-MM-DD
+ * @param {string} toDate - Last date as YYYY-MM-DD
+ * @param {string} closureId - Closure ID stored as batchId
+ * @param {string} reason - Closure reason
+ * @param {boolean} dryRun - If true, nothing is written
+ * @param {Object} context - Resolved change context
+ * @returns {Promise<Object>} Closed dates, bookings on them and warnings
+ */
+async function closeTourDates(tourData, fromDate, toDate, closureId, reason, dryRun, context) {
+    const tourLabel = tourData.title || tourData.urlName;
+    const closedDates = [];
+    const affectedBookings = [];
+    const warnings = [];
+
+    const rows = await loadTourDateRows(tourData._id, fromDate, toDate);
+
+    for (const row of rows) {
+        if (row.status === 'notoperating') {
+            continue;
+        }
+
+        const committedRow = dryRun ? row : await closeDateRowWithBatch(row, closureId, 'emergencyClosure', { closureId: closureId, reason: reason }, context);
+        if (!committedRow) {
+            warnings.push(`${row.date} changed during the closure, left as is`);
+            continue;
+        }
+
+        const dateBookings = (committedRow.bookedParticipants || 0) > 0 ?
+            await getDateBookings(tourData._id, row.date) :
+            [];
+        affectedBookings.push(...dateBookings.map(booking => toAffectedBooking(booking, row, tourLabel)));
+
+        closedDates.push({
+            tourId: tourData._id,
+            tourLabel: tourLabel,
+            date: row.date,
+            previousStatus: row.status,
+            bookedParticipants: committedRow.bookedParticipants || 0
+        });
+    }
+
+    return {
+        closedDates: closedDates,
+        affectedBookings: affectedBookings,
+        warnings: warnings
+    };
+}
+
+/**
+ * Load the tours a closure applies to
+ * @param {Array|null} tourIds - Tour database IDs, null or empty for all published tours
+ * @returns {Promise<Array>} Tours items
+ */
+async function loadClosureTours(tourIds) {
+    if (!Array.isArray(tourIds) || tourIds.length === 0) {
+        return fetchAllPages(wixData.query('Tours')
+            .eq('_publishStatus', 'PUBLISHED')
+            .limit(PAGE_SIZE));
+    }
+
+    const tours = await fetchAllPages(wixData.query('Tours')
+        .hasSome('_id', tourIds)
+        .limit(PAGE_SIZE));
+    const foundIds = tours.map(tour => tour._id);
+    const missingIds = tourIds.filter(tourId => !foundIds.includes(tourId));
+    if (missingIds.length > 0) {
+        throw new Error(`Tours not found: ${missingIds.join(', ')}`);
+    }
+    return tours;
+}
+
+/**
+ * Validate the date range of a closure
+ * @param {string} fromDate - First date as YYYY-MM-DD
+ * @param {string} toDate - Last date as YYYY-MM-DD
+ */
+function validateClosureRange(fromDate, toDate) {
+    if (!isValidDateKey(fromDate) || !isValidDateKey(toDate)) {
+        throw new Error(`Invalid date range: ${fromDate} to ${toDate}, expected YYYY-MM-DD`);
+    }
+    if (fromDate > toDate) {
+        throw new Error(`Invalid date range: ${fromDate} is after ${toDate}`);
+    }
+    if (toDate > addDays(fromDate, MAX_CLOSURE_DAYS - 1)) {
+        throw new Error(`Emergency closures cover at most ${MAX_CLOSURE_DAYS} days, use closed periods for longer closures`);
+    }
+}
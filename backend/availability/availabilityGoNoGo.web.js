@@ -0,0 +1,226 @@
+import wixData from 'wix-data';
+import { logSystemState } from 'backend/shared/systemStateManager.web.js';
+import { loadTourDateRows, toAvailabilityEntry, commitWithVersionCheck } from './availabilityDates.web.js';
+import { getDateBookings, toAffectedBooking } from './availabilityBookings.web.js';
+import { getDateStartTime } from './bookingCutoffRules.web.js';
+import { CHANGE_SOURCES, resolveChangeContext, buildDateChange, recordDateChanges } from './availabilityHistory.web.js';
+import { getJSTToday, addDays, toJSTInstant } from 'public/jstDate.js';
+import { GO_NO_GO_DECISIONS } from 'public/goNoGoDecisions.js';
+
+/**
+ * Minimum participants go/no-go decisions
+ * Tours with a minParticipants setting are reviewed when a date reaches its decision deadline,
+ * goNoGoDeadlineHours before the first time slot (or midnight JST for dates without slots)
+ * Dates below the minimum are closed as cancelled for low demand and their bookings are listed for staff,
+ * dates that reached it are marked as go so they are not reviewed again
+ * Runs hourly so every date is decided within an hour of its deadline
+ */
+
+// Decision deadline used when a tour has minParticipants but no deadline setting
+const DEFAULT_DEADLINE_HOURS = 72;
+
+// Longest decision deadline accepted from tour settings (30 days)
+const MAX_DEADLINE_HOURS = 720;
+
+/**
+ * Scheduled job to decide upcoming dates of tours with a minimum number of participants
+ * @param {boolean} isManual - True if triggered manually by user, false if automatic/scheduled
+ * @returns {Promise<Object>} Decision statistics and the bookings of cancelled dates
+ */
+export async function executeGoNoGoDecisions(isManual = false) {
+    const startTime = new Date();
+    const context = resolveChangeContext(null, CHANGE_SOURCES.SCHEDULER);
+    const executionContext = isManual ?
+        'manual execution triggered from testing page' :
+        'scheduled hourly execution';
+
+    try {
+        await logSystemState({
+            stateType: 'Go/No-Go Decision',
+            operationType: 'GONOGODECISION',
+            executionStatus: 'Completed Successfully',
+            processingStartTime: startTime,
+            logData: `Starting go/no-go decisions for tours with minimum participants - ${executionContext} at ${startTime.toISOString()}`,
+            affectedTourCount: 0,
+            affectedTourNames: []
+        });
+
+        const activeTours = await wixData.query('Tours')
+            .eq('_publishStatus', 'PUBLISHED')
+            .find();
+        const tours = activeTours.items.filter(tour => resolveMinParticipants(tour) !== null);
+
+        const decisions = [];
+        const affectedBookings = [];
+        const errorMessages = [];
+        const warnings = [];
+        const failedTours = [];
+
+        for (const tour of tours) {
+            const tourLabel = tour.title || tour.urlName;
+            try {
+                const tourResult = await decideTourDates(tour, startTime, context);
+                decisions.push(...tourResult.decisions);
+                affectedBookings.push(...tourResult.affectedBookings);
+                warnings.push(...tourResult.warnings.map(warning => `${tourLabel}: ${warning}`));
+            } catch (error) {
+                errorMessages.push(`Error deciding tour ${tourLabel} (ID: ${tour._id}): ${error.message}`);
+                failedTours.push(tourLabel);
+            }
+        }
+
+        const cancelledDates = decisions.filter(decision => decision.decision === GO_NO_GO_DECISIONS.CANCELLED_LOW_DEMAND);
+        const goDates = decisions.filter(decision => decision.decision === GO_NO_GO_DECISIONS.GO);
+
+        const endTime = new Date();
+        const duration = (endTime.getTime() - startTime.getTime()) / 1000;
+        const cancelledLines = cancelledDates.map(decision =>
+            `  - ${decision.tourLabel} ${decision.date}: ${decision.bookedParticipants}/${decision.minParticipants} booked, cancelled for low demand (${decision.bookingCount} bookings affected)`
+        );
+        const warningLines = warnings.map(warning => `  WARNING: ${warning}`);
+
+        await logSystemState({
+            stateType: 'Go/No-Go Decision',
+            operationType: 'GONOGODECISION',
+            executionStatus: errorMessages.length === 0 ? 'Completed Successfully' : 'Completed with errors',
+            processingStartTime: startTime,
+            processingEndTime: endTime,
+            logData: [
+                `Go/no-go decisions completed in ${duration.toFixed(2)} seconds - ${executionContext}. ${tours.length} tours with minimum participants, ${goDates.length} dates go, ${cancelledDates.length} dates cancelled for low demand, ${affectedBookings.length} bookings affected, ${errorMessages.length} errors.`,
+                ...cancelledLines,
+                ...warningLines
+            ].join('\n'),
+            errorDetails: errorMessages.join('; '),
+            affectedTourCount: new Set(cancelledDates.map(decision => decision.tourLabel)).size,
+            affectedTourNames: [...new Set(cancelledDates.map(decision => decision.tourLabel))]
+        });
+
+        return {
+            success: true,
+            toursProcessed: tours.length,
+            toursFailed: failedTours.length,
+            goDates: goDates,
+            cancelledDates: cancelledDates,
+            affectedBookings: affectedBookings,
+            warnings: warnings,
+            errors: errorMessages,
+            executionTime: duration,
+            failedTours: failedTours
+        };
+    } catch (error) {
+        await logSystemState({
+            stateType: 'Go/No-Go Decision',
+            operationType: 'GONOGODECISION',
+            executionStatus: 'Failed',
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: `Go/no-go decisions failed - ${executionContext}: ${error.message}`,
+            errorDetails: error.message,
+            affectedTourCount: 0,
+            affectedTourNames: []
+        });
+
+        return {
+            success: false,
+            error: error.message,
+            errorDetails: error.stack
+        };
+    }
+}
+
+/**
+ * Decide the dates of one tour whose deadline has passed and that have not started yet
+ * @param {Object} tourData - Tour data with minParticipants
+ * @param {Date} now - Time of the run
+ * @param {Object} context - Resolved change context
+ * @returns {Promise<Object>} Decisions, bookings of cancelled dates and warnings
+ */
+async function decideTourDates(tourData, now, context) {
+    const tourLabel = tourData.title || tourData.urlName;
+    const minParticipants = resolveMinParticipants(tourData);
+    const deadlineHours = resolveDeadlineHours(tourData);
+    const today = getJSTToday(now);
+    const lastDate = addDays(today, Math.ceil(deadlineHours / 24) + 1);
+
+    const decisions = [];
+    const affectedBookings = [];
+    const warnings = [];
+
+    if (tourData.goNoGoDeadlineHours !== undefined && tourData.goNoGoDeadlineHours !== null && deadlineHours !== tourData.goNoGoDeadlineHours) {
+        warnings.push(`Ignored invalid goNoGoDeadlineHours ${tourData.goNoGoDeadlineHours}, using ${deadlineHours}`);
+    }
+
+    const rows = await loadTourDateRows(tourData._id, today, lastDate);
+
+    for (const row of rows) {
+        if (row.status === 'notoperating' || row.goNoGoDecision) {
+            continue;
+        }
+
+        const tourStart = toJSTInstant(row.date, getDateStartTime(row));
+        const deadline = new Date(tourStart.getTime() - deadlineHours * 60 * 60 * 1000);
+        if (now < deadline || now >= tourStart) {
+            continue;
+        }
+
+        const bookedParticipants = row.bookedParticipants || 0;
+        const decision = bookedParticipants >= minParticipants ?
+            GO_NO_GO_DECISIONS.GO :
+            GO_NO_GO_DECISIONS.CANCELLED_LOW_DEMAND;
+
+        const updatedEntry = { ...toAvailabilityEntry(row), goNoGoDecision: decision };
+        if (decision === GO_NO_GO_DECISIONS.CANCELLED_LOW_DEMAND) {
+            updatedEntry.status = 'notoperating';
+        }
+
+        // A booking made since the row was read is decided on fresh data by the next run
+        const committedRow = await commitWithVersionCheck(row, updatedEntry);
+        if (!committedRow) {
+            warnings.push(`${row.date} changed during the decision, left for the next run`);
+            continue;
+        }
+        await recordDateChanges([buildDateChange(row, committedRow, { ...context, reason: `Minimum participants ${minParticipants}, ${bookedParticipants} booked` })]);
+
+        const dateBookings = decision === GO_NO_GO_DECISIONS.CANCELLED_LOW_DEMAND ?
+            await getDateBookings(tourData._id, row.date) :
+            [];
+        affectedBookings.push(...dateBookings.map(booking => toAffectedBooking(booking, row, tourLabel)));
+
+        decisions.push({
+            tourId: row.tourId,
+            tourLabel: tourLabel,
+            date: row.date,
+            decision: decision,
+            bookedParticipants: bookedParticipants,
+            minParticipants: minParticipants,
+            deadline: deadline,
+            bookingCount: dateBookings.length
+        });
+    }
+
+    return {
+        decisions: decisions,
+        affectedBookings: affectedBookings,
+        warnings: warnings
+    };
+}
+
+/**
+ * Resolves the minimum participants a tour needs to run
+ * @param {Object} tourData - Tour data
+ * @returns {number|null} Minimum participants, or null when the tour always runs
+ */
+function resolveMinParticipants(tourData) {
+    const value = tourData.minParticipants;
+    return Number.isInteger(value) && value > 0 ? value : null;
+}
+
+/**
+ * Resolves how many hours before the start a tour date is decided
+ * @param {Object} tourData - Tour data
+ * @returns {number} Decision deadline in hours
+ */
+function resolveDeadlineHours(tourData) {
+    const value = tourData.goNoGoDeadlineHours;
+    return Number.isInteger(value) && value > 0 && value <= MAX_DEADLINE_HOURS ? value : DEFAULT_DEADLINE_HOURS;
+}
@@ -0,0 +1,332 @@
+import wixData from 'wix-data';
+import { logSystemState } from 'backend/shared/systemStateManager.web.js';
+import { getTourDateRow, loadTourDateRows, toAvailabilityEntry, commitWithVersionCheck, updateItemWithVersionCheck, AVAILABILITY_DATES_COLLECTION, fetchAllPages, PAGE_SIZE } from './availabilityDates.web.js';
+import { CHANGE_SOURCES, resolveStaffChangeContext } from './availabilityHistory.web.js';
+import { getJSTToday, getWeekday, isValidDateKey } from 'public/jstDate.js';
+
+/**
+ * Guide roster and assignment per tour date
+ * Guides are kept in the Guides collection with their own working days and days off,
+ * and the guide running a date is stored on its AvailabilityDates row (guideId, guideName)
+ * Every operating date needs an assigned guide, unassigned upcoming dates are reported to staff
+ * Tours with requiresGuide set do not sell unassigned dates, for other tours the report is a warning only,
+ * so tours whose guides are not in the roster yet keep selling
+ *
+ * Guide fields:
+ *   name         Display name
+ *   email        Contact email
+ *   workingDays  Weekday names the guide works (e.g., ["Monday", "Friday"]), like Tours runDays
+ *   daysOff      Dates as YYYY-MM-DD the guide is off
+ *   tours        Tour database IDs the guide can run, empty for every tour
+ *   active       False for guides who no longer work (missing counts as active)
+ *
+ * A guide runs one tour per date. Assignments take a claim row in the GuideClaims collection first,
+ * and inserting an existing ID fails, so two tours assigning the same guide at once cannot both succeed
+ * Released claims keep their row without a tour and are taken over through the version check
+ *
+ * Claim fields:
+ *   _id          "<guide ID>_<YYYY-MM-DD>"
+ *   guideId      Guides item ID
+ *   date         Date as YYYY-MM-DD
+ *   tourName     Tour database ID of the date the guide is assigned to, null once released
+ *   tourId       Business ID of that tour (e.g., OM001)
+ *   claimedAt    Date the claim was made
+ *   version      Incremented on every takeover and release
+ */
+
+export const GUIDES_COLLECTION = 'Guides';
+export const GUIDE_CLAIMS_COLLECTION = 'GuideClaims';
+
+// Weekday names indexed like Date.getDay() (0 = Sunday)
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Attempts before an assignment gives up on concurrent updates of the date
+const MAX_ASSIGNMENT_ATTEMPTS = 3;
+
+// Time in milliseconds a new claim is kept even though its date row does not name the guide yet
+const CLAIM_GRACE_PERIOD = 60000;
+
+/**
+ * Get the reason a guide cannot run a tour on a date
+ * @param {Object} guide - Guides item
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string|null} Reason, or null if the guide can run the tour that day
+ */
+export function getGuideUnavailableReason(guide, tourId, date) {
+    if (guide.active === false) {
+        return 'Guide is inactive';
+    }
+    if (Array.isArray(guide.tours) && guide.tours.length > 0 && !guide.tours.includes(tourId)) {
+        return 'Guide does not run this tour';
+    }
+    if (!Array.isArray(guide.workingDays) || !guide.workingDays.includes(WEEKDAY_NAMES[getWeekday(date)])) {
+        return `${WEEKDAY_NAMES[getWeekday(date)]} is not a working day`;
+    }
+    if (Array.isArray(guide.daysOff) && guide.daysOff.includes(date)) {
+        return 'Day off';
+    }
+    return null;
+}
+
+/**
+ * List the guides of a tour with their availability on a date
+ * Guides already assigned to another tour that day are unavailable
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Array>} Guides with available flag and reason, available guides first
+ */
+export async function getGuidesForDate(tourId, date) {
+    if (!isValidDateKey(date)) {
+        throw new Error(`Invalid date: ${date}, expected YYYY-MM-DD`);
+    }
+
+    const guides = await fetchAllPages(wixData.query(GUIDES_COLLECTION).ascending('name').limit(PAGE_SIZE));
+    const assignedElsewhere = await getGuideAssignmentsOnDate(date, tourId);
+
+    return guides
+        .filter(guide => guide.active !== false)
+        .map(guide => {
+            const otherAssignment = assignedElsewhere[guide._id];
+            const reason = getGuideUnavailableReason(guide, tourId, date) ||
+                (otherAssignment ? `Assigned to ${otherAssignment.tourId || otherAssignment.tourName}` : null);
+            return {
+                _id: guide._id,
+                name: guide.name,
+                email: guide.email || '',
+                available: reason === null,
+                reason: reason
+            };
+        })
+        .sort((a, b) => Number(b.available) - Number(a.available));
+}
+
+/**
+ * Assign a guide to a tour date, or remove the assignment
+ * The guide is claimed for the date before the row is written, and the claim of the guide
+ * previously assigned to the date is released once the row no longer names them
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string|null} guideId - Guides item ID, null to unassign
+ * @param {Object|null} changeContext - Reason of the change, the user is the logged in member (optional)
+ * @returns {Promise<Object>} Assignment result with the updated entry
+ */
+export async function assignGuideToDate(tourId, date, guideId, changeContext = null) {
+    const startTime = new Date();
+    const { user } = await resolveStaffChangeContext(changeContext, CHANGE_SOURCES.MANAGER);
+    let guide = null;
+    let claimedGuideId = null;
+
+    try {
+        if (guideId) {
+            guide = await wixData.get(GUIDES_COLLECTION, guideId);
+            if (!guide) {
+                throw new Error(`Guide ${guideId} not found`);
+            }
+
+            const reason = getGuideUnavailableReason(guide, tourId, date);
+            if (reason) {
+                throw new Error(`${guide.name} cannot run this tour on ${date}: ${reason}`);
+            }
+
+            const claimResult = await claimGuide(guide, tourId, date);
+            if (claimResult.created) {
+                claimedGuideId = guide._id;
+            }
+            if (claimResult.claim.tourName !== tourId) {
+                throw new Error(`${guide.name} is already assigned to ${claimResult.claim.tourId || claimResult.claim.tourName} on ${date}`);
+            }
+
+            // Assignments made before guides were claimed only show on the date rows
+            const otherAssignment = (await getGuideAssignmentsOnDate(date, tourId))[guideId];
+            if (otherAssignment) {
+                throw new Error(`${guide.name} is already assigned to ${otherAssignment.tourId || otherAssignment.tourName} on ${date}`);
+            }
+        }
+
+        for (let attempt = 1; attempt <= MAX_ASSIGNMENT_ATTEMPTS; attempt++) {
+            const dateRow = await getTourDateRow(tourId, date);
+            if (!dateRow) {
+                throw new Error(`Date ${date} not found in availability for tour ID: ${tourId}`);
+            }
+
+            const previousGuide = dateRow.guideName || 'none';
+            const updatedEntry = {
+                ...toAvailabilityEntry(dateRow),
+                guideId: guide ? guide._id : null,
+                guideName: guide ? guide.name : null
+            };
+
+            const committedRow = await commitWithVersionCheck(dateRow, updatedEntry);
+            if (committedRow) {
+                claimedGuideId = null;
+                if (dateRow.guideId && dateRow.guideId !== updatedEntry.guideId) {
+                    await releaseGuideClaim(dateRow.guideId, tourId, date);
+                }
+
+                await logSystemState({
+                    stateType: 'Guide Assignment',
+                    stateCategory: 'AVAILABILITY_OPERATIONS',
+                    executionStatus: 'Execution Completed',
+                    processingStartTime: startTime,
+                    processingEndTime: new Date(),
+                    logData: `Guide of ${date} on tour ${dateRow.tourId || tourId}: ${previousGuide} → ${guide ? guide.name : 'none'}. User: ${user}`,
+                    errorDetails: '',
+                    affectedTourCount: 1,
+                    affectedTourNames: [dateRow.tourId || tourId]
+                });
+
+                return {
+                    status: 'SUCCESS',
+                    tourId: tourId,
+                    date: date,
+                    guideId: updatedEntry.guideId,
+                    guideName: updatedEntry.guideName,
+                    row: committedRow
+                };
+            }
+        }
+
+        throw new Error(`Availability for ${date} was modified concurrently ${MAX_ASSIGNMENT_ATTEMPTS} times, giving up`);
+    } catch (error) {
+        // A claim of an assignment that was never written must not block the guide
+        if (claimedGuideId) {
+            await releaseGuideClaim(claimedGuideId, tourId, date);
+        }
+
+        await logSystemState({
+            stateType: 'Guide Assignment',
+            stateCategory: 'AVAILABILITY_OPERATIONS',
+            executionStatus: 'Executed with errors',
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: `Failed to assign ${guide ? guide.name : 'no guide'} to ${date} on tour ID ${tourId}: ${error.message}`,
+            errorDetails: error.message,
+            affectedTourCount: 0,
+            affectedTourNames: [tourId]
+        });
+
+        throw error;
+    }
+}
+
+/**
+ * List the upcoming operating dates of a tour without an assigned guide
+ * @param {string} tourId - The database ID of the tour
+ * @param {string|null} toDate - Last date as YYYY-MM-DD (optional)
+ * @returns {Promise<Array>} Dates as YYYY-MM-DD
+ */
+export async function getUnassignedDates(tourId, toDate = null) {
+    const rows = await loadTourDateRows(tourId, getJSTToday(), toDate);
+    return rows
+        .filter(row => row.status !== 'notoperating' && !row.guideId)
+        .map(row => row.date);
+}
+
+/**
+ * Claim a guide for a tour date, or return the claim another tour holds
+ * A released claim, or one whose tour no longer has the guide on that date (for example a date removed since),
+ * is taken over through the version check, so only one of several concurrent assignments gets it
+ * @param {Object} guide - Guides item
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object>} Claim row now stored for the guide, and whether this call took it
+ */
+async function claimGuide(guide, tourId, date) {
+    const claimId = `${guide._id}_${date}`;
+    const tourData = await wixData.get('Tours', tourId);
+    const claimFields = {
+        tourName: tourId,
+        tourId: tourData ? tourData.tourId || tourData.title : tourId,
+        claimedAt: new Date()
+    };
+
+    const existingClaim = await wixData.get(GUIDE_CLAIMS_COLLECTION, claimId);
+    if (existingClaim) {
+        if (existingClaim.tourName === tourId || await isGuideClaimInUse(existingClaim)) {
+            return { claim: existingClaim, created: false };
+        }
+
+        const takenClaim = await updateItemWithVersionCheck(GUIDE_CLAIMS_COLLECTION, existingClaim, claimFields);
+        if (takenClaim) {
+            return { claim: takenClaim, created: true };
+        }
+        return { claim: await wixData.get(GUIDE_CLAIMS_COLLECTION, claimId), created: false };
+    }
+
+    try {
+        const claim = await wixData.insert(GUIDE_CLAIMS_COLLECTION, {
+            _id: claimId,
+            guideId: guide._id,
+            date: date,
+            ...claimFields,
+            version: 1
+        });
+        return { claim: claim, created: true };
+    } catch (error) {
+        // Another assignment inserted the same claim between the read and the insert
+        const concurrentClaim = await wixData.get(GUIDE_CLAIMS_COLLECTION, claimId);
+        if (!concurrentClaim) {
+            throw error;
+        }
+        return { claim: concurrentClaim, created: false };
+    }
+}
+
+/**
+ * Check if a claim still holds its guide
+ * A new claim is kept even before its date row names the guide, its assignment may still be in progress
+ * @param {Object} claim - GuideClaims row
+ * @returns {Promise<boolean>} True if the claim is in use
+ */
+async function isGuideClaimInUse(claim) {
+    if (!claim.tourName) {
+        return false;
+    }
+    if (Date.now() - new Date(claim.claimedAt).getTime() < CLAIM_GRACE_PERIOD) {
+        return true;
+    }
+    const dateRow = await getTourDateRow(claim.tourName, claim.date);
+    return !!dateRow && dateRow.guideId === claim.guideId;
+}
+
+/**
+ * Release the claim of a guide on a date if the tour holds it
+ * The claim row stays without a tour, so a release cannot undo a takeover by another tour
+ * Failures are logged only: a claim left behind is taken over once its tour no longer has the guide
+ * @param {string} guideId - Guides item ID
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<void>}
+ */
+async function releaseGuideClaim(guideId, tourId, date) {
+    const claimId = `${guideId}_${date}`;
+    try {
+        const claim = await wixData.get(GUIDE_CLAIMS_COLLECTION, claimId);
+        if (claim && claim.tourName === tourId) {
+            await updateItemWithVersionCheck(GUIDE_CLAIMS_COLLECTION, claim, { tourName: null, tourId: null });
+        }
+    } catch (error) {
+        console.error(`Failed to release guide claim ${claimId}:`, error);
+    }
+}
+
+/**
+ * Get the guides assigned to other tours on a date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} tourId - The database ID of the tour to leave out
+ * @returns {Promise<Object>} Date rows keyed by guide ID
+ */
+async function getGuideAssignmentsOnDate(date, tourId) {
+    const rows = await fetchAllPages(wixData.query(AVAILABILITY_DATES_COLLECTION)
+        .eq('date', date)
+        .isNotEmpty('guideId')
+        .ne('tourName', tourId)
+        .limit(PAGE_SIZE));
+
+    const assignments = {};
+    rows.forEach(row => {
+        assignments[row.guideId] = row;
+    });
+    return assignments;
+}
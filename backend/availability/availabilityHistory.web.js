@@ -0,0 +1,276 @@
+import wixData from 'wix-data';
+import { currentMember } from 'wix-members-backend';
+import { fetchAllPages, PAGE_SIZE } from './availabilityDates.web.js';
+
+/**
+ * Per-date change history for tour availability
+ * Every write that changes the status, booking count or time slots of an AvailabilityDates row
+ * is recorded in the AvailabilityChanges collection with the values before and after,
+ * the source of the change and the user, so single changes or time windows can be reverted
+ * An undo restores status and closure markers only, booking counts always follow the Bookings collection
+ *
+ * Record fields:
+ *   tourName       Tour database ID
+ *   tourId         Business ID (e.g., OM001)
+ *   date           Date as YYYY-MM-DD
+ *   rowId          AvailabilityDates row ID
+ *   changedFields  Audited fields that changed
+ *   previousValue  Tracked fields before the change
+ *   newValue       Tracked fields after the change
+ *   source         One of CHANGE_SOURCES
+ *   user           Who made the change ("system" for automatic changes)
+ *   reason         Optional note
+ *   changedAt      Time of the change
+ *   revertedAt     Time the change was reverted, if it was
+ *   revertedBy     User who reverted it
+ *   revertOf       For undo records, the ID of the reverted change
+ *   removed        True when the row was removed, such as a date rotated out of the horizon
+ *   batchId        Run of a bulk operation the change belongs to, its changes are reverted as a unit
+ */
+
+export const AVAILABILITY_CHANGES_COLLECTION = 'AvailabilityChanges';
+
+// Where a change came from
+export const CHANGE_SOURCES = {
+    MANAGER: 'Manager page',
+    SCHEDULER: 'Scheduler',
+    API: 'API',
+    RECONCILIATION: 'Booking reconciliation',
+    UNDO: 'Undo'
+};
+
+// Fields stored before and after each change
+const TRACKED_FIELDS = ['status', 'manualStatus', 'bookedParticipants', 'timeSlots', 'emergencyClosure', 'calendarClosure'];
+
+// Fields restored by an undo, booking counts follow the Bookings collection and are never written back
+const RESTORED_FIELDS = ['status', 'manualStatus', 'emergencyClosure', 'calendarClosure'];
+
+// Sources whose changes mirror confirmed bookings and are left out of undo
+const NON_REVERTIBLE_SOURCES = [CHANGE_SOURCES.UNDO, CHANGE_SOURCES.API, CHANGE_SOURCES.RECONCILIATION];
+
+// Fields whose change creates a history record
+const AUDITED_FIELDS = ['status', 'bookedParticipants', 'timeSlots'];
+
+/**
+ * Fill in defaults for the context of a change
+ * @param {Object|null} changeContext - Source, user and reason of the change
+ * @param {string} defaultSource - Source used when the context has none
+ * @returns {Object} Context with source and user set
+ */
+export function resolveChangeContext(changeContext, defaultSource) {
+    const context = changeContext || {};
+    return {
+        source: context.source || defaultSource,
+        user: context.user || 'system',
+        reason: context.reason || ''
+    };
+}
+
+/**
+ * Fill in defaults for the context of a change made from a staff page
+ * The user is the member logged in to the request as read on the backend,
+ * a user sent along by the page is ignored so the history cannot be signed with another name
+ * @param {Object|null} changeContext - Source and reason of the change
+ * @param {string} defaultSource - Source used when the context has none
+ * @returns {Promise<Object>} Context with source and user set, user "system" outside of a member request
+ */
+export async function resolveStaffChangeContext(changeContext, defaultSource) {
+    const context = resolveChangeContext(changeContext, defaultSource);
+    return { ...context, user: await getCurrentMemberLabel() };
+}
+
+/**
+ * Pick the tracked fields of a row or entry
+ * @param {Object} row - AvailabilityDates row or availability entry
+ * @returns {Object} Status, manual status, booking count, time slots and emergency closure
+ */
+export function pickTrackedValues(row) {
+    const values = {};
+    TRACKED_FIELDS.forEach(field => {
+        values[field] = row && row[field] !== undefined ? row[field] : null;
+    });
+    return values;
+}
+
+/**
+ * Pick the fields an undo restores
+ * @param {Object} values - Tracked values of a history record
+ * @returns {Object} Status, manual status and closure markers
+ */
+export function pickRestoredValues(values) {
+    const restored = {};
+    RESTORED_FIELDS.forEach(field => {
+        restored[field] = values && values[field] !== undefined ? values[field] : null;
+    });
+    return restored;
+}
+
+/**
+ * Check if the restored fields of a row still hold the given values
+ * Booking counts are left out, so seats reserved since a change do not block its undo
+ * @param {Object} row - AvailabilityDates row
+ * @param {Object} values - Tracked values
+ * @returns {boolean} True if nothing an undo restores changed since
+ */
+export function hasTrackedValues(row, values) {
+    const current = pickRestoredValues(row);
+    const expected = pickRestoredValues(values);
+    return RESTORED_FIELDS.every(field => JSON.stringify(current[field]) === JSON.stringify(expected[field]));
+}
+
+/**
+ * Check if a change can be undone
+ * Seat changes of partner reservations and booking reconciliation mirror confirmed bookings,
+ * undo records are undone by reverting the original change again,
+ * and removed dates come back by regenerating the tour
+ * @param {Object} change - History record
+ * @returns {boolean} True if the change may be reverted
+ */
+export function isRevertibleChange(change) {
+    return !NON_REVERTIBLE_SOURCES.includes(change.source) && !change.removed;
+}
+
+/**
+ * Build a history record for a row write
+ * @param {Object} previousRow - Row before the write
+ * @param {Object|null} newRow - Row after the write, null when the row was removed
+ * @param {Object} changeContext - Resolved change context
+ * @returns {Object|null} History record, or null if no audited field changed
+ */
+export function buildDateChange(previousRow, newRow, changeContext) {
+    const previousValue = pickTrackedValues(previousRow);
+    const newValue = pickTrackedValues(newRow);
+    const changedFields = AUDITED_FIELDS.filter(field =>
+        JSON.stringify(previousValue[field]) !== JSON.stringify(newValue[field])
+    );
+
+    if (changedFields.length === 0) {
+        return null;
+    }
+
+    const row = newRow || previousRow;
+    return {
+        tourName: row.tourName,
+        tourId: row.tourId,
+        date: row.date,
+        rowId: row._id,
+        changedFields: changedFields,
+        previousValue: previousValue,
+        newValue: newValue,
+        removed: !newRow,
+        source: changeContext.source,
+        user: changeContext.user,
+        reason: changeContext.reason || '',
+        changedAt: new Date()
+    };
+}
+
+/**
+ * Save history records
+ * @param {Array} changes - Records from buildDateChange, null items are skipped
+ * @returns {Promise<number>} Number of saved records
+ */
+export async function recordDateChanges(changes) {
+    const records = changes.filter(change => change !== null);
+
+    for (let i = 0; i < records.length; i += PAGE_SIZE) {
+        await wixData.bulkInsert(AVAILABILITY_CHANGES_COLLECTION, records.slice(i, i + PAGE_SIZE));
+    }
+    return records.length;
+}
+
+/**
+ * Get the change history of a tour, newest first
+ * @param {string} tourId - The database ID of the tour
+ * @param {string|null} date - Limit to a single date as YYYY-MM-DD (optional)
+ * @returns {Promise<Array>} History records
+ */
+export async function getDateChangeHistory(tourId, date = null) {
+    let query = wixData.query(AVAILABILITY_CHANGES_COLLECTION)
+        .eq('tourName', tourId);
+    if (date) {
+        query = query.eq('date', date);
+    }
+
+    return fetchAllPages(query.descending('changedAt').limit(PAGE_SIZE));
+}
+
+/**
+ * Get the changes of a tour in a time window that were not reverted yet, newest first
+ * Undo records are left out so reverting a window does not redo earlier undos,
+ * and partner reservations and booking reconciliation so undo never touches confirmed bookings
+ * @param {string} tourId - The database ID of the tour
+ * @param {Date} fromTime - Window start
+ * @param {Date} toTime - Window end
+ * @returns {Promise<Array>} History records
+ */
+export async function getRevertibleChanges(tourId, fromTime, toTime) {
+    const query = wixData.query(AVAILABILITY_CHANGES_COLLECTION)
+        .eq('tourName', tourId)
+        .ge('changedAt', fromTime)
+        .le('changedAt', toTime)
+        .isEmpty('revertedAt')
+        .ne('source', CHANGE_SOURCES.UNDO)
+        .ne('source', CHANGE_SOURCES.API)
+        .ne('source', CHANGE_SOURCES.RECONCILIATION)
+        .descending('changedAt')
+        .limit(PAGE_SIZE);
+
+    return fetchAllPages(query);
+}
+
+/**
+ * Get the changes of a bulk operation run that were not reverted yet, newest first
+ * Leaves out the same sources as getRevertibleChanges
+ * @param {string} batchId - Run ID stored on the changes
+ * @returns {Promise<Array>} History records
+ */
+export async function getBatchChanges(batchId) {
+    const query = wixData.query(AVAILABILITY_CHANGES_COLLECTION)
+        .eq('batchId', batchId)
+        .isEmpty('revertedAt')
+        .ne('source', CHANGE_SOURCES.UNDO)
+        .ne('source', CHANGE_SOURCES.API)
+        .ne('source', CHANGE_SOURCES.RECONCILIATION)
+        .descending('changedAt')
+        .limit(PAGE_SIZE);
+
+    return fetchAllPages(query);
+}
+
+/**
+ * Get a single history record
+ * @param {string} changeId - History record ID
+ * @returns {Promise<Object|null>} History record
+ */
+export async function getDateChange(changeId) {
+    return wixData.get(AVAILABILITY_CHANGES_COLLECTION, changeId);
+}
+
+/**
+ * Mark a change as reverted
+ * @param {Object} change - History record
+ * @param {Object} changeContext - Resolved context of the undo
+ * @returns {Promise<Object>} Updated history record
+ */
+export async function markDateChangeReverted(change, changeContext) {
+    return wixData.update(AVAILABILITY_CHANGES_COLLECTION, {
+        ...change,
+        revertedAt: new Date(),
+        revertedBy: changeContext.user
+    });
+}
+
+/**
+ * Get the label of the member logged in to the current request
+ * @returns {Promise<string>} Login email, or "system" for scheduled jobs and visitors
+ */
+async function getCurrentMemberLabel() {
+    try {
+        const member = await currentMember.getMember({ fieldsets: ['FULL'] });
+        return (member && (member.loginEmail || member._id)) || 'system';
+    } catch (error) {
+        console.error('Error reading current member:', error);
+        return 'system';
+    }
+}
@@ -0,0 +1,142 @@
+import { webMethod, Permissions } from 'wix-web-module';
+import wixData from 'wix-data';
+import { loadBookableTourDates } from './availabilityCore.web.js';
+import { getJSTToday, getMonthStart, getMonthEnd, addMonths, isValidDateKey } from 'public/jstDate.js';
+
+/**
+ * Public read-only availability for the booking widget
+ * Guests get one month of a published tour with only the fields a booking form needs:
+ * date, bookable flag, availability level, remaining seats, season and time slots
+ * Booking counts, capacities, notes and closure reasons stay internal,
+ * remaining seats are only given once a date or slot is down to its last few seats
+ *
+ * Availability levels:
+ *   available    Bookable with more than FEW_SEATS_LEFT seats (or no capacity limit)
+ *   fewleft      Bookable with FEW_SEATS_LEFT seats or less, remainingSeats holds the count
+ *   soldout      No seats left
+ *   unavailable  Not operating, closed for sale or past the booking cutoff
+ */
+
+// Remaining seats at or below which the exact count is shown to guests
+const FEW_SEATS_LEFT = 5;
+
+// Furthest month guests can request, matching the longest tour availability horizon
+const MAX_MONTHS_AHEAD = 36;
+
+// Tour database IDs are Wix item IDs
+const TOUR_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+/**
+ * Get the public availability of a tour for one month
+ * Dates before today are left out
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} month - Month as YYYY-MM
+ * @returns {Promise<Object>} Public dates of the month, or success false with an error message
+ */
+export const getPublicAvailability = webMethod(
+    Permissions.Anyone,
+    async (tourId, month) => {
+        const validationError = validatePublicRequest(tourId, month);
+        if (validationError) {
+            return { success: false, error: validationError };
+        }
+
+        try {
+            const tourData = await wixData.get('Tours', tourId);
+            if (!tourData || tourData._publishStatus !== 'PUBLISHED') {
+                return { success: false, error: 'Tour not found' };
+            }
+
+            const today = getJSTToday();
+            const monthStart = `${month}-01`;
+            const fromDate = monthStart < today ? today : monthStart;
+            const entries = await loadBookableTourDates(tourId, fromDate, getMonthEnd(monthStart));
+
+            return {
+                success: true,
+                tourId: tourId,
+                month: month,
+                dates: entries.map(toPublicDate)
+            };
+        } catch (error) {
+            console.error('Error loading public availability:', tourId, month, error);
+            return { success: false, error: 'Availability could not be loaded, please try again later' };
+        }
+    }
+);
+
+/**
+ * Validate the tour ID and month of a public request
+ * @param {*} tourId - Requested tour ID
+ * @param {*} month - Requested month
+ * @returns {string|null} Error message, or null if the request is valid
+ */
+function validatePublicRequest(tourId, month) {
+    if (typeof tourId !== 'string' || !TOUR_ID_PATTERN.test(tourId)) {
+        return 'Invalid tour ID';
+    }
+    if (typeof month !== 'string' || !MONTH_PATTERN.test(month) || !isValidDateKey(`${month}-01`)) {
+        return 'Invalid month, expected YYYY-MM';
+    }
+
+    const currentMonthStart = getMonthStart(getJSTToday());
+    if (`${month}-01` < currentMonthStart) {
+        return 'Month is in the past';
+    }
+    if (`${month}-01` > addMonths(currentMonthStart, MAX_MONTHS_AHEAD)) {
+        return `Month is more than ${MAX_MONTHS_AHEAD} months ahead`;
+    }
+    return null;
+}
+
+/**
+ * Reduce an availability entry to its public fields
+ * @param {Object} entry - Availability entry with bookable flags
+ * @returns {Object} Public date
+ */
+function toPublicDate(entry) {
+    const publicDate = {
+        date: entry.date,
+        bookable: entry.bookable === true,
+        ...describeSeats(entry, entry.bookable === true),
+        season: entry.season === 'high' ? 'high' : 'normal',
+        timeSlots: []
+    };
+
+    if (Array.isArray(entry.timeSlots)) {
+        publicDate.timeSlots = entry.timeSlots
+            .filter(slot => slot && slot.startTime)
+            .map(slot => ({
+                startTime: slot.startTime,
+                endTime: slot.endTime || null,
+                bookable: slot.bookable === true,
+                ...describeSeats(slot, slot.bookable === true)
+            }));
+    }
+
+    return publicDate;
+}
+
+/**
+ * Describe the seats of a date or slot without revealing booking counts
+ * @param {Object} item - Availability entry or time slot
+ * @param {boolean} bookable - Computed bookable flag of the item
+ * @returns {Object} Availability level and remaining seats (null when more than a few are left)
+ */
+function describeSeats(item, bookable) {
+    const maxParticipants = item.maxParticipants;
+    const remainingSeats = maxParticipants === null || maxParticipants === undefined ?
+        null :
+        Math.max(maxParticipants - (item.bookedParticipants || 0), 0);
+
+    if (!bookable) {
+        const isSoldOut = item.status === 'soldout' || remainingSeats === 0;
+        return { availability: isSoldOut ? 'soldout' : 'unavailable', remainingSeats: 0 };
+    }
+    if (remainingSeats !== null && remainingSeats <= FEW_SEATS_LEFT) {
+        return { availability: 'fewleft', remainingSeats: remainingSeats };
+    }
+    return { availability: 'available', remainingSeats: null };
+}
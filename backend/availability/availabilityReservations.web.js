@@ -0,0 +1,343 @@
+import wixData from 'wix-data';
+import { logSystemState } from 'backend/shared/systemStateManager.web.js';
+import { applyCapacityStatus } from './availabilityCore.web.js';
+import { getTourDateRow, migrateAvailabilityRecord, toAvailabilityEntry, commitWithVersionCheck } from './availabilityDates.web.js';
+import { CHANGE_SOURCES, resolveChangeContext, buildDateChange, recordDateChanges } from './availabilityHistory.web.js';
+import { getSalesCloseTime, getDateStartTime } from './bookingCutoffRules.web.js';
+import { claimTourResources, releaseUnusedResourceClaims } from './availabilityResources.web.js';
+import { isValidDateKey } from 'public/jstDate.js';
+
+/**
+ * Seat reservation system for tour availability
+ * Increments and decrements bookedParticipants on single AvailabilityDates rows,
+ * and on a single time slot when a slot start time is given
+ * Uses optimistic concurrency on the row version field with retries: a write only succeeds
+ * if it holds the lease of the version it read, so concurrent bookings do not overwrite each other
+ * Reservations claim the shared resources of the tour, releases free them once the date has no bookings
+ */
+
+// Maximum attempts before a reservation gives up on concurrent updates
+const MAX_RESERVATION_ATTEMPTS = 5;
+
+// Base delay in milliseconds between attempts, randomized to spread concurrent retries
+const RETRY_BASE_DELAY = 150;
+
+/**
+ * Reserve seats on a tour date
+ * Refuses when the date is not operating, sold out, has a booking conflict, is over capacity,
+ * needs a time slot because only its slots limit their seats,
+ * has no guide while the tour requires one, when the booking cutoff rules of the tour have closed its sales
+ * or when another tour has claimed a shared resource of the tour
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} count - Number of participants to reserve
+ * @param {string|null} startTime - Time slot start time in HH:MM format (optional)
+ * @param {Object|null} changeContext - Source, user and reason recorded in the change history (optional)
+ * @returns {Promise<Object>} Reservation result with updated booking counts
+ */
+export async function reserveSeats(tourId, date, count, startTime = null, changeContext = null) {
+    return applySeatChange(tourId, date, count, 'reserve', startTime, changeContext);
+}
+
+/**
+ * Release previously reserved seats on a tour date
+ * Refuses when more seats are released than are booked
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} count - Number of participants to release
+ * @param {string|null} startTime - Time slot start time in HH:MM format (optional)
+ * @param {Object|null} changeContext - Source, user and reason recorded in the change history (optional)
+ * @returns {Promise<Object>} Release result with updated booking counts
+ */
+export async function releaseSeats(tourId, date, count, startTime = null, changeContext = null) {
+    return applySeatChange(tourId, date, count, 'release', startTime, changeContext);
+}
+
+/**
+ * Apply a seat change with version check and retries
+ * Re-reads the date row on every attempt so the change is applied to fresh data
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} count - Number of participants
+ * @param {string} operation - "reserve" or "release"
+ * @param {string|null} slotTime - Time slot start time, null for the whole day
+ * @param {Object|null} changeContext - Source, user and reason recorded in the change history
+ * @returns {Promise<Object>} Operation result
+ */
+async function applySeatChange(tourId, date, count, operation, slotTime, changeContext) {
+    const startTime = new Date();
+    const stateType = operation === 'reserve' ? 'Seat Reservation' : 'Seat Release';
+    const dateLabel = slotTime ? `${date} ${slotTime}` : date;
+    let tourLabel = tourId;
+    const createdClaimIds = [];
+
+    try {
+        if (!tourId || !date) {
+            throw new Error('Tour ID and date are required');
+        }
+        if (!isValidDateKey(date)) {
+            throw new Error(`Invalid date: ${date}, expected YYYY-MM-DD`);
+        }
+        if (!Number.isInteger(count) || count <= 0) {
+            throw new Error(`Invalid participant count: ${count}`);
+        }
+
+        const tourData = await wixData.get('Tours', tourId);
+        if (!tourData) {
+            throw new Error(`Tour with ID ${tourId} not found`);
+        }
+        tourLabel = tourData.title || tourData.urlName;
+
+        const availabilityQuery = await wixData.query('Availability')
+            .eq('tourName', tourId)
+            .find();
+
+        if (availabilityQuery.items.length === 0) {
+            throw new Error(`No availability found for tour: ${tourLabel}`);
+        }
+        await migrateAvailabilityRecord(availabilityQuery.items[0]);
+
+        for (let attempt = 1; attempt <= MAX_RESERVATION_ATTEMPTS; attempt++) {
+            const dateRow = await getTourDateRow(tourId, date);
+
+            if (!dateRow) {
+                return await logRejection(stateType, startTime, tourId, tourLabel, date, count, `Date ${date} is outside the availability range`);
+            }
+
+            const entry = toAvailabilityEntry(dateRow);
+            const timeSlots = Array.isArray(entry.timeSlots) ? entry.timeSlots : [];
+            const slotIndex = slotTime ? timeSlots.findIndex(slot => slot && slot.startTime === slotTime) : -1;
+
+            if (slotTime && slotIndex === -1) {
+                return await logRejection(stateType, startTime, tourId, tourLabel, date, count, `No time slot starting at ${slotTime} on ${date}`);
+            }
+
+            let rejection = operation === 'reserve' ?
+                checkReservation(entry, count, slotTime) :
+                checkRelease(entry, count);
+            if (!rejection && slotIndex !== -1) {
+                const slot = { ...timeSlots[slotIndex], date: dateLabel };
+                rejection = operation === 'reserve' ?
+                    checkSlotReservation(slot, count) :
+                    checkRelease(slot, count);
+            }
+            if (!rejection && operation === 'reserve' && tourData.requiresGuide && !entry.guideId) {
+                rejection = `No guide is assigned on ${date}`;
+            }
+            if (!rejection && operation === 'reserve') {
+                rejection = checkSalesCutoff(entry, slotTime, dateLabel, tourData);
+            }
+            if (!rejection && operation === 'reserve') {
+                const claimResult = await claimTourResources(tourData, entry, slotTime);
+                createdClaimIds.push(...claimResult.createdClaimIds);
+                rejection = claimResult.rejection;
+                if (rejection) {
+                    await releaseUnusedResourceClaims(tourId, date, createdClaimIds);
+                }
+            }
+
+            if (rejection) {
+                return await logRejection(stateType, startTime, tourId, tourLabel, date, count, rejection);
+            }
+
+            const delta = operation === 'reserve' ? count : -count;
+            const bookedParticipants = (entry.bookedParticipants || 0) + delta;
+            const changedEntry = { ...entry, bookedParticipants: bookedParticipants };
+            if (slotIndex !== -1) {
+                changedEntry.timeSlots = timeSlots.map((slot, index) => index === slotIndex ?
+                    { ...slot, bookedParticipants: (slot.bookedParticipants || 0) + delta } :
+                    slot);
+            }
+            const updatedEntry = applyCapacityStatus(changedEntry, tourData);
+
+            const committedRow = await commitWithVersionCheck(dateRow, updatedEntry);
+            if (committedRow) {
+                await recordDateChanges([buildDateChange(dateRow, committedRow, resolveChangeContext(changeContext, CHANGE_SOURCES.API))]);
+                if (operation === 'release') {
+                    await releaseUnusedResourceClaims(tourId, date);
+                }
+
+                const remainingSeats = updatedEntry.maxParticipants === null ?
+                    null :
+                    Math.max(updatedEntry.maxParticipants - bookedParticipants, 0);
+
+                await logSystemState({
+                    stateType: stateType,
+                    stateCategory: 'AVAILABILITY_OPERATIONS',
+                    executionStatus: 'Execution Completed',
+                    processingStartTime: startTime,
+                    processingEndTime: new Date(),
+                    logData: `${operation === 'reserve' ? 'Reserved' : 'Released'} ${count} seats on ${dateLabel} for tour ${tourLabel}. Booked: ${entry.bookedParticipants || 0} → ${bookedParticipants}. Status: ${entry.status} → ${updatedEntry.status}. Attempts: ${attempt}`,
+                    errorDetails: '',
+                    affectedTourCount: 1,
+                    affectedTourNames: [tourLabel]
+                });
+
+                return {
+                    status: 'SUCCESS',
+                    tourId: tourId,
+                    date: date,
+                    startTime: slotTime || null,
+                    bookedParticipants: bookedParticipants,
+                    maxParticipants: updatedEntry.maxParticipants,
+                    remainingSeats: remainingSeats,
+                    availabilityStatus: updatedEntry.status,
+                    slot: slotIndex !== -1 ? updatedEntry.timeSlots[slotIndex] : null,
+                    attempts: attempt
+                };
+            }
+
+            // Another writer changed the date - wait and retry on fresh data
+            if (attempt < MAX_RESERVATION_ATTEMPTS) {
+                await new Promise(resolve => setTimeout(resolve, RETRY_BASE_DELAY * attempt + Math.floor(Math.random() * RETRY_BASE_DELAY)));
+            }
+        }
+
+        throw new Error(`Availability for ${dateLabel} was modified concurrently ${MAX_RESERVATION_ATTEMPTS} times, giving up`);
+    } catch (error) {
+        // Claims of a reservation that was never written must not block other tours
+        if (createdClaimIds.length > 0) {
+            await releaseUnusedResourceClaims(tourId, date, createdClaimIds).catch(releaseError => {
+                console.error(`Failed to release resource claims of ${date}:`, releaseError);
+            });
+        }
+
+        await logSystemState({
+            stateType: stateType,
+            stateCategory: 'AVAILABILITY_OPERATIONS',
+            executionStatus: 'Executed with errors',
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: `Failed to ${operation} ${count} seats on ${dateLabel} for tour ${tourLabel}: ${error.message}`,
+            errorDetails: error.message,
+            affectedTourCount: 0,
+            affectedTourNames: [tourLabel]
+        });
+
+        throw error;
+    }
+}
+
+/**
+ * Check if seats can be reserved on an availability entry
+ * A date without a day capacity whose time slots limit their seats only takes reservations for one of its slots,
+ * a whole day reservation would not count against any capacity
+ * @param {Object} entry - Availability entry
+ * @param {number} count - Number of participants to reserve
+ * @param {string|null} slotTime - Time slot start time, null for the whole day
+ * @returns {string|null} Rejection reason, or null if reservation is allowed
+ */
+function checkReservation(entry, count, slotTime) {
+    if (entry.status === 'notoperating') {
+        return `Tour is not operating on ${entry.date}`;
+    }
+    if (entry.manualStatus === 'soldout') {
+        return `${entry.date} has been closed for sale by staff`;
+    }
+    if (entry.status === 'soldout') {
+        return `${entry.date} is sold out`;
+    }
+    if (entry.bookingConflict) {
+        return `${entry.date} has an unresolved booking conflict (${entry.bookingConflict})`;
+    }
+
+    const maxParticipants = entry.maxParticipants;
+    if (maxParticipants === null || maxParticipants === undefined) {
+        const timeSlots = Array.isArray(entry.timeSlots) ? entry.timeSlots : [];
+        const hasLimitedSlots = timeSlots.some(slot => slot && slot.maxParticipants !== null && slot.maxParticipants !== undefined);
+        if (!slotTime && hasLimitedSlots) {
+            return `${entry.date} only has seats in its time slots, a slot start time is required`;
+        }
+        return null;
+    }
+
+    const remainingSeats = maxParticipants - (entry.bookedParticipants || 0);
+    if (count > remainingSeats) {
+        return `Only ${Math.max(remainingSeats, 0)} seats left on ${entry.date}, ${count} requested`;
+    }
+
+    return null;
+}
+
+/**
+ * Check if seats can be reserved on a time slot
+ * @param {Object} slot - Time slot with the date label used in messages
+ * @param {number} count - Number of participants to reserve
+ * @returns {string|null} Rejection reason, or null if reservation is allowed
+ */
+function checkSlotReservation(slot, count) {
+    const maxParticipants = slot.maxParticipants;
+    if (maxParticipants === null || maxParticipants === undefined) {
+        return null;
+    }
+
+    const remainingSeats = maxParticipants - (slot.bookedParticipants || 0);
+    if (count > remainingSeats) {
+        return `Only ${Math.max(remainingSeats, 0)} seats left on ${slot.date}, ${count} requested`;
+    }
+
+    return null;
+}
+
+/**
+ * Check if the booking cutoff rules of the tour still allow sales
+ * A whole day reservation is checked against the earliest time slot of the date
+ * @param {Object} entry - Availability entry
+ * @param {string|null} slotTime - Time slot start time, null for the whole day
+ * @param {string} dateLabel - Date and slot used in messages
+ * @param {Object} tourData - Tour data with optional bookingCutoffRules
+ * @returns {string|null} Rejection reason, or null if sales are open
+ */
+function checkSalesCutoff(entry, slotTime, dateLabel, tourData) {
+    const closeTime = getSalesCloseTime(entry.date, slotTime || getDateStartTime(entry), tourData.bookingCutoffRules);
+    if (closeTime !== null && new Date() >= closeTime) {
+        return `Sales for ${dateLabel} closed at ${closeTime.toISOString()}`;
+    }
+    return null;
+}
+
+/**
+ * Check if seats can be released from an availability entry or time slot
+ * @param {Object} entry - Availability entry or time slot
+ * @param {number} count - Number of participants to release
+ * @returns {string|null} Rejection reason, or null if release is allowed
+ */
+function checkRelease(entry, count) {
+    const bookedParticipants = entry.bookedParticipants || 0;
+    if (count > bookedParticipants) {
+        return `Cannot release ${count} seats on ${entry.date}, only ${bookedParticipants} booked`;
+    }
+    return null;
+}
+
+/**
+ * Log a refused seat change and build the rejection result
+ * @param {string} stateType - SystemState type for the operation
+ * @param {Date} startTime - Operation start time
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} tourLabel - Tour title for logging
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} count - Number of participants requested
+ * @param {string} reason - Rejection reason
+ * @returns {Promise<Object>} Rejection result
+ */
+async function logRejection(stateType, startTime, tourId, tourLabel, date, count, reason) {
+    await logSystemState({
+        stateType: stateType,
+        stateCategory: 'AVAILABILITY_OPERATIONS',
+        executionStatus: 'Completed Successfully',
+        processingStartTime: startTime,
+        processingEndTime: new Date(),
+        logData: `Request for ${count} seats on ${date} for tour ${tourLabel} refused: ${reason}`,
+        errorDetails: '',
+        affectedTourCount: 0,
+        affectedTourNames: [tourLabel]
+    });
+
+    return {
+        status: 'REJECTED',
+        tourId: tourId,
+        date: date,
+        reason: reason
+    };
+}
@@ -0,0 +1,269 @@
+import wixData from 'wix-data';
+import { getTourDateRow, fetchAllPages, PAGE_SIZE } from './availabilityDates.web.js';
+
+/**
+ * Shared resources across tours
+ * Tours that share one vehicle or one licensed guide list the resource in their sharedResources field,
+ * and only one of them can run on a date (or a time slot for slot resources)
+ * The first tour to book seats claims the resource with a ResourceClaims row, other tours are refused
+ * until the claiming tour has no bookings left on that date or slot
+ * Claim rows use a fixed ID per resource, date and slot, so two concurrent claims cannot both be inserted
+ * A reservation that is refused or fails removes only the claims it created itself, and a release leaves
+ * claims younger than CLAIM_GRACE_PERIOD alone, so a claim a concurrent reservation has not yet
+ * committed its seats behind is not removed
+ * Tours sharing a slot resource are expected to use the same time slots, slots are matched by start time
+ *
+ * Resource fields:
+ *   name    Display name (e.g., "Minibus 1")
+ *   type    Kind of resource (e.g., "vehicle", "guide")
+ *   scope   "date" (default) blocks the whole date, "slot" blocks the same time slot only
+ *   active  False for resources that are no longer shared (missing counts as active)
+ *
+ * Claim fields:
+ *   _id           "<resource ID>_<YYYY-MM-DD>" or "<resource ID>_<YYYY-MM-DD>_<HH:MM>" for slot resources
+ *   resourceId    Resources item ID
+ *   resourceName  Resource name when the claim was made
+ *   date          Date as YYYY-MM-DD
+ *   startTime     Time slot start time, null for the whole date
+ *   tourName      Tour database ID of the claiming tour
+ *   tourId        Business ID of the claiming tour (e.g., OM001)
+ *   claimedAt     Date the claim was made
+ */
+
+export const RESOURCES_COLLECTION = 'Resources';
+export const RESOURCE_CLAIMS_COLLECTION = 'ResourceClaims';
+
+export const RESOURCE_SCOPES = {
+    DATE: 'date',
+    SLOT: 'slot'
+};
+
+// Time in milliseconds a new claim is kept without bookings, covering a reservation still committing its seats
+const CLAIM_GRACE_PERIOD = 60000;
+
+/**
+ * Get the active shared resources of a tour
+ * @param {Object} tourData - Tour data with optional sharedResources
+ * @returns {Promise<Array>} Resources items
+ */
+export async function getTourResources(tourData) {
+    const resourceIds = Array.isArray(tourData.sharedResources) ? tourData.sharedResources.filter(Boolean) : [];
+    if (resourceIds.length === 0) {
+        return [];
+    }
+
+    const resources = await fetchAllPages(wixData.query(RESOURCES_COLLECTION)
+        .hasSome('_id', resourceIds)
+        .limit(PAGE_SIZE));
+    return resources.filter(resource => resource.active !== false);
+}
+
+/**
+ * Claim the shared resources of a tour for a reservation
+ * A whole day reservation claims a slot resource on every time slot of the date
+ * Claims the tour already holds are kept, the IDs of claims this call created are returned
+ * even on a refusal, so the caller can release them with releaseUnusedResourceClaims
+ * @param {Object} tourData - Tour data with optional sharedResources
+ * @param {Object} entry - Availability entry of the date
+ * @param {string|null} slotTime - Time slot start time, null for the whole day
+ * @returns {Promise<Object>} Refusal reason (null if every resource is claimed by the tour) and created claim IDs
+ */
+export async function claimTourResources(tourData, entry, slotTime) {
+    const resources = await getTourResources(tourData);
+    const createdClaimIds = [];
+
+    for (const resource of resources) {
+        for (const startTime of getClaimStartTimes(resource, entry, slotTime)) {
+            const { claim, created } = await claimResource(resource, tourData, entry.date, startTime);
+            if (created) {
+                createdClaimIds.push(claim._id);
+            }
+            if (claim.tourName !== tourData._id) {
+                const claimLabel = startTime ? `${entry.date} ${startTime}` : entry.date;
+                return {
+                    rejection: `${resource.name} is used by tour ${claim.tourId || claim.tourName} on ${claimLabel}`,
+                    createdClaimIds: createdClaimIds
+                };
+            }
+        }
+    }
+
+    return { rejection: null, createdClaimIds: createdClaimIds };
+}
+
+/**
+ * Remove the claims of a tour on a date that no longer have bookings
+ * A slot claim stays while its slot or a whole day reservation of the date has bookings
+ * With claimIds only those claims are considered, otherwise every claim older than the grace period
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Array|null} claimIds - Claims created by the caller (optional)
+ * @returns {Promise<number>} Number of removed claims
+ */
+export async function releaseUnusedResourceClaims(tourId, date, claimIds = null) {
+    if (Array.isArray(claimIds) && claimIds.length === 0) {
+        return 0;
+    }
+
+    const claims = await fetchAllPages(wixData.query(RESOURCE_CLAIMS_COLLECTION)
+        .eq('tourName', tourId)
+        .eq('date', date)
+        .limit(PAGE_SIZE));
+    const now = Date.now();
+    const candidates = Array.isArray(claimIds) ?
+        claims.filter(claim => claimIds.includes(claim._id)) :
+        claims.filter(claim => !claim.claimedAt || now - new Date(claim.claimedAt).getTime() >= CLAIM_GRACE_PERIOD);
+    if (candidates.length === 0) {
+        return 0;
+    }
+
+    const dateRow = await getTourDateRow(tourId, date);
+    const unusedIds = candidates
+        .filter(claim => !isClaimInUse(claim, dateRow))
+        .map(claim => claim._id);
+
+    if (unusedIds.length > 0) {
+        await wixData.bulkRemove(RESOURCE_CLAIMS_COLLECTION, unusedIds);
+    }
+    return unusedIds.length;
+}
+
+/**
+ * Get the dates of a tour blocked by other tours using its shared resources
+ * @param {string} tourId - The database ID of the tour
+ * @param {string|null} fromDate - First date as YYYY-MM-DD (optional)
+ * @param {string|null} toDate - Last date as YYYY-MM-DD (optional)
+ * @returns {Promise<Object>} Blocks keyed by date, with the reason and the blocked
+ *   slot start times (null when the whole date is blocked)
+ */
+export async function getResourceBlocks(tourId, fromDate = null, toDate = null) {
+    const tourData = await wixData.get('Tours', tourId);
+    if (!tourData) {
+        throw new Error(`Tour with ID ${tourId} not found`);
+    }
+
+    const resources = await getTourResources(tourData);
+    if (resources.length === 0) {
+        return {};
+    }
+
+    let query = wixData.query(RESOURCE_CLAIMS_COLLECTION)
+        .hasSome('resourceId', resources.map(resource => resource._id))
+        .ne('tourName', tourId);
+    if (fromDate) {
+        query = query.ge('date', fromDate);
+    }
+    if (toDate) {
+        query = query.le('date', toDate);
+    }
+    const claims = await fetchAllPages(query.ascending('date').limit(PAGE_SIZE));
+
+    const resourceNames = {};
+    resources.forEach(resource => {
+        resourceNames[resource._id] = resource.name;
+    });
+
+    const blocks = {};
+    claims.forEach(claim => {
+        const block = blocks[claim.date] || { reasons: [], startTimes: [] };
+        const claimLabel = claim.startTime ? ` at ${claim.startTime}` : '';
+        block.reasons.push(`${resourceNames[claim.resourceId] || claim.resourceName} used by tour ${claim.tourId || claim.tourName}${claimLabel}`);
+        if (!claim.startTime) {
+            block.startTimes = null;
+        } else if (block.startTimes !== null) {
+            block.startTimes.push(claim.startTime);
+        }
+        blocks[claim.date] = block;
+    });
+
+    const result = {};
+    Object.keys(blocks).forEach(date => {
+        result[date] = {
+            reason: blocks[date].reasons.join(', '),
+            startTimes: blocks[date].startTimes
+        };
+    });
+    return result;
+}
+
+/**
+ * Claim a resource on a date or slot, or return the claim another tour already holds
+ * @param {Object} resource - Resources item
+ * @param {Object} tourData - Tour data
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string|null} startTime - Time slot start time, null for the whole date
+ * @returns {Promise<Object>} Claim row now stored for the resource, and whether this call created it
+ */
+async function claimResource(resource, tourData, date, startTime) {
+    const claimId = startTime ? `${resource._id}_${date}_${startTime}` : `${resource._id}_${date}`;
+
+    const existingClaim = await wixData.get(RESOURCE_CLAIMS_COLLECTION, claimId);
+    if (existingClaim) {
+        return { claim: existingClaim, created: false };
+    }
+
+    try {
+        const claim = await wixData.insert(RESOURCE_CLAIMS_COLLECTION, {
+            _id: claimId,
+            resourceId: resource._id,
+            resourceName: resource.name,
+            date: date,
+            startTime: startTime,
+            tourName: tourData._id,
+            tourId: tourData.tourId || tourData.title || tourData._id,
+            claimedAt: new Date()
+        });
+        return { claim: claim, created: true };
+    } catch (error) {
+        // Another reservation inserted the same claim between the read and the insert
+        const concurrentClaim = await wixData.get(RESOURCE_CLAIMS_COLLECTION, claimId);
+        if (!concurrentClaim) {
+            throw error;
+        }
+        return { claim: concurrentClaim, created: false };
+    }
+}
+
+/**
+ * Get the slot start times a reservation claims a resource on
+ * @param {Object} resource - Resources item
+ * @param {Object} entry - Availability entry of the date
+ * @param {string|null} slotTime - Time slot start time, null for the whole day
+ * @returns {Array} Start times, [null] for a whole date claim
+ */
+function getClaimStartTimes(resource, entry, slotTime) {
+    if (resource.scope !== RESOURCE_SCOPES.SLOT) {
+        return [null];
+    }
+    if (slotTime) {
+        return [slotTime];
+    }
+
+    const slotTimes = (Array.isArray(entry.timeSlots) ? entry.timeSlots : [])
+        .map(slot => slot && slot.startTime)
+        .filter(Boolean);
+    return slotTimes.length > 0 ? slotTimes : [null];
+}
+
+/**
+ * Check if a claim still has bookings behind it
+ * @param {Object} claim - ResourceClaims row
+ * @param {Object|null} dateRow - AvailabilityDates row of the claiming tour
+ * @returns {boolean} True if the date or slot still has bookings
+ */
+function isClaimInUse(claim, dateRow) {
+    if (!dateRow) {
+        return false;
+    }
+
+    const bookedParticipants = dateRow.bookedParticipants || 0;
+    const timeSlots = Array.isArray(dateRow.timeSlots) ? dateRow.timeSlots : [];
+    if (!claim.startTime || timeSlots.length === 0) {
+        return bookedParticipants > 0;
+    }
+
+    // Whole day reservations count on the date only, they hold every slot claim
+    const slotBookedParticipants = timeSlots.reduce((sum, slot) => sum + ((slot && slot.bookedParticipants) || 0), 0);
+    const slot = timeSlots.find(item => item && item.startTime === claim.startTime);
+    return bookedParticipants > slotBookedParticipants || (!!slot && (slot.bookedParticipants || 0) > 0);
+}
@@ -1,6 +1,8 @@
 import wixData from 'wix-data';
 import { logSystemState } from 'backend/shared/systemStateManager.web.js';
 import { generateAvailabilityForTour } from './availabilityCore.web.js';
+import { migrateAvailabilityToDateRows } from './availabilityDates.web.js';
+import { getJSTToday } from 'public/jstDate.js';
 
 /**
  * Automated scheduling system for availability updates
@@ -10,7 +12,7 @@ import { generateAvailabilityForTour } from './availabilityCore.web.js';
 
 /**
  * Scheduled job to update availability data monthly
- * Removes previous month dates and adds 18th month dates for all tours
+ * Removes previous month dates and fills each tour's availability horizon (18 months by default)
  * @param {boolean} isManual - True if triggered manually by user, false if automatic/scheduled
  * @returns {Promise<Object>} Update statistics and results
  */
@@ -34,6 +36,9 @@ export async function executeMonthlyAvailabilityUpdate(isManual = false) {
             affectedTourNames: []
         });
         
+        // Move tours still stored as one availabilityData array onto AvailabilityDates rows first
+        const migrationResult = await migrateAvailabilityToDateRows();
+        
         // Get all active tours using publish status
         const activeTours = await wixData.query('Tours')
             .eq('_publishStatus', 'PUBLISHED')
@@ -54,7 +59,8 @@ export async function executeMonthlyAvailabilityUpdate(isManual = false) {
             return {
                 success: true,
                 message: 'No active tours found for update',
-                toursUpdated: 0
+                toursUpdated: 0,
+                toursMigrated: migrationResult.migratedTours.length
             };
         }
         
@@ -65,6 +71,7 @@ export async function executeMonthlyAvailabilityUpdate(isManual = false) {
         let errorMessages = [];
         let successfulTours = [];
         let failedTours = [];
+        let bookingConflictCount = 0;
         
         for (let i = 0; i < activeTours.items.length; i += chunkSize) {
             const chunk = activeTours.items.slice(i, i + chunkSize);
@@ -80,6 +87,7 @@ export async function executeMonthlyAvailabilityUpdate(isManual = false) {
                 if (result.status === 'fulfilled') {
                     successCount++;
                     successfulTours.push(`${tour.title || tour.urlName}`);
+                    bookingConflictCount += (result.value.bookingConflicts || []).length;
                 } else {
                     errorCount++;
                     const errorMessage = result.reason && result.reason.message ? 
@@ -113,7 +121,7 @@ export async function executeMonthlyAvailabilityUpdate(isManual = false) {
             executionStatus: executionStatus,
             processingStartTime: startTime,
             processingEndTime: endTime,
-            logData: `Monthly availability update completed in ${duration.toFixed(2)} seconds - ${executionContext}. ${successCount} tours updated successfully, ${errorCount} errors.`,
+            logData: `Monthly availability update completed in ${duration.toFixed(2)} seconds - ${executionContext}. ${successCount} tours updated successfully, ${errorCount} errors, ${bookingConflictCount} booking conflicts.`,
             errorDetails: errorMessages.join('; '),
             affectedTourCount: successCount,
             affectedTourNames: successfulTours
@@ -124,6 +132,8 @@ export async function executeMonthlyAvailabilityUpdate(isManual = false) {
             toursProcessed: activeTours.items.length,
             toursUpdated: successCount,
             toursFailed: errorCount,
+            toursMigrated: migrationResult.migratedTours.length,
+            bookingConflicts: bookingConflictCount,
             errors: errorMessages,
             executionTime: duration,
             successfulTours: successfulTours,
@@ -272,10 +282,9 @@ export function calculateDateDifference(startDate, endDate) {
 
 /**
  * Helper function to get current date in JST timezone
- * @returns {Date} Current date adjusted to JST
+ * Returns a plain calendar date so it cannot shift when read with local getters
+ * @returns {string} Current JST date in YYYY-MM-DD format
  */
 export function getCurrentJSTDate() {
-    const now = new Date();
-    const jstOffset = 9 * 60 * 60 * 1000; // JST is UTC+9
-    return new Date(now.getTime() + jstOffset);
+    return getJSTToday();
 }
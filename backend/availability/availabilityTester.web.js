@@ -1,6 +1,19 @@
 import { webMethod, Permissions } from "wix-web-module";
 import wixData from 'wix-data';
-import { createInitialAvailability, generateAvailabilityForTour, fetchCancellationPolicy } from 'backend/availability/availabilityCore.web.js';
+import { createInitialAvailability, generateAvailabilityForTour, fetchCancellationPolicy, resolveHorizonMonths, parseHoursOfAvailability } from 'backend/availability/availabilityCore.web.js';
+import { validateRecurrenceRules, parseRecurrenceRule, matchesRecurrenceRules, expandRecurrenceRule } from './recurrenceRules.web.js';
+import { validateCutoffRules, getSalesCloseTime, isSalesOpen } from './bookingCutoffRules.web.js';
+import { escapeText, foldLine } from './availabilityCalendar.web.js';
+import { parseICalEvents } from 'backend/shared/iCalParser.js';
+import { loadTourDateRows, toAvailabilityEntry, hasLegacyAvailabilityData, getLegacyAvailabilityEntries, migrateAvailabilityToDateRows, AVAILABILITY_DATES_COLLECTION, AVAILABILITY_DATE_LOCKS_COLLECTION } from './availabilityDates.web.js';
+import { AVAILABILITY_CHANGES_COLLECTION } from './availabilityHistory.web.js';
+import { reconcileBookedParticipants, BOOKINGS_COLLECTION } from './availabilityBookings.web.js';
+import { WAITLIST_COLLECTION } from './availabilityWaitlist.web.js';
+import { executeGoNoGoDecisions } from './availabilityGoNoGo.web.js';
+import { GUIDES_COLLECTION, GUIDE_CLAIMS_COLLECTION } from './availabilityGuides.web.js';
+import { RESOURCES_COLLECTION, RESOURCE_CLAIMS_COLLECTION } from './availabilityResources.web.js';
+import { EMERGENCY_CLOSURES_COLLECTION } from './availabilityEmergencyClosure.web.js';
+import { getJSTToday, toJSTDateKey, isValidDateKey, isLeapYear, formatDateKey, addDays, addMonths, getMonthStart, getMonthEnd, getWeekday, diffDays, eachDateKey } from 'public/jstDate.js';
 import { logSystemState, getSystemStatistics, performSystemHealthCheck } from 'backend/shared/systemStateManager.web.js';
 import { executeMonthlyAvailabilityUpdate, testMonthlyUpdate } from './availabilityScheduler.web.js';
 
@@ -28,6 +41,16 @@ export const testSystemConnectivity = webMethod(
             // Test database access for all collections
             results.tests.toursDatabase = await testDatabaseAccess('Tours');
             results.tests.availabilityDatabase = await testDatabaseAccess('Availability');
+            results.tests.availabilityDatesDatabase = await testDatabaseAccess(AVAILABILITY_DATES_COLLECTION);
+            results.tests.availabilityDateLocksDatabase = await testDatabaseAccess(AVAILABILITY_DATE_LOCKS_COLLECTION);
+            results.tests.availabilityChangesDatabase = await testDatabaseAccess(AVAILABILITY_CHANGES_COLLECTION);
+            results.tests.bookingsDatabase = await testDatabaseAccess(BOOKINGS_COLLECTION);
+            results.tests.waitlistDatabase = await testDatabaseAccess(WAITLIST_COLLECTION);
+            results.tests.guidesDatabase = await testDatabaseAccess(GUIDES_COLLECTION);
+            results.tests.guideClaimsDatabase = await testDatabaseAccess(GUIDE_CLAIMS_COLLECTION);
+            results.tests.resourcesDatabase = await testDatabaseAccess(RESOURCES_COLLECTION);
+            results.tests.resourceClaimsDatabase = await testDatabaseAccess(RESOURCE_CLAIMS_COLLECTION);
+            results.tests.emergencyClosuresDatabase = await testDatabaseAccess(EMERGENCY_CLOSURES_COLLECTION);
             results.tests.systemStateDatabase = await testDatabaseAccess('SystemState');
             results.tests.highSeasonDatabase = await testDatabaseAccess('HighSeasonPeriods');
             results.tests.cancellationPolicyDatabase = await testDatabaseAccess('CancellationPolicies');
@@ -41,7 +64,7 @@ export const testSystemConnectivity = webMethod(
                 stateType: "System Test",
                 operationType: "SYSTEM_TEST",
                 executionStatus: results.overallStatus === 'SUCCESS' ? "Completed Successfully" : "Completed with errors",
-                logData: `Connectivity test: ${results.overallStatus}. Tours: ${results.tests.toursDatabase.status}, Availability: ${results.tests.availabilityDatabase.status}, SystemState: ${results.tests.systemStateDatabase.status}, HighSeasonPeriods: ${results.tests.highSeasonDatabase.status}, CancellationPolicies: ${results.tests.cancellationPolicyDatabase.status}`
+                logData: `Connectivity test: ${results.overallStatus}. Tours: ${results.tests.toursDatabase.status}, Availability: ${results.tests.availabilityDatabase.status}, AvailabilityDates: ${results.tests.availabilityDatesDatabase.status}, AvailabilityDateLocks: ${results.tests.availabilityDateLocksDatabase.status}, AvailabilityChanges: ${results.tests.availabilityChangesDatabase.status}, Bookings: ${results.tests.bookingsDatabase.status}, Waitlist: ${results.tests.waitlistDatabase.status}, Guides: ${results.tests.guidesDatabase.status}, Resources: ${results.tests.resourcesDatabase.status}, ResourceClaims: ${results.tests.resourceClaimsDatabase.status}, EmergencyClosures: ${results.tests.emergencyClosuresDatabase.status}, SystemState: ${results.tests.systemStateDatabase.status}, HighSeasonPeriods: ${results.tests.highSeasonDatabase.status}, CancellationPolicies: ${results.tests.cancellationPolicyDatabase.status}`
             });
 
             return results;
@@ -151,10 +174,10 @@ export const runComprehensiveToursStatusCheck = webMethod(
                     const closedPeriods = availabilityMap[tour._id].closedPeriods || [];
                     if (Array.isArray(closedPeriods) && closedPeriods.length > 0) {
                         const details = closedPeriods.map(period => {
-                            const startDate = `${String(period.startMonth).padStart(2, '0')}-${String(period.startDay).padStart(2, '0')}`;
-                            const endDate = `${String(period.endMonth).padStart(2, '0')}-${String(period.endDay).padStart(2, '0')}`;
+                            const startDate = `${period.startYear ? `${period.startYear}-` : ''}${String(period.startMonth).padStart(2, '0')}-${String(period.startDay).padStart(2, '0')}`;
+                            const endDate = `${period.endYear ? `${period.endYear}-` : ''}${String(period.endMonth).padStart(2, '0')}-${String(period.endDay).padStart(2, '0')}`;
                             
-                            if (period.startMonth === period.endMonth && period.startDay === period.endDay) {
+                            if (startDate === endDate) {
                                 return `${startDate} (${period.reason})`;
                             } else {
                                 return `${startDate} to ${endDate} (${period.reason})`;
@@ -167,8 +190,9 @@ export const runComprehensiveToursStatusCheck = webMethod(
                 // Calculate availability statistics if exists
                 let availabilityStats = null;
                 if (hasAvailability) {
-                    const availabilityData = availabilityMap[tour._id].availabilityData || [];
+                    const availabilityData = await getStoredAvailabilityEntries(availabilityMap[tour._id]);
                     availabilityStats = {
+                        pendingMigration: hasLegacyAvailabilityData(availabilityMap[tour._id]),
                         totalDates: availabilityData.length,
                         availableDates: availabilityData.filter(d => d.status === 'available').length,
                         highSeasonDates: availabilityData.filter(d => d.season === 'high').length,
@@ -393,10 +417,10 @@ export const analyzeSelectedTourAvailability = webMethod(
                 const closedPeriods = availabilityQuery.items[0].closedPeriods || [];
                 if (Array.isArray(closedPeriods) && closedPeriods.length > 0) {
                     const details = closedPeriods.map(period => {
-                        const startDate = `${String(period.startMonth).padStart(2, '0')}-${String(period.startDay).padStart(2, '0')}`;
-                        const endDate = `${String(period.endMonth).padStart(2, '0')}-${String(period.endDay).padStart(2, '0')}`;
+                        const startDate = `${period.startYear ? `${period.startYear}-` : ''}${String(period.startMonth).padStart(2, '0')}-${String(period.startDay).padStart(2, '0')}`;
+                        const endDate = `${period.endYear ? `${period.endYear}-` : ''}${String(period.endMonth).padStart(2, '0')}-${String(period.endDay).padStart(2, '0')}`;
                         
-                        if (period.startMonth === period.endMonth && period.startDay === period.endDay) {
+                        if (startDate === endDate) {
                             return `${startDate} (${period.reason})`;
                         } else {
                             return `${startDate} to ${endDate} (${period.reason})`;
@@ -411,16 +435,19 @@ export const analyzeSelectedTourAvailability = webMethod(
             let availabilityStats = null;
             
             if (hasAvailability) {
-                const availabilityData = availabilityQuery.items[0].availabilityData || [];
+                const availabilityData = await getStoredAvailabilityEntries(availabilityQuery.items[0]);
                 const highSeasonDates = availabilityData.filter(d => d.season === 'high').length;
+                const holidayDates = availabilityData.filter(d => d.holidayName).length;
                 const normalSeasonDates = availabilityData.filter(d => d.season === 'normal').length;
                 const availableDates = availabilityData.filter(d => d.status === 'available').length;
                 
                 availabilityStats = {
+                    pendingMigration: hasLegacyAvailabilityData(availabilityQuery.items[0]),
                     totalDates: availabilityData.length,
                     availableDates: availableDates,
                     highSeasonDates: highSeasonDates,
                     normalSeasonDates: normalSeasonDates,
+                    holidayDates: holidayDates,
                     dateRange: availabilityData.length > 0 ? {
                         from: availabilityData[0].date,
                         to: availabilityData[availabilityData.length - 1].date
@@ -438,6 +465,12 @@ export const analyzeSelectedTourAvailability = webMethod(
                     visibility: tourData._publishStatus || tourData.status || 'Unknown'
                 },
                 operatingDays: tourData.runDays || [],
+                holidayRules: tourData.holidayRules || [],
+                horizonMonths: resolveHorizonMonths(tourData),
+                recurrenceRules: tourData.recurrenceRules || [],
+                recurrenceRuleErrors: validateRecurrenceRules(tourData.recurrenceRules).errors,
+                bookingCutoffRules: tourData.bookingCutoffRules || [],
+                bookingCutoffRuleErrors: validateCutoffRules(tourData.bookingCutoffRules).errors,
                 highSeasonPolicy: {
                     name: highSeasonDetails.policyName,
                     periods: highSeasonDetails.periods
@@ -532,9 +565,11 @@ export const testTourAvailabilityGeneration = webMethod(
                 testResults.status = 'DRY_RUN_SUCCESS';
                 testResults.simulatedResults = {
                     wouldGenerate: true,
-                    estimatedDatesCount: calculateEstimatedDates(),
+                    horizonMonths: resolveHorizonMonths(tourData),
+                    estimatedDatesCount: calculateEstimatedDates(resolveHorizonMonths(tourData)),
                     tourHasHours: !!(tourData.hoursOfAvailability && tourData.hoursOfAvailability.length > 0),
                     operatingHours: tourData.hoursOfAvailability || [],
+                    generatedTimeSlots: parseHoursOfAvailability(tourData.hoursOfAvailability),
                     message: 'Test completed in dry-run mode - no actual data created'
                 };
             } else {
@@ -724,6 +759,208 @@ export const testMonthlyUpdateProcess = webMethod(
     }
 );
 
+/**
+ * Test JST date handling shared by availability generation and the Manager page
+ * Checks day rollover at JST midnight, month boundaries and leap years
+ * @returns {Promise<Object>} Test results with failed cases
+ */
+export const testJSTDateHandling = webMethod(
+    Permissions.Anyone,
+    async () => {
+        const testCases = [
+            // JST midnight is 15:00 UTC of the previous day
+            { name: 'JST today before midnight', actual: () => getJSTToday(new Date('2026-10-31T14:59:59Z')), expected: '2026-10-31' },
+            { name: 'JST today after midnight', actual: () => getJSTToday(new Date('2026-10-31T15:00:00Z')), expected: '2026-11-01' },
+            { name: 'JST today at year end', actual: () => getJSTToday(new Date('2026-12-31T15:00:00Z')), expected: '2027-01-01' },
+            { name: 'Date key passes through', actual: () => toJSTDateKey('2027-05-03'), expected: '2027-05-03' },
+            // Month boundaries
+            { name: 'Add day across month end', actual: () => addDays('2027-01-31', 1), expected: '2027-02-01' },
+            { name: 'Subtract day across year start', actual: () => addDays('2027-01-01', -1), expected: '2026-12-31' },
+            { name: 'Add 17 months', actual: () => addMonths('2026-11-15', 17), expected: '2028-04-15' },
+            { name: 'Add month clamps to month end', actual: () => addMonths('2027-01-31', 1), expected: '2027-02-28' },
+            { name: 'Subtract month clamps to month end', actual: () => addMonths('2027-03-31', -1), expected: '2027-02-28' },
+            { name: 'Month start', actual: () => getMonthStart('2027-08-19'), expected: '2027-08-01' },
+            { name: 'Month end of 30-day month', actual: () => getMonthEnd('2027-04-10'), expected: '2027-04-30' },
+            { name: 'Day 0 is previous month end', actual: () => formatDateKey(2027, 3, 0), expected: '2027-02-28' },
+            { name: 'Days in range across months', actual: () => eachDateKey('2027-01-30', '2027-02-02').length, expected: 4 },
+            // Leap years
+            { name: 'Leap day exists in 2028', actual: () => isValidDateKey('2028-02-29'), expected: true },
+            { name: 'No leap day in 2027', actual: () => isValidDateKey('2027-02-29'), expected: false },
+            { name: 'Add day to Feb 28 in leap year', actual: () => addDays('2028-02-28', 1), expected: '2028-02-29' },
+            { name: 'Add day to Feb 28 in common year', actual: () => addDays('2027-02-28', 1), expected: '2027-03-01' },
+            { name: 'Add month to Jan 31 in leap year', actual: () => addMonths('2028-01-31', 1), expected: '2028-02-29' },
+            { name: 'Add year to leap day', actual: () => addMonths('2028-02-29', 12), expected: '2029-02-28' },
+            { name: 'Month end of leap February', actual: () => getMonthEnd('2028-02-10'), expected: '2028-02-29' },
+            { name: 'Century year 2100 is not leap', actual: () => isLeapYear(2100), expected: false },
+            { name: 'Year 2000 is leap', actual: () => isLeapYear(2000), expected: true },
+            { name: 'Days across leap day', actual: () => diffDays('2028-02-28', '2028-03-01'), expected: 2 },
+            // Weekdays and validation
+            { name: 'Weekday of 2026-11-04 is Wednesday', actual: () => getWeekday('2026-11-04'), expected: 3 },
+            { name: 'Invalid month rejected', actual: () => isValidDateKey('2026-13-01'), expected: false },
+            { name: 'Unpadded date rejected', actual: () => isValidDateKey('2026-4-01'), expected: false }
+        ];
+
+        return runTestCases(testCases);
+    }
+);
+
+/**
+ * Test recurrence rule parsing, matching and expansion
+ * Covers ordinal weekdays, week intervals from DTSTART, month end days and unsupported parts
+ * @returns {Promise<Object>} Passed and failed cases
+ */
+export const testRecurrenceRules = webMethod(
+    Permissions.Anyone,
+    async () => {
+        const testCases = [
+            // Ordinal weekdays (November 2026 starts on a Sunday)
+            { name: '2nd Saturday matches', actual: () => matchesRecurrenceRules('2026-11-14', ['FREQ=MONTHLY;BYDAY=2SA,4SA']), expected: true },
+            { name: '3rd Saturday does not match', actual: () => matchesRecurrenceRules('2026-11-21', ['FREQ=MONTHLY;BYDAY=2SA,4SA']), expected: false },
+            { name: 'Last Sunday matches', actual: () => matchesRecurrenceRules('2026-11-29', ['FREQ=MONTHLY;BYDAY=-1SU']), expected: true },
+            { name: 'Second to last Sunday does not match', actual: () => matchesRecurrenceRules('2026-11-22', ['FREQ=MONTHLY;BYDAY=-1SU']), expected: false },
+            // Intervals count from DTSTART
+            { name: 'Every other Wednesday on DTSTART', actual: () => matchesRecurrenceRules('2026-11-04', ['FREQ=WEEKLY;INTERVAL=2;BYDAY=WE;DTSTART=20261104']), expected: true },
+            { name: 'Every other Wednesday skips a week', actual: () => matchesRecurrenceRules('2026-11-11', ['FREQ=WEEKLY;INTERVAL=2;BYDAY=WE;DTSTART=20261104']), expected: false },
+            { name: 'Every other Wednesday two weeks later', actual: () => matchesRecurrenceRules('2026-11-18', ['FREQ=WEEKLY;INTERVAL=2;BYDAY=WE;DTSTART=20261104']), expected: true },
+            { name: 'No match before DTSTART', actual: () => matchesRecurrenceRules('2026-10-28', ['FREQ=WEEKLY;INTERVAL=2;BYDAY=WE;DTSTART=20261104']), expected: false },
+            { name: 'No match after UNTIL', actual: () => matchesRecurrenceRules('2026-12-05', ['FREQ=WEEKLY;BYDAY=SA;UNTIL=20261130']), expected: false },
+            // Month days and months
+            { name: 'Last day of common February', actual: () => matchesRecurrenceRules('2027-02-28', ['FREQ=MONTHLY;BYMONTHDAY=-1']), expected: true },
+            { name: 'Feb 28 is not the last day in a leap year', actual: () => matchesRecurrenceRules('2028-02-28', ['FREQ=MONTHLY;BYMONTHDAY=-1']), expected: false },
+            { name: 'Daily rule limited to summer months', actual: () => matchesRecurrenceRules('2027-09-01', ['FREQ=DAILY;BYMONTH=7,8']), expected: false },
+            { name: 'Any of several rules matches', actual: () => matchesRecurrenceRules('2027-07-15', ['FREQ=MONTHLY;BYDAY=-1SU', 'FREQ=DAILY;BYMONTH=7,8']), expected: true },
+            // Validation
+            { name: 'YEARLY is unsupported', actual: () => parseRecurrenceRule('FREQ=YEARLY').error, expected: 'Unsupported FREQ "YEARLY"' },
+            { name: 'COUNT is unsupported', actual: () => parseRecurrenceRule('FREQ=DAILY;COUNT=3').error, expected: 'Unsupported parts: COUNT' },
+            { name: 'Zero interval is invalid', actual: () => parseRecurrenceRule('FREQ=WEEKLY;INTERVAL=0').error, expected: 'Invalid INTERVAL "0"' },
+            // Expansion over a range
+            {
+                name: 'Expand every other Wednesday',
+                actual: () => expandRecurrenceRule(parseRecurrenceRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=WE;DTSTART=20261104').rule, '2026-11-01', '2026-12-31'),
+                expected: ['2026-11-04', '2026-11-18', '2026-12-02', '2026-12-16', '2026-12-30']
+            },
+            {
+                name: 'Expand last Sunday across a year end',
+                actual: () => expandRecurrenceRule(parseRecurrenceRule('FREQ=MONTHLY;BYDAY=-1SU').rule, '2026-11-01', '2027-01-31'),
+                expected: ['2026-11-29', '2026-12-27', '2027-01-31']
+            },
+            {
+                name: 'Expand every third day from DTSTART',
+                actual: () => expandRecurrenceRule(parseRecurrenceRule('FREQ=DAILY;INTERVAL=3;DTSTART=20261101').rule, '2026-11-02', '2026-11-10'),
+                expected: ['2026-11-04', '2026-11-07', '2026-11-10']
+            }
+        ];
+
+        return runTestCases(testCases);
+    }
+);
+
+/**
+ * Test booking cutoff closing times
+ * Closing times are compared as UTC instants, JST is UTC+9
+ * @returns {Promise<Object>} Passed and failed cases
+ */
+export const testBookingCutoffRules = webMethod(
+    Permissions.Anyone,
+    async () => {
+        const closeTime = (dateKey, startTime, rules) => {
+            const instant = getSalesCloseTime(dateKey, startTime, rules);
+            return instant ? instant.toISOString() : null;
+        };
+
+        const testCases = [
+            { name: '24 hours before a 10:00 start', actual: () => closeTime('2026-11-10', '10:00', ['HOURS=24']), expected: '2026-11-09T01:00:00.000Z' },
+            { name: '18:00 JST the day before', actual: () => closeTime('2026-11-10', '10:00', ['DAYSBEFORE=1;TIME=18:00']), expected: '2026-11-09T09:00:00.000Z' },
+            { name: '08:00 JST on the tour day', actual: () => closeTime('2026-11-10', '10:00', ['DAYSBEFORE=0;TIME=08:00']), expected: '2026-11-09T23:00:00.000Z' },
+            { name: 'Earliest of several rules wins', actual: () => closeTime('2026-11-10', '10:00', ['DAYSBEFORE=1;TIME=18:00', 'HOURS=24']), expected: '2026-11-09T01:00:00.000Z' },
+            { name: 'Midnight JST the day before across a month end', actual: () => closeTime('2026-12-01', '09:00', ['DAYSBEFORE=1']), expected: '2026-11-29T15:00:00.000Z' },
+            { name: 'Hours before an early start cross the year end', actual: () => closeTime('2027-01-01', '01:00', ['HOURS=2']), expected: '2026-12-31T14:00:00.000Z' },
+            { name: 'No rules keep sales open', actual: () => closeTime('2026-11-10', '10:00', []), expected: null },
+            { name: 'Invalid rules are ignored', actual: () => closeTime('2026-11-10', '10:00', ['HOURS=x', 'DAYSBEFORE=1;HOURS=2']), expected: null },
+            { name: 'Invalid date has no closing time', actual: () => closeTime('2026-11-31', '10:00', ['HOURS=24']), expected: null },
+            { name: 'Open one minute before closing', actual: () => isSalesOpen('2026-11-10', '10:00', ['HOURS=24'], new Date('2026-11-09T00:59:00Z')), expected: true },
+            { name: 'Closed at the closing time', actual: () => isSalesOpen('2026-11-10', '10:00', ['HOURS=24'], new Date('2026-11-09T01:00:00Z')), expected: false }
+        ];
+
+        return runTestCases(testCases);
+    }
+);
+
+/**
+ * Test iCalendar parsing of imported calendars
+ * Covers folded lines, UTC to JST conversion, exclusive all-day ends, DURATION, EXDATE and escaped text
+ * @returns {Promise<Object>} Passed and failed cases
+ */
+export const testICalParsing = webMethod(
+    Permissions.Anyone,
+    async () => {
+        const parseEvent = eventLines => {
+            const result = parseICalEvents(buildICalDocument([eventLines]));
+            if (result.events.length !== 1) {
+                throw new Error(result.errors.join(', ') || `${result.events.length} events parsed`);
+            }
+            return result.events[0];
+        };
+        const allDayEvent = ['UID:a1', 'SUMMARY:Tanaka day off', 'DTSTART;VALUE=DATE:20261102', 'DTEND;VALUE=DATE:20261105'];
+
+        const testCases = [
+            // Line handling
+            { name: 'Folded summary is joined', actual: () => parseEvent(['UID:f1', 'SUMMARY:Tanaka ', ' day off', 'DTSTART;VALUE=DATE:20261102']).summary, expected: 'Tanaka day off' },
+            { name: 'Escaped text is unescaped', actual: () => parseEvent(['UID:e1', 'SUMMARY:Closed\\, typhoon\\; ferry', 'DTSTART;VALUE=DATE:20261102']).summary, expected: 'Closed, typhoon; ferry' },
+            { name: 'LF line endings are accepted', actual: () => parseICalEvents(buildICalDocument([allDayEvent]).replace(/\r\n/g, '\n')).events.length, expected: 1 },
+            // Dates and times
+            { name: 'All-day end date is exclusive', actual: () => parseEvent(allDayEvent).endDate, expected: '2026-11-04' },
+            { name: 'UTC start after 15:00 is the next JST date', actual: () => parseEvent(['UID:u1', 'DTSTART:20261102T160000Z', 'DTEND:20261102T180000Z']).startDate, expected: '2026-11-03' },
+            { name: 'UTC start time is converted to JST', actual: () => parseEvent(['UID:u2', 'DTSTART:20261102T160000Z', 'DTEND:20261102T180000Z']).startTime, expected: '01:00' },
+            { name: 'Local time is taken as JST', actual: () => parseEvent(['UID:l1', 'DTSTART;TZID=Asia/Tokyo:20261102T100000', 'DTEND;TZID=Asia/Tokyo:20261102T120000']).endTime, expected: '12:00' },
+            { name: 'Timed event ending at midnight stays on its date', actual: () => parseEvent(['UID:m1', 'DTSTART:20261102T200000', 'DTEND:20261103T000000']).endDate, expected: '2026-11-02' },
+            { name: 'All-day DURATION sets the last date', actual: () => parseEvent(['UID:d1', 'DTSTART;VALUE=DATE:20261110', 'DURATION:P2D']).endDate, expected: '2026-11-11' },
+            { name: 'Timed DURATION crosses midnight', actual: () => parseEvent(['UID:d2', 'DTSTART:20261110T220000', 'DURATION:PT3H']).endDate, expected: '2026-11-11' },
+            // Recurring events
+            { name: 'RRULE is kept for expansion', actual: () => parseEvent(['UID:r1', 'DTSTART;VALUE=DATE:20261102', 'RRULE:FREQ=WEEKLY;BYDAY=MO']).rrule, expected: 'FREQ=WEEKLY;BYDAY=MO' },
+            {
+                name: 'EXDATE lines and lists are collected',
+                actual: () => parseEvent(['UID:r2', 'DTSTART;VALUE=DATE:20261102', 'RRULE:FREQ=WEEKLY;BYDAY=MO', 'EXDATE;VALUE=DATE:20261109,20261116', 'EXDATE;VALUE=DATE:20261130']).exDates,
+                expected: ['2026-11-09', '2026-11-16', '2026-11-30']
+            },
+            // Errors
+            { name: 'Event without DTSTART is reported', actual: () => parseICalEvents(buildICalDocument([['UID:x1', 'SUMMARY:No date']])).errors, expected: ['Event x1: DTSTART is missing'] },
+            { name: 'Document without VCALENDAR is rejected', actual: () => parseICalEvents('BEGIN:VEVENT\r\nEND:VEVENT').errors, expected: ['Not an iCalendar document, BEGIN:VCALENDAR is missing'] }
+        ];
+
+        return runTestCases(testCases);
+    }
+);
+
+/**
+ * Test text escaping and line folding of the calendar feed
+ * Folded lines must stay within 75 octets without splitting multi-byte characters
+ * @returns {Promise<Object>} Passed and failed cases
+ */
+export const testCalendarFeedFormatting = webMethod(
+    Permissions.Anyone,
+    async () => {
+        const lineOctets = folded => folded.split('\r\n').map(line => new TextEncoder().encode(line).length);
+
+        const testCases = [
+            // Escaping
+            { name: 'Comma and semicolon are escaped', actual: () => escapeText('Closed, typhoon; ferry'), expected: 'Closed\\, typhoon\\; ferry' },
+            { name: 'Backslash is escaped first', actual: () => escapeText('a\\b,c'), expected: 'a\\\\b\\,c' },
+            { name: 'Line breaks become \\n', actual: () => escapeText('line 1\r\nline 2\nline 3'), expected: 'line 1\\nline 2\\nline 3' },
+            { name: 'Non-text values are converted', actual: () => escapeText(12), expected: '12' },
+            // Folding
+            { name: 'Line of 75 octets is not folded', actual: () => foldLine('x'.repeat(75)), expected: 'x'.repeat(75) },
+            { name: 'Line of 76 octets is folded once', actual: () => foldLine('x'.repeat(76)), expected: `${'x'.repeat(75)}\r\n x` },
+            { name: 'Continuation lines hold 74 octets after the space', actual: () => lineOctets(foldLine('x'.repeat(200))), expected: [75, 75, 52] },
+            { name: 'Japanese text is split between characters', actual: () => foldLine(`SUMMARY:${'あ'.repeat(30)}`).split('\r\n ').map(part => part.length), expected: [30, 8] },
+            { name: 'Japanese lines stay within 75 octets', actual: () => lineOctets(foldLine(`SUMMARY:${'あ'.repeat(30)}`)), expected: [74, 25] },
+            { name: 'Unfolding restores the line', actual: () => foldLine(`SUMMARY:${'あ'.repeat(60)}`).replace(/\r\n /g, ''), expected: `SUMMARY:${'あ'.repeat(60)}` }
+        ];
+
+        return runTestCases(testCases);
+    }
+);
+
 /**
  * Run comprehensive system test suite
  * Executes all available system tests with detailed reporting
@@ -769,6 +1006,15 @@ export const runFullSystemTest = webMethod(
             // Phase 6: Test monthly update
             fullTestResults.testPhases.monthlyUpdate = await testMonthlyUpdateProcess(dryRun);
 
+            // Phase 7: JST date handling used by generation and the Manager calendar
+            fullTestResults.testPhases.jstDates = await testJSTDateHandling();
+
+            // Phase 8: Rule engines, calendar import parsing and calendar feed formatting
+            fullTestResults.testPhases.recurrenceRules = await testRecurrenceRules();
+            fullTestResults.testPhases.bookingCutoffRules = await testBookingCutoffRules();
+            fullTestResults.testPhases.iCalParsing = await testICalParsing();
+            fullTestResults.testPhases.calendarFeedFormatting = await testCalendarFeedFormatting();
+
             // Determine overall status
             const failedPhases = Object.values(fullTestResults.testPhases).filter(phase => 
                 phase.status === 'FAILED' || phase.overallStatus === 'FAILED'
@@ -810,6 +1056,55 @@ export const runFullSystemTest = webMethod(
     }
 );
 
+/**
+ * Move availability still stored as one availabilityData array per tour onto AvailabilityDates rows
+ * Tours that were already migrated are skipped, so this can be run again safely
+ * @returns {Promise<Object>} Migration results
+ */
+export const runAvailabilityDateMigration = webMethod(
+    Permissions.Anyone,
+    async () => {
+        try {
+            return await migrateAvailabilityToDateRows();
+        } catch (error) {
+            return {
+                status: 'FAILED',
+                error: error.message
+            };
+        }
+    }
+);
+
+/**
+ * Recompute booked participants from the bookings of every tour
+ * @param {boolean} repair - If true, mismatching counts are written back
+ * @returns {Promise<Object>} Reconciliation results
+ */
+export const runBookingReconciliation = webMethod(
+    Permissions.Anyone,
+    async (repair = false) => {
+        try {
+            return await reconcileBookedParticipants(repair, null, { user: 'Testing Page' });
+        } catch (error) {
+            return {
+                status: 'FAILED',
+                error: error.message
+            };
+        }
+    }
+);
+
+/**
+ * Run the minimum participants go/no-go decisions for all tours
+ * @returns {Promise<Object>} Decisions and the bookings of cancelled dates
+ */
+export const runGoNoGoDecisions = webMethod(
+    Permissions.Anyone,
+    async () => {
+        return executeGoNoGoDecisions(true);
+    }
+);
+
 /**
  * Run date regeneration for all tours
  * Executes monthly date regeneration process
@@ -826,6 +1121,48 @@ export const runDateRegeneration = webMethod(
 
 // Helper functions for internal use
 
+/**
+ * Run a table of test cases
+ * Values are compared as JSON, so arrays and objects can be expected as well
+ * @param {Array} testCases - Cases with name, actual function and expected value
+ * @returns {Object} Status, passed case count and failures
+ */
+function runTestCases(testCases) {
+    const failures = [];
+    testCases.forEach(testCase => {
+        try {
+            const actual = testCase.actual();
+            if (JSON.stringify(actual) !== JSON.stringify(testCase.expected)) {
+                failures.push({ name: testCase.name, expected: testCase.expected, actual: actual });
+            }
+        } catch (error) {
+            failures.push({ name: testCase.name, expected: testCase.expected, error: error.message });
+        }
+    });
+
+    return {
+        status: failures.length === 0 ? 'SUCCESS' : 'FAILED',
+        timestamp: new Date(),
+        totalCases: testCases.length,
+        passedCases: testCases.length - failures.length,
+        failures: failures
+    };
+}
+
+/**
+ * Build an iCalendar document with CRLF line endings
+ * @param {Array} events - Content lines of each event
+ * @returns {string} Document text
+ */
+function buildICalDocument(events) {
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0'];
+    events.forEach(eventLines => {
+        lines.push('BEGIN:VEVENT', ...eventLines, 'END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    return lines.join('\r\n');
+}
+
 /**
  * Test database access for a specific collection
  * @param {string} collectionName - Collection to test
@@ -853,20 +1190,31 @@ async function testDatabaseAccess(collectionName) {
 }
 
 /**
- * Calculate estimated number of dates for 18 months
+ * Get the stored dates of a tour for statistics
+ * Reads the old availabilityData array for tours that were not migrated yet
+ * @param {Object} availabilityRecord - Availability record of the tour
+ * @returns {Promise<Array>} Availability entries sorted by date
+ */
+async function getStoredAvailabilityEntries(availabilityRecord) {
+    if (hasLegacyAvailabilityData(availabilityRecord)) {
+        return getLegacyAvailabilityEntries(availabilityRecord);
+    }
+
+    const rows = await loadTourDateRows(availabilityRecord.tourName);
+    return rows.map(toAvailabilityEntry);
+}
+
+/**
+ * Calculate estimated number of dates for a tour availability horizon
+ * @param {number} horizonMonths - Horizon in months
  * @returns {number} Estimated date count
  */
-function calculateEstimatedDates() {
-    const currentDate = new Date();
-    const startDate = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
-    const endDate = new Date(startDate);
-    endDate.setMonth(startDate.getMonth() + 18);
-    endDate.setDate(0);
-    
-    const timeDiff = endDate.getTime() - startDate.getTime();
-    const daysDiff = Math.ceil(timeDiff / (1000 * 3600 * 24));
+function calculateEstimatedDates(horizonMonths) {
+    const startDate = getMonthStart(getJSTToday());
+    const endDate = getMonthEnd(addMonths(startDate, horizonMonths - 1));
     
-    return daysDiff;
+    // Both ends of the range are generated
+    return diffDays(startDate, endDate) + 1;
 }
 
 /**
@@ -0,0 +1,426 @@
+import wixData from 'wix-data';
+import { logSystemState } from 'backend/shared/systemStateManager.web.js';
+import { getTourDateRow, updateItemWithVersionCheck, fetchAllPages, PAGE_SIZE } from './availabilityDates.web.js';
+import { createHeldBooking, confirmHeldBooking, cancelBooking, expireHeldBookings } from './availabilityBookings.web.js';
+import { CHANGE_SOURCES, resolveChangeContext, resolveStaffChangeContext } from './availabilityHistory.web.js';
+import { getJSTToday, isValidDateKey } from 'public/jstDate.js';
+
+/**
+ * Waitlist for dates without enough seats
+ * Guests join with a party size, and when seats free up they are offered to the waitlist
+ * first-come-first-served as a pending booking that is held until the offer expires
+ * Offers stop at the first entry the free seats cannot hold, so large parties are not skipped
+ * Every state change is a versioned write, so an entry is offered, accepted, expired or cancelled only once
+ * even when runs overlap, and an entry is claimed as offered before its seats are held
+ *
+ * Entry fields:
+ *   tourName       Tour database ID
+ *   tourId         Business ID (e.g., OM001)
+ *   date           Date as YYYY-MM-DD
+ *   partySize      Number of participants
+ *   contact        How to reach the guest (e.g., email)
+ *   state          One of WAITLIST_STATES
+ *   joinedAt       Time the guest joined, sets the order of offers
+ *   bookingId      Pending booking holding the offered seats
+ *   offeredAt      Time the seats were offered
+ *   holdExpiresAt  Time the held seats are given back
+ *   version        Incremented on every state change
+ */
+
+export const WAITLIST_COLLECTION = 'Waitlist';
+
+export const WAITLIST_STATES = {
+    WAITING: 'waiting',
+    OFFERED: 'offered',
+    ACCEPTED: 'accepted',
+    EXPIRED: 'expired',
+    CANCELLED: 'cancelled'
+};
+
+// How long offered seats are held for the guest
+const WAITLIST_HOLD_HOURS = 24;
+
+/**
+ * Add a party to the waitlist of a date
+ * Refused when the date is not operating or the party can still book directly
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} partySize - Number of participants
+ * @param {string} contact - How to reach the guest
+ * @returns {Promise<Object>} Result with the entry ID and waitlist position, or the rejection
+ */
+export async function joinWaitlist(tourId, date, partySize, contact = '') {
+    if (!tourId || !isValidDateKey(date)) {
+        throw new Error(`Tour ID and a YYYY-MM-DD date are required, got ${tourId} and ${date}`);
+    }
+    if (!Number.isInteger(partySize) || partySize <= 0) {
+        throw new Error(`Invalid participant count: ${partySize}`);
+    }
+
+    const dateRow = await getTourDateRow(tourId, date);
+    if (!dateRow || dateRow.status === 'notoperating') {
+        return { status: 'REJECTED', tourId: tourId, date: date, reason: `Tour is not operating on ${date}` };
+    }
+    if (date < getJSTToday()) {
+        return { status: 'REJECTED', tourId: tourId, date: date, reason: `${date} is in the past` };
+    }
+    if (dateRow.manualStatus !== 'soldout' && !dateRow.bookingConflict && getFreeSeats(dateRow) >= partySize) {
+        return { status: 'REJECTED', tourId: tourId, date: date, reason: `${partySize} seats are available on ${date}, book directly` };
+    }
+
+    const entry = await wixData.insert(WAITLIST_COLLECTION, {
+        tourName: tourId,
+        tourId: dateRow.tourId,
+        date: date,
+        partySize: partySize,
+        contact: contact || '',
+        state: WAITLIST_STATES.WAITING,
+        joinedAt: new Date(),
+        version: 0
+    });
+
+    const waiting = await getWaitingEntries(tourId, date);
+
+    return {
+        status: 'SUCCESS',
+        entryId: entry._id,
+        tourId: tourId,
+        date: date,
+        position: waiting.findIndex(item => item._id === entry._id) + 1
+    };
+}
+
+/**
+ * Remove a party from the waitlist
+ * Seats held for an open offer are given back and offered to the next party
+ * @param {string} entryId - ID of the Waitlist entry
+ * @param {Object|null} changeContext - Source, user and reason recorded in the change history (optional)
+ * @returns {Promise<Object>} Result with the offers made from the freed seats
+ */
+export async function leaveWaitlist(entryId, changeContext = null) {
+    const entry = await wixData.get(WAITLIST_COLLECTION, entryId);
+    if (!entry) {
+        throw new Error(`Waitlist entry ${entryId} not found`);
+    }
+    if (entry.state !== WAITLIST_STATES.WAITING && entry.state !== WAITLIST_STATES.OFFERED) {
+        return { status: 'REJECTED', entryId: entryId, reason: `Waitlist entry is ${entry.state}` };
+    }
+
+    const cancelledEntry = await updateItemWithVersionCheck(WAITLIST_COLLECTION, entry, { state: WAITLIST_STATES.CANCELLED });
+    if (!cancelledEntry) {
+        return { status: 'REJECTED', entryId: entryId, reason: 'Waitlist entry changed meanwhile, try again' };
+    }
+
+    // An offer still holding its seats without a booking ID has its hold cancelled by the offering run
+    if (entry.state !== WAITLIST_STATES.OFFERED || !entry.bookingId) {
+        return { status: 'SUCCESS', entryId: entryId, offers: [] };
+    }
+
+    await cancelBooking(entry.bookingId, changeContext);
+    const offerResult = await offerWaitlistSeats(entry.tourName, entry.date, changeContext);
+
+    return { status: 'SUCCESS', entryId: entryId, offers: offerResult.offers };
+}
+
+/**
+ * Accept offered seats, the held booking is confirmed
+ * @param {string} entryId - ID of the Waitlist entry
+ * @returns {Promise<Object>} Result with the booking ID, or the rejection
+ */
+export async function acceptWaitlistOffer(entryId) {
+    const entry = await wixData.get(WAITLIST_COLLECTION, entryId);
+    if (!entry) {
+        throw new Error(`Waitlist entry ${entryId} not found`);
+    }
+    if (entry.state !== WAITLIST_STATES.OFFERED) {
+        return { status: 'REJECTED', entryId: entryId, reason: `Waitlist entry is ${entry.state}, there is no open offer` };
+    }
+    if (new Date(entry.holdExpiresAt) <= new Date()) {
+        return { status: 'REJECTED', entryId: entryId, reason: 'The offer has expired' };
+    }
+    if (!entry.bookingId) {
+        return { status: 'REJECTED', entryId: entryId, reason: 'The offered seats are still being held, try again' };
+    }
+
+    // Accepting first keeps an overlapping expiry run from cancelling the hold being confirmed
+    const acceptedEntry = await updateItemWithVersionCheck(WAITLIST_COLLECTION, entry, { state: WAITLIST_STATES.ACCEPTED });
+    if (!acceptedEntry) {
+        return { status: 'REJECTED', entryId: entryId, reason: 'Waitlist entry changed meanwhile, try again' };
+    }
+
+    try {
+        await confirmHeldBooking(entry.bookingId);
+    } catch (error) {
+        await updateItemWithVersionCheck(WAITLIST_COLLECTION, acceptedEntry, { state: WAITLIST_STATES.OFFERED });
+        throw error;
+    }
+
+    return {
+        status: 'SUCCESS',
+        entryId: entryId,
+        bookingId: entry.bookingId,
+        tourId: entry.tourName,
+        date: entry.date,
+        partySize: entry.partySize
+    };
+}
+
+/**
+ * Cancel a booking and offer its seats to the waitlist of the date
+ * @param {string} bookingId - ID of the Bookings row
+ * @param {Object|null} changeContext - Source, user and reason recorded in the change history (optional)
+ * @returns {Promise<Object>} Cancellation result with the offers made from the freed seats
+ */
+export async function cancelBookingAndOfferSeats(bookingId, changeContext = null) {
+    const cancellation = await cancelBooking(bookingId, changeContext);
+    if (cancellation.status !== 'SUCCESS' || !cancellation.seatsReleased) {
+        return { ...cancellation, offers: [] };
+    }
+
+    const offerResult = await offerWaitlistSeats(cancellation.tourId, cancellation.date, changeContext);
+    return { ...cancellation, offers: offerResult.offers };
+}
+
+/**
+ * Offer the free seats of a date to its waitlist, first-come-first-served
+ * Called when bookedParticipants drops or staff reopen a date
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object|null} changeContext - Source and reason recorded in the change history, the user is the logged in member (optional)
+ * @returns {Promise<Object>} Offers made
+ */
+export async function offerWaitlistSeats(tourId, date, changeContext = null) {
+    const context = await resolveStaffChangeContext(changeContext, CHANGE_SOURCES.SCHEDULER);
+    const offers = [];
+
+    const waiting = await getWaitingEntries(tourId, date);
+    if (waiting.length === 0) {
+        return { status: 'SUCCESS', tourId: tourId, date: date, offers: offers };
+    }
+
+    for (const entry of waiting) {
+        const dateRow = await getTourDateRow(tourId, date);
+        if (!dateRow || dateRow.status === 'notoperating' || dateRow.manualStatus === 'soldout' || dateRow.bookingConflict) {
+            break;
+        }
+        if (getFreeSeats(dateRow) < entry.partySize) {
+            break;
+        }
+
+        const offeredAt = new Date();
+        const holdExpiresAt = new Date(offeredAt.getTime() + WAITLIST_HOLD_HOURS * 60 * 60 * 1000);
+
+        // Claim the entry before holding seats, an entry another run changed since it was read is skipped
+        const offeredEntry = await updateItemWithVersionCheck(WAITLIST_COLLECTION, entry, {
+            state: WAITLIST_STATES.OFFERED,
+            bookingId: null,
+            offeredAt: offeredAt,
+            holdExpiresAt: holdExpiresAt
+        });
+        if (!offeredEntry) {
+            continue;
+        }
+
+        const hold = await createHeldBooking(tourId, date, entry.partySize, holdExpiresAt, null, `Waitlist ${entry._id}`, context);
+        if (hold.status !== 'SUCCESS') {
+            await updateItemWithVersionCheck(WAITLIST_COLLECTION, offeredEntry, {
+                state: WAITLIST_STATES.WAITING,
+                offeredAt: null,
+                holdExpiresAt: null
+            });
+            break;
+        }
+
+        // If this write fails the pending booking is still cancelled by expireHeldBookings once the hold expires
+        const heldEntry = await updateItemWithVersionCheck(WAITLIST_COLLECTION, offeredEntry, { bookingId: hold.bookingId });
+        if (!heldEntry) {
+            // The guest left or the offer expired while the seats were being held
+            await cancelBooking(hold.bookingId, context);
+            continue;
+        }
+
+        offers.push({
+            entryId: entry._id,
+            tourId: entry.tourId || tourId,
+            date: date,
+            partySize: entry.partySize,
+            bookingId: hold.bookingId,
+            holdExpiresAt: holdExpiresAt
+        });
+
+        await logSystemState({
+            stateType: 'Waitlist Offer',
+            stateCategory: 'AVAILABILITY_OPERATIONS',
+            executionStatus: 'Execution Completed',
+            processingStartTime: offeredAt,
+            processingEndTime: new Date(),
+            logData: `Offered ${entry.partySize} seats on ${date} for tour ${entry.tourId || tourId} to waitlist entry ${entry._id} (${entry.contact || 'no contact'}), held until ${holdExpiresAt.toISOString()}. Triggered by ${context.source}, user: ${context.user}`,
+            errorDetails: '',
+            affectedTourCount: 1,
+            affectedTourNames: [entry.tourId || tourId]
+        });
+    }
+
+    return { status: 'SUCCESS', tourId: tourId, date: date, offers: offers };
+}
+
+/**
+ * Give back the seats of expired offers and pending bookings and offer them to the next parties
+ * @returns {Promise<Object>} Expired entries and the offers made from the freed seats
+ */
+export async function expireWaitlistHolds() {
+    const context = resolveChangeContext(null, CHANGE_SOURCES.SCHEDULER);
+    const now = new Date();
+    const expired = [];
+    const offers = [];
+
+    const entries = await fetchAllPages(wixData.query(WAITLIST_COLLECTION)
+        .eq('state', WAITLIST_STATES.OFFERED)
+        .lt('holdExpiresAt', now)
+        .ascending('holdExpiresAt')
+        .limit(PAGE_SIZE));
+
+    const freedDates = new Map();
+    for (const entry of entries) {
+        const expiredEntry = await updateItemWithVersionCheck(WAITLIST_COLLECTION, entry, { state: WAITLIST_STATES.EXPIRED });
+        if (!expiredEntry) {
+            continue;
+        }
+
+        // Holds whose booking ID was never recorded are cancelled with the other expired bookings below
+        const release = entry.bookingId ?
+            await cancelBooking(entry.bookingId, context) :
+            { status: 'SUCCESS', seatsReleased: false, reason: 'No held booking recorded' };
+        expired.push(entry._id);
+        freedDates.set(`${entry.tourName}_${entry.date}`, { tourId: entry.tourName, date: entry.date });
+
+        await logSystemState({
+            stateType: 'Waitlist Hold Expiry',
+            stateCategory: 'AVAILABILITY_OPERATIONS',
+            executionStatus: release.status === 'SUCCESS' && release.seatsReleased ? 'Execution Completed' : 'Executed with errors',
+            processingStartTime: now,
+            processingEndTime: new Date(),
+            logData: `Offer of ${entry.partySize} seats on ${entry.date} for tour ${entry.tourId || entry.tourName} to waitlist entry ${entry._id} expired at ${new Date(entry.holdExpiresAt).toISOString()}, seats ${release.seatsReleased ? 'released' : 'not released'}`,
+            errorDetails: release.releaseReason || release.reason || '',
+            affectedTourCount: 1,
+            affectedTourNames: [entry.tourId || entry.tourName]
+        });
+    }
+
+    const cancellations = await expireHeldBookings(context);
+    for (const cancellation of cancellations) {
+        if (cancellation.status !== 'SUCCESS') {
+            continue;
+        }
+        freedDates.set(`${cancellation.tourId}_${cancellation.date}`, { tourId: cancellation.tourId, date: cancellation.date });
+
+        await logSystemState({
+            stateType: 'Waitlist Hold Expiry',
+            stateCategory: 'AVAILABILITY_OPERATIONS',
+            executionStatus: cancellation.seatsReleased ? 'Execution Completed' : 'Executed with errors',
+            processingStartTime: now,
+            processingEndTime: new Date(),
+            logData: `Pending booking ${cancellation.bookingId} on ${cancellation.date} for tour ${cancellation.tourId} expired without an open offer, seats ${cancellation.seatsReleased ? 'released' : 'not released'}`,
+            errorDetails: cancellation.releaseReason || '',
+            affectedTourCount: 1,
+            affectedTourNames: [cancellation.tourId]
+        });
+    }
+
+    for (const freed of freedDates.values()) {
+        const offerResult = await offerWaitlistSeats(freed.tourId, freed.date, context);
+        offers.push(...offerResult.offers);
+    }
+
+    return { expired: expired, offers: offers };
+}
+
+/**
+ * Scheduled waitlist run
+ * Expires open offers, then offers free seats on every upcoming date that has a waitlist,
+ * which also covers seats freed by changes that do not offer seats themselves
+ * @returns {Promise<Object>} Expired entries and offers made
+ */
+export async function processWaitlist() {
+    const startTime = new Date();
+
+    try {
+        const expiryResult = await expireWaitlistHolds();
+        const offers = [...expiryResult.offers];
+
+        const waiting = await fetchAllPages(wixData.query(WAITLIST_COLLECTION)
+            .eq('state', WAITLIST_STATES.WAITING)
+            .ge('date', getJSTToday())
+            .limit(PAGE_SIZE));
+
+        const waitingDates = new Map();
+        waiting.forEach(entry => {
+            waitingDates.set(`${entry.tourName}_${entry.date}`, { tourId: entry.tourName, date: entry.date });
+        });
+
+        for (const waitingDate of waitingDates.values()) {
+            const offerResult = await offerWaitlistSeats(waitingDate.tourId, waitingDate.date);
+            offers.push(...offerResult.offers);
+        }
+
+        await logSystemState({
+            stateType: 'Waitlist Processing',
+            stateCategory: 'AVAILABILITY_OPERATIONS',
+            executionStatus: 'Execution Completed',
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: `Waitlist processed: ${expiryResult.expired.length} offers expired, ${waitingDates.size} dates with waiting parties checked, ${offers.length} offers made`,
+            errorDetails: '',
+            affectedTourCount: new Set(offers.map(offer => offer.tourId)).size,
+            affectedTourNames: [...new Set(offers.map(offer => offer.tourId))]
+        });
+
+        return {
+            status: 'SUCCESS',
+            expiredCount: expiryResult.expired.length,
+            checkedDates: waitingDates.size,
+            offers: offers
+        };
+    } catch (error) {
+        await logSystemState({
+            stateType: 'Waitlist Processing',
+            stateCategory: 'AVAILABILITY_OPERATIONS',
+            executionStatus: 'Executed with errors',
+            processingStartTime: startTime,
+            processingEndTime: new Date(),
+            logData: `Waitlist processing failed: ${error.message}`,
+            errorDetails: error.message,
+            affectedTourCount: 0,
+            affectedTourNames: []
+        });
+
+        throw error;
+    }
+}
+
+/**
+ * Get the waiting entries of a date in the order they joined
+ * @param {string} tourId - The database ID of the tour
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Array>} Waiting entries
+ */
+async function getWaitingEntries(tourId, date) {
+    return fetchAllPages(wixData.query(WAITLIST_COLLECTION)
+        .eq('tourName', tourId)
+        .eq('date', date)
+        .eq('state', WAITLIST_STATES.WAITING)
+        .ascending('joinedAt')
+        .limit(PAGE_SIZE));
+}
+
+/**
+ * Count the free seats of a date row
+ * @param {Object} dateRow - AvailabilityDates row
+ * @returns {number} Free seats, Infinity when the date has no capacity limit
+ */
+function getFreeSeats(dateRow) {
+    if (dateRow.maxParticipants === null || dateRow.maxParticipants === undefined) {
+        return Infinity;
+    }
+    return Math.max(dateRow.maxParticipants - (dateRow.bookedParticipants || 0), 0);
+}
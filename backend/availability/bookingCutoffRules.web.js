@@ -0,0 +1,153 @@
+import { addDays, isValidDateKey, toJSTInstant } from 'public/jstDate.js';
+
+/**
+ * Booking cutoff rules for tour dates
+ * Evaluates the rules stored in the Tours bookingCutoffRules field against the start of a date or time slot
+ * When several rules are set, the earliest closing time wins
+ * Dates and slots of tours without rules stay on sale until they are sold out or closed
+ *
+ * Supported parts:
+ *   HOURS       Close sales N hours before the start
+ *   DAYSBEFORE  Close sales on the day N days before the start date, at TIME
+ *   TIME        JST time HH:MM used with DAYSBEFORE (default 00:00)
+ *
+ * Examples:
+ *   "HOURS=24"                  24 hours before the start
+ *   "DAYSBEFORE=1;TIME=18:00"   18:00 JST the day before
+ *   "DAYSBEFORE=0;TIME=08:00"   08:00 JST on the tour day
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Parse a single cutoff rule string
+ * @param {string} ruleString - Rule such as "DAYSBEFORE=1;TIME=18:00"
+ * @returns {Object} Parsed rule in "rule" or an error message in "error"
+ */
+export function parseCutoffRule(ruleString) {
+    if (typeof ruleString !== 'string' || ruleString.trim() === '') {
+        return { rule: null, error: 'Rule must be a non-empty string' };
+    }
+
+    const parts = {};
+    for (const part of ruleString.trim().split(';')) {
+        if (part.trim() === '') continue;
+
+        const [key, value] = part.split('=');
+        if (!key || value === undefined || value.trim() === '') {
+            return { rule: null, error: `Malformed part "${part}"` };
+        }
+        parts[key.trim().toUpperCase()] = value.trim();
+    }
+
+    const unsupported = Object.keys(parts).filter(key => !['HOURS', 'DAYSBEFORE', 'TIME'].includes(key));
+    if (unsupported.length > 0) {
+        return { rule: null, error: `Unsupported parts: ${unsupported.join(', ')}` };
+    }
+
+    if (parts.HOURS !== undefined) {
+        if (parts.DAYSBEFORE !== undefined || parts.TIME !== undefined) {
+            return { rule: null, error: 'HOURS cannot be combined with DAYSBEFORE or TIME' };
+        }
+        const hours = Number(parts.HOURS);
+        if (!Number.isFinite(hours) || hours < 0) {
+            return { rule: null, error: `Invalid HOURS "${parts.HOURS}"` };
+        }
+        return { rule: { source: ruleString, hours: hours, daysBefore: null, time: null }, error: null };
+    }
+
+    if (parts.DAYSBEFORE === undefined) {
+        return { rule: null, error: 'HOURS or DAYSBEFORE is required' };
+    }
+
+    const daysBefore = Number(parts.DAYSBEFORE);
+    if (!Number.isInteger(daysBefore) || daysBefore < 0) {
+        return { rule: null, error: `Invalid DAYSBEFORE "${parts.DAYSBEFORE}"` };
+    }
+
+    const time = parts.TIME !== undefined ? parts.TIME : '00:00';
+    if (!TIME_PATTERN.test(time)) {
+        return { rule: null, error: `Invalid TIME "${parts.TIME}", expected HH:MM` };
+    }
+
+    return { rule: { source: ruleString, hours: null, daysBefore: daysBefore, time: time }, error: null };
+}
+
+/**
+ * Validate a list of cutoff rule strings
+ * @param {Array} ruleStrings - Rules from the Tours bookingCutoffRules field
+ * @returns {Object} Parsed valid rules and error messages for invalid ones
+ */
+export function validateCutoffRules(ruleStrings) {
+    const validRules = [];
+    const errors = [];
+
+    if (!Array.isArray(ruleStrings)) {
+        return { validRules, errors };
+    }
+
+    ruleStrings.forEach(ruleString => {
+        const parsed = parseCutoffRule(ruleString);
+        if (parsed.error) {
+            errors.push(`${ruleString}: ${parsed.error}`);
+        } else {
+            validRules.push(parsed.rule);
+        }
+    });
+
+    return { validRules, errors };
+}
+
+/**
+ * Get the start time of a date, its earliest time slot or midnight JST
+ * @param {Object} entry - Availability entry or AvailabilityDates row
+ * @returns {string} Start time as HH:MM
+ */
+export function getDateStartTime(entry) {
+    const slotTimes = (entry && Array.isArray(entry.timeSlots) ? entry.timeSlots : [])
+        .map(slot => slot && slot.startTime)
+        .filter(Boolean)
+        .sort();
+
+    return slotTimes.length > 0 ? slotTimes[0] : '00:00';
+}
+
+/**
+ * Get the time sales close for a date or time slot
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @param {string} startTime - Start time as HH:MM
+ * @param {Array} ruleStrings - Rules from the Tours bookingCutoffRules field
+ * @returns {Date|null} Earliest closing time of the valid rules, or null when no rule applies
+ */
+export function getSalesCloseTime(dateKey, startTime, ruleStrings) {
+    if (!isValidDateKey(dateKey)) {
+        return null;
+    }
+
+    const rules = validateCutoffRules(ruleStrings).validRules;
+    if (rules.length === 0) {
+        return null;
+    }
+
+    const start = toJSTInstant(dateKey, startTime || '00:00');
+    const closeTimes = rules.map(rule => rule.hours !== null ?
+        new Date(start.getTime() - rule.hours * HOUR_MS) :
+        toJSTInstant(addDays(dateKey, -rule.daysBefore), rule.time));
+
+    return new Date(Math.min(...closeTimes.map(closeTime => closeTime.getTime())));
+}
+
+/**
+ * Check if sales are still open for a date or time slot
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @param {string} startTime - Start time as HH:MM
+ * @param {Array} ruleStrings - Rules from the Tours bookingCutoffRules field
+ * @param {Date} now - Current instant (defaults to now)
+ * @returns {boolean} True until the earliest rule closes sales
+ */
+export function isSalesOpen(dateKey, startTime, ruleStrings, now = new Date()) {
+    const closeTime = getSalesCloseTime(dateKey, startTime, ruleStrings);
+    return closeTime === null || now < closeTime;
+}
@@ -0,0 +1,152 @@
+import wixData from 'wix-data';
+import { fetchCancellationPolicy } from './availabilityCore.web.js';
+import { toJSTDateKey, addDays, diffDays } from 'public/jstDate.js';
+
+/**
+ * Cancellation policy evaluation system
+ * Reads refund tiers from the CancellationPolicies collection and evaluates
+ * refund percentage, fee and free cancellation deadline for a tour date
+ *
+ * Tiers are stored in the policy "tiers" field (array or JSON string), e.g.
+ * [{ "daysBefore": 7, "refundPercentage": 100 }, { "daysBefore": 2, "refundPercentage": 50 }]
+ * A tier applies when the cancellation happens at least daysBefore days before the tour date
+ */
+
+/**
+ * Evaluate a cancellation against the tour cancellation policy
+ * @param {string} tourId - The database ID of the tour
+ * @param {string|Date} tourDate - Tour date (YYYY-MM-DD or Date)
+ * @param {string|Date} cancelDate - Cancellation date (YYYY-MM-DD or Date, defaults to now)
+ * @returns {Promise<Object>} Refund percentage, fee percentage and free cancellation deadline
+ */
+export async function evaluateCancellation(tourId, tourDate, cancelDate = new Date()) {
+    if (!tourId) {
+        throw new Error('Tour ID is required');
+    }
+
+    // Timestamps are turned into the JST calendar date they fall on
+    const tourDateString = toJSTDateKey(tourDate);
+    const cancelDateString = toJSTDateKey(cancelDate);
+    if (!tourDateString || !cancelDateString) {
+        throw new Error(`Invalid dates: tour ${tourDate}, cancellation ${cancelDate}`);
+    }
+
+    const tourData = await wixData.get('Tours', tourId);
+    if (!tourData) {
+        throw new Error(`Tour with ID ${tourId} not found`);
+    }
+
+    const policy = await fetchCancellationPolicy(tourData.cancellationPolicy);
+    const tiers = parseCancellationTiers(policy);
+    const evaluation = evaluateCancellationTiers(tiers, tourDateString, cancelDateString);
+
+    return {
+        tourId: tourId,
+        policyName: policy ? policy.policyName : null,
+        tourDate: tourDateString,
+        cancelDate: cancelDateString,
+        ...evaluation
+    };
+}
+
+/**
+ * Get the cancellation policy summary for a tour
+ * Used by the Availability Manager to show the free cancellation deadline of each date
+ * @param {string} tourId - The database ID of the tour
+ * @returns {Promise<Object>} Policy name, normalized tiers and free cancellation days
+ */
+export async function getCancellationPolicySummary(tourId) {
+    try {
+        const tourData = await wixData.get('Tours', tourId);
+        if (!tourData) {
+            return { policyName: null, tiers: [], freeCancellationDaysBefore: null };
+        }
+
+        const policy = await fetchCancellationPolicy(tourData.cancellationPolicy);
+        const tiers = parseCancellationTiers(policy);
+
+        return {
+            policyName: policy ? policy.policyName : null,
+            tiers: tiers,
+            freeCancellationDaysBefore: getFreeCancellationDaysBefore(tiers)
+        };
+    } catch (error) {
+        console.error('Error getting cancellation policy summary:', error);
+        return { policyName: null, tiers: [], freeCancellationDaysBefore: null };
+    }
+}
+
+/**
+ * Parse and normalize tiers from a cancellation policy record
+ * Invalid tiers are skipped, valid ones are sorted from earliest to latest cancellation
+ * @param {Object|null} policy - CancellationPolicies record
+ * @returns {Array} Tiers sorted by daysBefore descending
+ */
+function parseCancellationTiers(policy) {
+    if (!policy || !policy.tiers) {
+        return [];
+    }
+
+    let tiers = policy.tiers;
+    if (typeof tiers === 'string') {
+        try {
+            tiers = JSON.parse(tiers);
+        } catch (parseError) {
+            console.error('Error parsing cancellation tiers:', parseError);
+            return [];
+        }
+    }
+
+    if (!Array.isArray(tiers)) {
+        return [];
+    }
+
+    return tiers
+        .filter(tier => tier &&
+            Number.isInteger(tier.daysBefore) && tier.daysBefore >= 0 &&
+            typeof tier.refundPercentage === 'number' &&
+            tier.refundPercentage >= 0 && tier.refundPercentage <= 100)
+        .map(tier => ({ daysBefore: tier.daysBefore, refundPercentage: tier.refundPercentage }))
+        .sort((a, b) => b.daysBefore - a.daysBefore);
+}
+
+/**
+ * Evaluate refund and fee for a cancellation using normalized tiers
+ * @param {Array} tiers - Tiers sorted by daysBefore descending
+ * @param {string} tourDateString - Tour date in YYYY-MM-DD format
+ * @param {string} cancelDateString - Cancellation date in YYYY-MM-DD format
+ * @returns {Object} Evaluation result
+ */
+function evaluateCancellationTiers(tiers, tourDateString, cancelDateString) {
+    const daysBeforeTour = diffDays(cancelDateString, tourDateString);
+
+    // Cancellations on or after the tour date without a matching tier are not refunded
+    const appliedTier = daysBeforeTour >= 0 ?
+        tiers.find(tier => daysBeforeTour >= tier.daysBefore) :
+        null;
+
+    const refundPercentage = appliedTier ? appliedTier.refundPercentage : 0;
+    const freeDaysBefore = getFreeCancellationDaysBefore(tiers);
+
+    return {
+        daysBeforeTour: daysBeforeTour,
+        refundPercentage: refundPercentage,
+        feePercentage: 100 - refundPercentage,
+        appliedTier: appliedTier || null,
+        freeCancellationDeadline: freeDaysBefore === null ? null : addDays(tourDateString, -freeDaysBefore),
+        isFreeCancellation: refundPercentage === 100
+    };
+}
+
+/**
+ * Get the minimum days before the tour at which cancellation is still fully refunded
+ * @param {Array} tiers - Normalized tiers
+ * @returns {number|null} Days before tour, or null if no tier gives a full refund
+ */
+function getFreeCancellationDaysBefore(tiers) {
+    const freeTiers = tiers.filter(tier => tier.refundPercentage === 100);
+    if (freeTiers.length === 0) {
+        return null;
+    }
+    return Math.min(...freeTiers.map(tier => tier.daysBefore));
+}
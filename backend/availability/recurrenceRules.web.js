@@ -0,0 +1,403 @@
+import { parseDateKey, getWeekday, getDaysInMonth } from 'public/jstDate.js';
+
+/**
+ * Recurrence rules engine for tour operating days
+ * Evaluates a subset of RFC 5545 RRULE syntax stored in the Tours recurrenceRules field
+ * Rules are used in addition to runDays: a date operates if either matches
+ *
+ * Supported parts:
+ *   FREQ       DAILY, WEEKLY or MONTHLY (required)
+ *   INTERVAL   Repeat every N days/weeks/months, counted from DTSTART (default 1)
+ *   BYDAY      Weekdays (MO..SU); monthly rules accept ordinals such as 2SA or -1SU
+ *   BYMONTHDAY Days of month, negative values count from the month end
+ *   BYMONTH    Months (1-12) the rule is limited to
+ *   DTSTART    First date of the rule, YYYYMMDD or YYYY-MM-DD
+ *   UNTIL      Last date of the rule, YYYYMMDD or YYYY-MM-DD
+ *
+ * Examples:
+ *   "FREQ=MONTHLY;BYDAY=2SA,4SA"                      2nd and 4th Saturday
+ *   "FREQ=WEEKLY;INTERVAL=2;BYDAY=WE;DTSTART=20261104" every other Wednesday
+ *   "FREQ=MONTHLY;BYDAY=-1SU"                         last Sunday of the month
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// RRULE weekday codes indexed like Date.getDay() (0 = Sunday)
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const SUPPORTED_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+/**
+ * Parse a single RRULE string
+ * @param {string} ruleString - Rule such as "FREQ=MONTHLY;BYDAY=-1SU"
+ * @returns {Object} Parsed rule in "rule" or an error message in "error"
+ */
+export function parseRecurrenceRule(ruleString) {
+    if (typeof ruleString !== 'string' || ruleString.trim() === '') {
+        return { rule: null, error: 'Rule must be a non-empty string' };
+    }
+
+    const parts = {};
+    const source = ruleString.trim().replace(/^RRULE:/i, '');
+
+    for (const part of source.split(';')) {
+        if (part.trim() === '') continue;
+
+        const [key, value] = part.split('=');
+        if (!key || value === undefined || value === '') {
+            return { rule: null, error: `Malformed part "${part}"` };
+        }
+        parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+    }
+
+    const rule = {
+        source: ruleString,
+        freq: parts.FREQ,
+        interval: 1,
+        byDay: [],
+        byMonthDay: [],
+        byMonth: [],
+        dtStart: null,
+        until: null
+    };
+
+    if (!SUPPORTED_FREQUENCIES.includes(rule.freq)) {
+        return { rule: null, error: `Unsupported FREQ "${parts.FREQ || ''}"` };
+    }
+
+    const unsupported = Object.keys(parts).filter(key =>
+        !['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'DTSTART', 'UNTIL', 'WKST'].includes(key)
+    );
+    if (unsupported.length > 0) {
+        return { rule: null, error: `Unsupported parts: ${unsupported.join(', ')}` };
+    }
+
+    if (parts.INTERVAL !== undefined) {
+        rule.interval = Number(parts.INTERVAL);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+            return { rule: null, error: `Invalid INTERVAL "${parts.INTERVAL}"` };
+        }
+    }
+
+    if (parts.BYDAY) {
+        for (const token of parts.BYDAY.split(',')) {
+            const match = token.match(/^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/);
+            if (!match) {
+                return { rule: null, error: `Invalid BYDAY value "${token}"` };
+            }
+            const ordinal = match[1] ? Number(match[1]) : null;
+            if (ordinal !== null && rule.freq !== 'MONTHLY') {
+                return { rule: null, error: `Ordinal BYDAY "${token}" is only supported with FREQ=MONTHLY` };
+            }
+            rule.byDay.push({ weekday: WEEKDAY_CODES.indexOf(match[2]), ordinal: ordinal });
+        }
+    }
+
+    if (parts.BYMONTHDAY) {
+        for (const token of parts.BYMONTHDAY.split(',')) {
+            const monthDay = Number(token);
+            if (!Number.isInteger(monthDay) || monthDay === 0 || monthDay < -31 || monthDay > 31) {
+                return { rule: null, error: `Invalid BYMONTHDAY value "${token}"` };
+            }
+            rule.byMonthDay.push(monthDay);
+        }
+    }
+
+    if (parts.BYMONTH) {
+        for (const token of parts.BYMONTH.split(',')) {
+            const month = Number(token);
+            if (!Number.isInteger(month) || month < 1 || month > 12) {
+                return { rule: null, error: `Invalid BYMONTH value "${token}"` };
+            }
+            rule.byMonth.push(month);
+        }
+    }
+
+    if (parts.DTSTART) {
+        rule.dtStart = parseRuleDate(parts.DTSTART);
+        if (rule.dtStart === null) {
+            return { rule: null, error: `Invalid DTSTART "${parts.DTSTART}"` };
+        }
+    }
+
+    if (parts.UNTIL) {
+        rule.until = parseRuleDate(parts.UNTIL);
+        if (rule.until === null) {
+            return { rule: null, error: `Invalid UNTIL "${parts.UNTIL}"` };
+        }
+    }
+
+    // Intervals are counted from DTSTART, so they need one
+    if (rule.interval > 1 && rule.dtStart === null) {
+        return { rule: null, error: 'INTERVAL greater than 1 requires DTSTART' };
+    }
+
+    if (rule.freq === 'WEEKLY' && rule.byDay.length === 0) {
+        if (rule.dtStart === null) {
+            return { rule: null, error: 'FREQ=WEEKLY requires BYDAY or DTSTART' };
+        }
+        rule.byDay.push({ weekday: new Date(rule.dtStart * DAY_MS).getUTCDay(), ordinal: null });
+    }
+
+    if (rule.freq === 'MONTHLY' && rule.byDay.length === 0 && rule.byMonthDay.length === 0) {
+        if (rule.dtStart === null) {
+            return { rule: null, error: 'FREQ=MONTHLY requires BYDAY, BYMONTHDAY or DTSTART' };
+        }
+        rule.byMonthDay.push(new Date(rule.dtStart * DAY_MS).getUTCDate());
+    }
+
+    return { rule: rule, error: null };
+}
+
+/**
+ * Validate a list of RRULE strings
+ * @param {Array} ruleStrings - Rules from the Tours recurrenceRules field
+ * @returns {Object} Parsed valid rules and error messages for invalid ones
+ */
+export function validateRecurrenceRules(ruleStrings) {
+    const validRules = [];
+    const errors = [];
+
+    if (!Array.isArray(ruleStrings)) {
+        return { validRules, errors };
+    }
+
+    ruleStrings.forEach(ruleString => {
+        const parsed = parseRecurrenceRule(ruleString);
+        if (parsed.error) {
+            errors.push(`${ruleString}: ${parsed.error}`);
+        } else {
+            validRules.push(parsed.rule);
+        }
+    });
+
+    return { validRules, errors };
+}
+
+/**
+ * Check if a date matches any of the recurrence rules
+ * Invalid rules are ignored
+ * @param {string} dateKey - Date to check as YYYY-MM-DD
+ * @param {Array} ruleStrings - Rules from the Tours recurrenceRules field
+ * @returns {boolean} True if at least one rule matches the date
+ */
+export function matchesRecurrenceRules(dateKey, ruleStrings) {
+    if (!Array.isArray(ruleStrings) || ruleStrings.length === 0 || !parseDateKey(dateKey)) {
+        return false;
+    }
+
+    return validateRecurrenceRules(ruleStrings).validRules.some(rule => matchesRule(dateKey, rule));
+}
+
+/**
+ * List the dates a parsed rule produces in a date range
+ * Steps by the frequency of the rule instead of testing every day, so long ranges stay cheap
+ * @param {Object} rule - Parsed rule from parseRecurrenceRule
+ * @param {string} fromDate - First date as YYYY-MM-DD
+ * @param {string} toDate - Last date as YYYY-MM-DD
+ * @returns {Array} Dates as YYYY-MM-DD in ascending order
+ */
+export function expandRecurrenceRule(rule, fromDate, toDate) {
+    const from = parseDateKey(fromDate);
+    const to = parseDateKey(toDate);
+    if (!rule || !from || !to) {
+        return [];
+    }
+
+    let firstDay = toDayNumber(from.year, from.month, from.day);
+    let lastDay = toDayNumber(to.year, to.month, to.day);
+    if (rule.dtStart !== null && rule.dtStart > firstDay) firstDay = rule.dtStart;
+    if (rule.until !== null && rule.until < lastDay) lastDay = rule.until;
+
+    const dates = new Set();
+    const addIfMatches = dayNumber => {
+        if (dayNumber < firstDay || dayNumber > lastDay) return;
+        const dateKey = toDateKey(dayNumber);
+        if (matchesRule(dateKey, rule)) {
+            dates.add(dateKey);
+        }
+    };
+
+    switch (rule.freq) {
+        case 'DAILY': {
+            const step = rule.dtStart !== null ? rule.interval : 1;
+            const start = rule.dtStart !== null ?
+                rule.dtStart + Math.ceil((firstDay - rule.dtStart) / step) * step :
+                firstDay;
+            for (let day = start; day <= lastDay; day += step) {
+                addIfMatches(day);
+            }
+            break;
+        }
+
+        case 'WEEKLY': {
+            const step = rule.interval * 7;
+            let weekStart = startOfWeek(firstDay);
+            if (rule.dtStart !== null) {
+                const firstWeek = startOfWeek(rule.dtStart);
+                weekStart = firstWeek + Math.ceil((weekStart - firstWeek) / step) * step;
+            }
+            for (; weekStart <= lastDay; weekStart += step) {
+                // Weeks start on Monday, weekday 0 is Sunday
+                rule.byDay.forEach(entry => addIfMatches(weekStart + (entry.weekday + 6) % 7));
+            }
+            break;
+        }
+
+        case 'MONTHLY': {
+            // At most a few candidate days per month, the interval is checked by matchesRule
+            for (let year = from.year, month = from.month; year < to.year || (year === to.year && month <= to.month);) {
+                const monthStart = toDayNumber(year, month, 1);
+                const daysInMonth = getDaysInMonth(year, month);
+                if (rule.byMonthDay.length > 0) {
+                    rule.byMonthDay.forEach(monthDay => {
+                        const day = monthDay > 0 ? monthDay : daysInMonth + monthDay + 1;
+                        if (day >= 1 && day <= daysInMonth) addIfMatches(monthStart + day - 1);
+                    });
+                } else {
+                    const monthStartWeekday = (monthStart + 4) % 7;
+                    rule.byDay.forEach(entry => {
+                        for (let day = (entry.weekday - monthStartWeekday + 7) % 7; day < daysInMonth; day += 7) {
+                            addIfMatches(monthStart + day);
+                        }
+                    });
+                }
+
+                month++;
+                if (month > 12) {
+                    month = 1;
+                    year++;
+                }
+            }
+            break;
+        }
+
+        default:
+            break;
+    }
+
+    return [...dates].sort();
+}
+
+/**
+ * Check if a date matches a single parsed rule
+ * @param {string} dateKey - Date to check as YYYY-MM-DD
+ * @param {Object} rule - Parsed rule
+ * @returns {boolean} True if the rule produces the date
+ */
+function matchesRule(dateKey, rule) {
+    const { year, month, day } = parseDateKey(dateKey);
+    const weekday = getWeekday(dateKey);
+    const dayNumber = Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+
+    if (rule.dtStart !== null && dayNumber < rule.dtStart) return false;
+    if (rule.until !== null && dayNumber > rule.until) return false;
+    if (rule.byMonth.length > 0 && !rule.byMonth.includes(month)) return false;
+
+    switch (rule.freq) {
+        case 'DAILY':
+            if (rule.dtStart !== null && (dayNumber - rule.dtStart) % rule.interval !== 0) return false;
+            if (rule.byDay.length > 0 && !rule.byDay.some(entry => entry.weekday === weekday)) return false;
+            return matchesMonthDay(rule, year, month, day);
+
+        case 'WEEKLY': {
+            if (!rule.byDay.some(entry => entry.weekday === weekday)) return false;
+            if (rule.dtStart !== null) {
+                // Weeks start on Monday, as with the RRULE default WKST=MO
+                const weekIndex = Math.floor((startOfWeek(dayNumber) - startOfWeek(rule.dtStart)) / 7);
+                if (weekIndex % rule.interval !== 0) return false;
+            }
+            return matchesMonthDay(rule, year, month, day);
+        }
+
+        case 'MONTHLY': {
+            if (rule.dtStart !== null) {
+                const startDate = new Date(rule.dtStart * DAY_MS);
+                const monthIndex = (year - startDate.getUTCFullYear()) * 12 + (month - 1 - startDate.getUTCMonth());
+                if (monthIndex % rule.interval !== 0) return false;
+            }
+
+            const daysInMonth = getDaysInMonth(year, month);
+            const matchesDay = rule.byDay.length === 0 || rule.byDay.some(entry => {
+                if (entry.weekday !== weekday) return false;
+                if (entry.ordinal === null) return true;
+                if (entry.ordinal > 0) return Math.ceil(day / 7) === entry.ordinal;
+                return Math.ceil((daysInMonth - day + 1) / 7) === -entry.ordinal;
+            });
+
+            return matchesDay && matchesMonthDay(rule, year, month, day);
+        }
+
+        default:
+            return false;
+    }
+}
+
+/**
+ * Check the BYMONTHDAY part of a rule
+ * @param {Object} rule - Parsed rule
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {boolean} True if the day is allowed or the rule has no BYMONTHDAY
+ */
+function matchesMonthDay(rule, year, month, day) {
+    if (rule.byMonthDay.length === 0) return true;
+
+    const daysInMonth = getDaysInMonth(year, month);
+    return rule.byMonthDay.some(monthDay =>
+        monthDay > 0 ? monthDay === day : daysInMonth + monthDay + 1 === day
+    );
+}
+
+/**
+ * Get the day number of the Monday starting the week of a day number
+ * @param {number} dayNumber - Days since 1970-01-01
+ * @returns {number} Day number of that week's Monday
+ */
+function startOfWeek(dayNumber) {
+    // 1970-01-01 was a Thursday
+    const weekday = (dayNumber + 4) % 7;
+    return dayNumber - ((weekday + 6) % 7);
+}
+
+/**
+ * Get the day number of a date
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {number} Days since 1970-01-01
+ */
+function toDayNumber(year, month, day) {
+    return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+/**
+ * Format a day number as a date key
+ * @param {number} dayNumber - Days since 1970-01-01
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function toDateKey(dayNumber) {
+    return new Date(dayNumber * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Parse a rule date into a day number
+ * @param {string} value - Date as YYYYMMDD, YYYY-MM-DD or YYYYMMDDTHHMMSSZ
+ * @returns {number|null} Days since 1970-01-01, or null if invalid
+ */
+function parseRuleDate(value) {
+    const match = value.match(/^(\d{4})-?(\d{2})-?(\d{2})(T\d{6}Z?)?$/);
+    if (!match) return null;
+
+    const year = Number(match[1]);
+    const month = Number(match[2]);
+    const day = Number(match[3]);
+    const timestamp = Date.UTC(year, month - 1, day);
+    const check = new Date(timestamp);
+
+    if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+        return null;
+    }
+    return Math.floor(timestamp / DAY_MS);
+}
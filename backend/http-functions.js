@@ -0,0 +1,409 @@
+import { response } from 'wix-http-functions';
+import { getSecret } from 'wix-secrets-backend';
+import wixData from 'wix-data';
+import { logSystemState } from 'backend/shared/systemStateManager.web.js';
+import { loadBookableTourDates } from 'backend/availability/availabilityCore.web.js';
+import { createBooking } from 'backend/availability/availabilityBookings.web.js';
+import { CHANGE_SOURCES } from 'backend/availability/availabilityHistory.web.js';
+import { buildTourCalendar } from 'backend/availability/availabilityCalendar.web.js';
+import { getJSTToday, addDays, diffDays, isValidDateKey } from 'public/jstDate.js';
+
+/**
+ * REST API for partner agencies
+ * Exposed by Wix under /_functions:
+ *   GET  /_functions/availability/{tourId}?from=YYYY-MM-DD&to=YYYY-MM-DD
+ *   GET  /_functions/tours
+ *   POST /_functions/reservations   {"tourId", "date", "partySize", "startTime", "reference"}
+ *   GET  /_functions/calendar/{tourId}.ics?token=<token>   iCalendar feed of the tour operating dates
+ *
+ * Partner endpoints need an "x-api-key" header with a key from the availabilityApiKeys secret,
+ * a JSON object of partner names and their keys (e.g., {"agency-a": "<key>"})
+ * Calendar apps cannot send headers, so the calendar feed takes a read-only token as the "token" query parameter
+ * instead, from the availabilityCalendarTokens secret: a JSON object of feed names with their token and
+ * the tours the token may read (e.g., {"agency-a": {"token": "<token>", "tourIds": ["<tour database ID>"]}})
+ * Partner keys are never accepted in the query, so a leaked feed URL cannot make reservations
+ * Errors are returned as {"error": {"code", "message"}} and every request is logged in SystemState
+ */
+
+// Secrets Manager entry holding the partner API keys
+const API_KEYS_SECRET = 'availabilityApiKeys';
+
+// Secrets Manager entry holding the read-only calendar feed tokens
+const CALENDAR_TOKENS_SECRET = 'availabilityCalendarTokens';
+
+// Query parameters that carry credentials and are never written to the log
+const SECRET_QUERY_PARAMS = ['key', 'token'];
+
+// Range returned when a request gives no end date, and the longest range a request can ask for
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 93;
+
+// Largest party a single API reservation can book
+const MAX_PARTY_SIZE = 100;
+
+// Longest external reference stored with a booking
+const MAX_REFERENCE_LENGTH = 100;
+
+// Tour database IDs are Wix item IDs
+const TOUR_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * GET /_functions/availability/{tourId}
+ * @param {Object} request - Wix HTTP request
+ * @returns {Promise<Object>} Dates of the tour with bookable flags and remaining seats
+ */
+export async function get_availability(request) {
+    return handleRequest(request, 'GET /availability', async () => {
+        const tourId = request.path[0];
+        if (request.path.length !== 1 || !TOUR_ID_PATTERN.test(tourId || '')) {
+            return apiError(400, 'INVALID_REQUEST', 'Expected /availability/{tourId}');
+        }
+
+        const today = getJSTToday();
+        const from = request.query.from || today;
+        const to = request.query.to || addDays(from, DEFAULT_RANGE_DAYS - 1);
+        if (!isValidDateKey(from) || !isValidDateKey(to)) {
+            return apiError(400, 'INVALID_REQUEST', 'from and to must be dates as YYYY-MM-DD');
+        }
+        if (from > to) {
+            return apiError(400, 'INVALID_REQUEST', 'from must not be after to');
+        }
+        if (diffDays(from, to) >= MAX_RANGE_DAYS) {
+            return apiError(400, 'INVALID_REQUEST', `A request covers at most ${MAX_RANGE_DAYS} days`);
+        }
+
+        const tourData = await getPublishedTour(tourId);
+        if (!tourData) {
+            return apiError(404, 'NOT_FOUND', `Tour ${tourId} not found`);
+        }
+
+        // Past dates cannot be booked, they are left out
+        const entries = await loadBookableTourDates(tourId, from < today ? today : from, to);
+
+        return {
+            status: 200,
+            body: {
+                tourId: tourId,
+                from: from,
+                to: to,
+                dates: entries.map(toApiDate)
+            },
+            tourLabel: tourData.title || tourData.urlName
+        };
+    });
+}
+
+/**
+ * GET /_functions/tours
+ * @param {Object} request - Wix HTTP request
+ * @returns {Promise<Object>} Published tours
+ */
+export async function get_tours(request) {
+    return handleRequest(request, 'GET /tours', async () => {
+        const result = await wixData.query('Tours')
+            .eq('_publishStatus', 'PUBLISHED')
+            .ascending('title')
+            .limit(1000)
+            .find();
+
+        return {
+            status: 200,
+            body: {
+                tours: result.items.map(tour => ({
+                    tourId: tour._id,
+                    code: tour.tourId || null,
+                    title: tour.title || '',
+                    urlName: tour.urlName || '',
+                    maxParticipants: Number.isInteger(tour.maxParticipants) ? tour.maxParticipants : null
+                }))
+            }
+        };
+    });
+}
+
+/**
+ * POST /_functions/reservations
+ * @param {Object} request - Wix HTTP request with a JSON body
+ * @returns {Promise<Object>} Created booking, or the reason the reservation was refused
+ */
+export async function post_reservations(request) {
+    return handleRequest(request, 'POST /reservations', async (partnerName) => {
+        let payload;
+        try {
+            payload = await request.body.json();
+        } catch (error) {
+            return apiError(400, 'INVALID_REQUEST', 'Request body must be JSON');
+        }
+
+        const validationError = validateReservationPayload(payload);
+        if (validationError) {
+            return apiError(400, 'INVALID_REQUEST', validationError);
+        }
+
+        const tourData = await getPublishedTour(payload.tourId);
+        if (!tourData) {
+            return apiError(404, 'NOT_FOUND', `Tour ${payload.tourId} not found`);
+        }
+        const tourLabel = tourData.title || tourData.urlName;
+
+        const reservation = await createBooking(
+            payload.tourId,
+            payload.date,
+            payload.partySize,
+            payload.startTime || null,
+            payload.reference || null,
+            { source: CHANGE_SOURCES.API, user: `partner:${partnerName}` }
+        );
+
+        if (reservation.status !== 'SUCCESS') {
+            return { ...apiError(409, 'RESERVATION_REJECTED', reservation.reason), tourLabel: tourLabel };
+        }
+
+        return {
+            status: 201,
+            body: {
+                bookingId: reservation.bookingId,
+                tourId: payload.tourId,
+                date: payload.date,
+                startTime: reservation.startTime,
+                partySize: payload.partySize,
+                remainingSeats: reservation.slot ? getRemainingSeats(reservation.slot) : reservation.remainingSeats
+            },
+            tourLabel: tourLabel
+        };
+    });
+}
+
+/**
+ * GET /_functions/calendar/{tourId}.ics
+ * @param {Object} request - Wix HTTP request
+ * @returns {Promise<Object>} iCalendar feed of the tour
+ */
+export async function get_calendar(request) {
+    return handleRequest(request, 'GET /calendar', async () => {
+        const tourId = getCalendarTourId(request);
+        if (!tourId) {
+            return apiError(400, 'INVALID_REQUEST', 'Expected /calendar/{tourId}.ics');
+        }
+
+        const tourData = await getPublishedTour(tourId);
+        if (!tourData) {
+            return apiError(404, 'NOT_FOUND', `Tour ${tourId} not found`);
+        }
+
+        return {
+            status: 200,
+            body: await buildTourCalendar(tourId),
+            contentType: 'text/calendar; charset=utf-8',
+            tourLabel: tourData.title || tourData.urlName
+        };
+    }, authenticateCalendarFeed);
+}
+
+/**
+ * Authenticate, run an endpoint and log the request
+ * @param {Object} request - Wix HTTP request
+ * @param {string} endpoint - Method and path used in the log
+ * @param {Function} handler - Endpoint function, called with the partner name, returning status, body
+ *   and optional contentType (JSON by default) and tourLabel
+ * @param {Function} authenticate - Resolves the request to a client name, or null (partner API key by default)
+ * @returns {Promise<Object>} Wix HTTP response
+ */
+async function handleRequest(request, endpoint, handler, authenticate = authenticatePartner) {
+    const startTime = new Date();
+    let partnerName = null;
+    let result;
+
+    try {
+        partnerName = await authenticate(request);
+        result = partnerName ?
+            await handler(partnerName) :
+            apiError(401, 'UNAUTHORIZED', authenticate === authenticatePartner ? 'Missing or invalid API key' : 'Missing or invalid calendar token');
+    } catch (error) {
+        console.error(`Error in ${endpoint}:`, error);
+        result = { ...apiError(500, 'INTERNAL_ERROR', 'The request could not be completed'), errorDetails: error.message };
+    }
+
+    // Credentials given as query parameters are never written to the log
+    const queryKeys = request.query ? Object.keys(request.query).filter(key => !SECRET_QUERY_PARAMS.includes(key)) : [];
+    const query = queryKeys.length > 0 ?
+        `?${queryKeys.map(key => `${key}=${request.query[key]}`).join('&')}` :
+        '';
+    const tourNames = result.tourLabel ? [result.tourLabel] : [];
+
+    await logSystemState({
+        stateType: 'API Request',
+        stateCategory: 'AVAILABILITY_OPERATIONS',
+        executionStatus: result.status >= 500 ? 'Executed with errors' : 'Execution Completed',
+        processingStartTime: startTime,
+        processingEndTime: new Date(),
+        logData: `${endpoint}${request.path.length > 0 ? `/${request.path.join('/')}` : ''}${query} from partner ${partnerName || 'unauthenticated'}: ${result.status}${result.body.error ? ` ${result.body.error.code} - ${result.body.error.message}` : ''}`,
+        errorDetails: result.errorDetails || '',
+        affectedTourCount: result.status === 201 ? 1 : 0,
+        affectedTourNames: tourNames
+    });
+
+    return response({
+        status: result.status,
+        headers: { 'Content-Type': result.contentType || 'application/json' },
+        body: result.body
+    });
+}
+
+/**
+ * Find the partner the x-api-key header of a request belongs to
+ * @param {Object} request - Wix HTTP request
+ * @returns {Promise<string|null>} Partner name, or null if the key is missing or unknown
+ */
+async function authenticatePartner(request) {
+    const apiKey = request.headers['x-api-key'];
+    if (typeof apiKey !== 'string' || apiKey === '') {
+        return null;
+    }
+
+    const partnerKeys = JSON.parse(await getSecret(API_KEYS_SECRET));
+    const partnerName = Object.keys(partnerKeys).find(name => isSameKey(String(partnerKeys[name]), apiKey));
+    return partnerName || null;
+}
+
+/**
+ * Find the calendar feed the token query parameter of a request belongs to
+ * A token only reads the tours listed with it, or every tour if it lists none
+ * @param {Object} request - Wix HTTP request for /calendar/{tourId}.ics
+ * @returns {Promise<string|null>} Feed name, or null if the token is missing, unknown or not valid for the tour
+ */
+async function authenticateCalendarFeed(request) {
+    const token = request.query ? request.query.token : undefined;
+    const tourId = getCalendarTourId(request);
+    if (typeof token !== 'string' || token === '' || !tourId) {
+        return null;
+    }
+
+    const feeds = JSON.parse(await getSecret(CALENDAR_TOKENS_SECRET));
+    const feedName = Object.keys(feeds).find(name => {
+        const feed = feeds[name] || {};
+        const tourIds = Array.isArray(feed.tourIds) ? feed.tourIds : [];
+        return isSameKey(String(feed.token || ''), token) && (tourIds.length === 0 || tourIds.includes(tourId));
+    });
+    return feedName || null;
+}
+
+/**
+ * Get the tour ID of a calendar feed request
+ * @param {Object} request - Wix HTTP request
+ * @returns {string|null} Tour database ID, or null if the path is not /calendar/{tourId}.ics
+ */
+function getCalendarTourId(request) {
+    const tourId = (request.path[0] || '').replace(/\.ics$/, '');
+    return request.path.length === 1 && TOUR_ID_PATTERN.test(tourId) ? tourId : null;
+}
+
+/**
+ * Compare two keys in time that does not depend on where they differ
+ * @param {string} expected - Stored key
+ * @param {string} actual - Key from the request
+ * @returns {boolean} True if both keys are equal
+ */
+function isSameKey(expected, actual) {
+    if (expected.length !== actual.length) {
+        return false;
+    }
+
+    let difference = 0;
+    for (let i = 0; i < expected.length; i++) {
+        difference |= expected.charCodeAt(i) ^ actual.charCodeAt(i);
+    }
+    return difference === 0;
+}
+
+/**
+ * Get a published tour
+ * @param {string} tourId - The database ID of the tour
+ * @returns {Promise<Object|null>} Tour data, or null if it does not exist or is not published
+ */
+async function getPublishedTour(tourId) {
+    const tourData = await wixData.get('Tours', tourId);
+    return tourData && tourData._publishStatus === 'PUBLISHED' ? tourData : null;
+}
+
+/**
+ * Validate the body of a reservation request
+ * @param {*} payload - Parsed JSON body
+ * @returns {string|null} Error message, or null if the body is valid
+ */
+function validateReservationPayload(payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return 'Request body must be a JSON object';
+    }
+    if (typeof payload.tourId !== 'string' || !TOUR_ID_PATTERN.test(payload.tourId)) {
+        return 'tourId is required';
+    }
+    if (!isValidDateKey(payload.date)) {
+        return 'date must be a date as YYYY-MM-DD';
+    }
+    if (payload.date < getJSTToday()) {
+        return 'date must not be in the past';
+    }
+    if (!Number.isInteger(payload.partySize) || payload.partySize < 1 || payload.partySize > MAX_PARTY_SIZE) {
+        return `partySize must be a whole number from 1 to ${MAX_PARTY_SIZE}`;
+    }
+    if (payload.startTime !== undefined && payload.startTime !== null && (typeof payload.startTime !== 'string' || !TIME_PATTERN.test(payload.startTime))) {
+        return 'startTime must be a time as HH:MM';
+    }
+    if (payload.reference !== undefined && payload.reference !== null && (typeof payload.reference !== 'string' || payload.reference.length > MAX_REFERENCE_LENGTH)) {
+        return `reference must be text of at most ${MAX_REFERENCE_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * Reduce an availability entry to the fields partners get
+ * @param {Object} entry - Availability entry with bookable flags
+ * @returns {Object} API date
+ */
+function toApiDate(entry) {
+    return {
+        date: entry.date,
+        status: entry.status,
+        bookable: entry.bookable === true,
+        remainingSeats: getRemainingSeats(entry),
+        season: entry.season === 'high' ? 'high' : 'normal',
+        timeSlots: (Array.isArray(entry.timeSlots) ? entry.timeSlots : [])
+            .filter(slot => slot && slot.startTime)
+            .map(slot => ({
+                startTime: slot.startTime,
+                endTime: slot.endTime || null,
+                status: slot.status,
+                bookable: slot.bookable === true,
+                remainingSeats: getRemainingSeats(slot)
+            }))
+    };
+}
+
+/**
+ * Get the seats left on a date or time slot
+ * @param {Object} item - Availability entry or time slot
+ * @returns {number|null} Remaining seats, or null when there is no capacity limit
+ */
+function getRemainingSeats(item) {
+    if (item.maxParticipants === null || item.maxParticipants === undefined) {
+        return null;
+    }
+    return Math.max(item.maxParticipants - (item.bookedParticipants || 0), 0);
+}
+
+/**
+ * Build an error result with a JSON error body
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Error message
+ * @returns {Object} Status and body
+ */
+function apiError(status, code, message) {
+    return {
+        status: status,
+        body: { error: { code: code, message: message } }
+    };
+}
@@ -0,0 +1,351 @@
+import { JST_OFFSET, isValidDateKey, addDays, toJSTDateKey } from 'public/jstDate.js';
+
+/**
+ * iCalendar (RFC 5545) VEVENT parser
+ * Reads the events of .ics documents from external calendars (Google Calendar holidays, guide calendars)
+ * and reduces them to JST dates
+ *
+ * Handles folded lines, CRLF/LF/CR line endings, quoted parameters, escaped text,
+ * components nested in events (VALARM), all-day and timed events, DTEND or DURATION,
+ * and keeps RRULE and EXDATE for callers that expand recurring events
+ * Malformed events are skipped and reported in errors instead of failing the whole document
+ *
+ * Times:
+ *   UTC times ("Z")         Converted to JST
+ *   Local and TZID times    Taken as written, tour calendars are kept in JST
+ *
+ * Event fields:
+ *   uid         UID, or "event-<n>" when missing
+ *   summary     Unescaped SUMMARY, empty when missing
+ *   status      STATUS in upper case (e.g., "CONFIRMED", "CANCELLED"), null when missing
+ *   allDay      True for DATE values
+ *   startDate   First date as YYYY-MM-DD
+ *   endDate     Last date as YYYY-MM-DD (inclusive)
+ *   startTime   Start time as HH:MM, null for all-day events
+ *   endTime     End time as HH:MM, null for all-day events or events without an end
+ *   rrule       RRULE value, null for single events
+ *   exDates     EXDATE dates as YYYY-MM-DD
+ */
+
+// Largest document accepted, in characters
+export const MAX_ICAL_LENGTH = 2 * 1024 * 1024;
+
+// Events read per document, the rest are reported and ignored
+const MAX_EVENTS = 5000;
+
+// Longest single event in days, longer events are rejected as likely mistakes
+const MAX_EVENT_DAYS = 366;
+
+const MINUTE_MS = 60 * 1000;
+
+const DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})$/;
+const DATE_TIME_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/;
+const DURATION_PATTERN = /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+/**
+ * Parse the events of an iCalendar document
+ * @param {string} icalData - Raw iCalendar text
+ * @returns {Object} Parsed events and error messages for skipped events
+ */
+export function parseICalEvents(icalData) {
+    if (typeof icalData !== 'string' || icalData.trim() === '') {
+        return { events: [], errors: ['Calendar data is empty'] };
+    }
+    if (icalData.length > MAX_ICAL_LENGTH) {
+        return { events: [], errors: [`Calendar data is larger than ${MAX_ICAL_LENGTH} characters`] };
+    }
+
+    const lines = unfoldLines(icalData.replace(/^\uFEFF/, ''));
+    if (!lines.some(line => /^BEGIN:VCALENDAR$/i.test(line.trim()))) {
+        return { events: [], errors: ['Not an iCalendar document, BEGIN:VCALENDAR is missing'] };
+    }
+
+    const events = [];
+    const errors = [];
+    const components = [];
+    let properties = null;
+    let eventCount = 0;
+
+    for (const line of lines) {
+        if (line.trim() === '') {
+            continue;
+        }
+
+        const property = parseContentLine(line);
+        if (!property) {
+            if (properties) {
+                properties.malformedLine = properties.malformedLine || line.substring(0, 40);
+            }
+            continue;
+        }
+
+        if (property.name === 'BEGIN') {
+            const component = property.value.toUpperCase();
+            components.push(component);
+            // Only events directly inside the calendar count, not events nested in other components
+            if (component === 'VEVENT' && components.length === 2 && components[0] === 'VCALENDAR') {
+                eventCount++;
+                properties = eventCount <= MAX_EVENTS ? { index: eventCount } : null;
+            }
+            continue;
+        }
+
+        if (property.name === 'END') {
+            const component = property.value.toUpperCase();
+            const openIndex = components.lastIndexOf(component);
+            if (openIndex === -1) {
+                continue;
+            }
+            // Components left open inside this one are closed with it
+            components.splice(openIndex);
+            if (component === 'VEVENT' && properties && components.length === 1) {
+                const parsed = buildEvent(properties);
+                if (parsed.error) {
+                    errors.push(`Event ${getEventLabel(properties)}: ${parsed.error}`);
+                } else {
+                    events.push(parsed.event);
+                }
+                properties = null;
+            }
+            continue;
+        }
+
+        // Properties of alarms and other components inside the event are ignored
+        if (properties && components[components.length - 1] === 'VEVENT' && components.length === 2) {
+            if (property.name === 'EXDATE') {
+                properties.EXDATE = [...(properties.EXDATE || []), property];
+            } else if (!properties[property.name]) {
+                properties[property.name] = property;
+            }
+        }
+    }
+
+    if (properties) {
+        errors.push(`Event ${getEventLabel(properties)}: END:VEVENT is missing`);
+    }
+    if (eventCount > MAX_EVENTS) {
+        errors.push(`Calendar has ${eventCount} events, only the first ${MAX_EVENTS} were read`);
+    }
+
+    return { events, errors };
+}
+
+/**
+ * Get the label of an event for error messages
+ * @param {Object} properties - Properties read so far
+ * @returns {string} UID, or the position of the event in the document
+ */
+function getEventLabel(properties) {
+    return properties.UID ? properties.UID.value.trim() : `#${properties.index}`;
+}
+
+/**
+ * Split a document into content lines and join folded lines
+ * @param {string} icalData - Raw iCalendar text
+ * @returns {Array} Unfolded content lines
+ */
+function unfoldLines(icalData) {
+    const lines = [];
+    icalData.split(/\r\n|\n|\r/).forEach(line => {
+        if ((line.startsWith(' ') || line.startsWith('\t')) && lines.length > 0) {
+            lines[lines.length - 1] += line.substring(1);
+        } else {
+            lines.push(line);
+        }
+    });
+    return lines;
+}
+
+/**
+ * Parse a content line into name, parameters and value
+ * Colons and semicolons inside quoted parameter values do not split the line
+ * @param {string} line - Unfolded content line (e.g., DTSTART;TZID="Asia/Tokyo":20261021T100000)
+ * @returns {Object|null} Property, or null if the line is malformed
+ */
+function parseContentLine(line) {
+    let inQuotes = false;
+    let separator = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') {
+            inQuotes = !inQuotes;
+        } else if (line[i] === ':' && !inQuotes) {
+            separator = i;
+            break;
+        }
+    }
+    if (separator <= 0) {
+        return null;
+    }
+
+    const head = line.substring(0, separator);
+    const segments = head.match(/(?:[^;"]+|"[^"]*")+/g) || [];
+    const name = (segments.shift() || '').trim().toUpperCase();
+    if (!/^[A-Z0-9-]+$/.test(name)) {
+        return null;
+    }
+
+    const params = {};
+    segments.forEach(segment => {
+        const equals = segment.indexOf('=');
+        if (equals > 0) {
+            params[segment.substring(0, equals).trim().toUpperCase()] = segment.substring(equals + 1).replace(/"/g, '').trim();
+        }
+    });
+
+    return { name: name, params: params, value: line.substring(separator + 1) };
+}
+
+/**
+ * Build an event from its properties
+ * @param {Object} properties - First property of each name, EXDATE as a list
+ * @returns {Object} Event in "event" or an error message in "error"
+ */
+function buildEvent(properties) {
+    if (properties.malformedLine) {
+        return { event: null, error: `Malformed line "${properties.malformedLine}"` };
+    }
+    if (!properties.DTSTART) {
+        return { event: null, error: 'DTSTART is missing' };
+    }
+
+    const start = parseDateValue(properties.DTSTART);
+    if (!start) {
+        return { event: null, error: `Invalid DTSTART "${properties.DTSTART.value}"` };
+    }
+
+    let end = null;
+    if (properties.DTEND) {
+        end = parseDateValue(properties.DTEND);
+        if (!end || end.allDay !== start.allDay) {
+            return { event: null, error: `Invalid DTEND "${properties.DTEND.value}"` };
+        }
+    } else if (properties.DURATION) {
+        const minutes = parseDurationMinutes(properties.DURATION.value);
+        if (minutes === null) {
+            return { event: null, error: `Invalid DURATION "${properties.DURATION.value}"` };
+        }
+        end = addMinutes(start, minutes);
+    }
+
+    // All-day ends are exclusive, timed events ending at midnight do not touch the next date
+    let endDate = start.date;
+    if (end && start.allDay) {
+        endDate = end.date > start.date ? addDays(end.date, -1) : start.date;
+    } else if (end) {
+        endDate = end.time === '00:00' && end.date > start.date ? addDays(end.date, -1) : end.date;
+    }
+    if (endDate < start.date) {
+        return { event: null, error: 'Event ends before it starts' };
+    }
+    if (endDate > addDays(start.date, MAX_EVENT_DAYS - 1)) {
+        return { event: null, error: `Event is longer than ${MAX_EVENT_DAYS} days` };
+    }
+
+    const exDates = [];
+    (properties.EXDATE || []).forEach(property => {
+        property.value.split(',').forEach(value => {
+            const exDate = parseDateValue({ params: property.params, value: value });
+            if (exDate) {
+                exDates.push(exDate.date);
+            }
+        });
+    });
+
+    return {
+        event: {
+            uid: properties.UID ? properties.UID.value.trim() : `event-${properties.index}`,
+            summary: properties.SUMMARY ? unescapeText(properties.SUMMARY.value).trim() : '',
+            status: properties.STATUS ? properties.STATUS.value.trim().toUpperCase() : null,
+            allDay: start.allDay,
+            startDate: start.date,
+            endDate: endDate,
+            startTime: start.time,
+            endTime: end && !end.allDay ? end.time : null,
+            rrule: properties.RRULE ? properties.RRULE.value.trim() : null,
+            exDates: exDates
+        },
+        error: null
+    };
+}
+
+/**
+ * Parse a DATE or DATE-TIME property value into a JST date and time
+ * @param {Object} property - Property with params and value
+ * @returns {Object|null} Date as YYYY-MM-DD, time as HH:MM (null for DATE values) and allDay flag
+ */
+function parseDateValue(property) {
+    const value = property.value.trim();
+
+    const dateMatch = value.match(DATE_PATTERN);
+    if (dateMatch) {
+        const date = `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`;
+        return isValidDateKey(date) ? { date: date, time: null, allDay: true } : null;
+    }
+
+    const dateTimeMatch = value.match(DATE_TIME_PATTERN);
+    if (!dateTimeMatch || property.params.VALUE === 'DATE') {
+        return null;
+    }
+
+    const [, year, month, day, hours, minutes, seconds, utc] = dateTimeMatch;
+    const date = `${year}-${month}-${day}`;
+    if (!isValidDateKey(date) || Number(hours) > 23 || Number(minutes) > 59 || Number(seconds) > 60) {
+        return null;
+    }
+    if (!utc) {
+        return { date: date, time: `${hours}:${minutes}`, allDay: false };
+    }
+
+    const instant = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes)));
+    const jstTime = new Date(instant.getTime() + JST_OFFSET);
+    return {
+        date: toJSTDateKey(instant),
+        time: `${String(jstTime.getUTCHours()).padStart(2, '0')}:${String(jstTime.getUTCMinutes()).padStart(2, '0')}`,
+        allDay: false
+    };
+}
+
+/**
+ * Parse a DURATION value
+ * @param {string} value - Duration such as P1D, PT2H30M or P1W
+ * @returns {number|null} Duration in minutes, or null if invalid
+ */
+function parseDurationMinutes(value) {
+    const match = value.trim().match(DURATION_PATTERN);
+    if (!match || value.trim() === 'P' || value.trim().endsWith('T')) {
+        return null;
+    }
+
+    const [, weeks, days, hours, minutes] = match.map(part => Number(part || 0));
+    return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+}
+
+/**
+ * Add minutes to a parsed date value
+ * @param {Object} start - Parsed DTSTART
+ * @param {number} minutes - Minutes to add
+ * @returns {Object} Parsed end value
+ */
+function addMinutes(start, minutes) {
+    if (start.allDay) {
+        return { date: addDays(start.date, Math.ceil(minutes / (24 * 60))), time: null, allDay: true };
+    }
+
+    const [year, month, day] = start.date.split('-').map(Number);
+    const [hours, mins] = start.time.split(':').map(Number);
+    const end = new Date(Date.UTC(year, month - 1, day, hours, mins) + minutes * MINUTE_MS);
+    return {
+        date: end.toISOString().substring(0, 10),
+        time: end.toISOString().substring(11, 16),
+        allDay: false
+    };
+}
+
+/**
+ * Unescape a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} text - Escaped text
+ * @returns {string} Plain text
+ */
+function unescapeText(text) {
+    return text.replace(/\\([\\;,nN])/g, (match, character) => (character === 'n' || character === 'N' ? '\n' : character));
+}
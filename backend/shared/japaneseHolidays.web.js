@@ -1,5 +1,6 @@
 import wixData from 'wix-data';
 import wixFetch from 'wix-fetch';
+import { parseICalEvents } from './iCalParser.js';
 
 /**
  * Japanese holidays management system
@@ -44,41 +45,27 @@ export async function fetchJapaneseHolidays(year) {
  * @returns {Array} Parsed holiday objects
  */
 function parseICalData(icalData, year) {
-    const holidays = [];
-    const events = icalData.split('BEGIN:VEVENT');
+    const { events, errors } = parseICalEvents(icalData);
+    errors.forEach(error => console.warn(`Skipped holiday calendar entry: ${error}`));
     
-    for (let i = 1; i < events.length; i++) {
-        const event = events[i];
-        const endEvent = event.indexOf('END:VEVENT');
-        const eventData = event.substring(0, endEvent);
-        
-        // Extract date and summary
-        const dtStartMatch = eventData.match(/DTSTART[^:]*:(\d{8})/);
-        const summaryMatch = eventData.match(/SUMMARY:(.+)/);
-        
-        if (dtStartMatch && summaryMatch) {
-            const dateStr = dtStartMatch[1];
-            const eventYear = parseInt(dateStr.substring(0, 4), 10);
+    const holidays = events
+        .filter(event => event.summary !== '' && event.status !== 'CANCELLED')
+        .filter(event => parseInt(event.startDate.substring(0, 4), 10) === year)
+        .map(event => {
+            const month = parseInt(event.startDate.substring(5, 7), 10);
+            const day = parseInt(event.startDate.substring(8, 10), 10);
             
-            // Filter by target year
-            if (eventYear === year) {
-                const month = parseInt(dateStr.substring(4, 6), 10);
-                const day = parseInt(dateStr.substring(6, 8), 10);
-                const name = summaryMatch[1].trim();
-                
-                holidays.push({
-                    year: eventYear,
-                    month: month,
-                    day: day,
-                    date: `${eventYear}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
-                    name: name,
-                    source: 'google_calendar'
-                });
-            }
-        }
-    }
+            return {
+                year: year,
+                month: month,
+                day: day,
+                date: event.startDate,
+                name: event.summary,
+                source: 'google_calendar'
+            };
+        });
     
-    return holidays.sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime());
+    return holidays.sort((a, b) => a.date.localeCompare(b.date));
 }
 
 /**
@@ -2,7 +2,17 @@
 import wixData from 'wix-data';
 import wixWindow from 'wix-window';
 import wixLocation from 'wix-location-frontend';
-import { generateAvailabilityForTour, createInitialAvailability } from 'backend/availability/availabilityCore.web.js';
+import { generateAvailabilityForTour, createInitialAvailability, setDateStatus, bulkUpdateAvailability } from 'backend/availability/availabilityCore.web.js';
+import { getCancellationPolicySummary } from 'backend/availability/cancellationPolicyEvaluator.web.js';
+import { migrateTourAvailability } from 'backend/availability/availabilityDates.web.js';
+import { offerWaitlistSeats } from 'backend/availability/availabilityWaitlist.web.js';
+import { getGuidesForDate, assignGuideToDate } from 'backend/availability/availabilityGuides.web.js';
+import { getResourceBlocks } from 'backend/availability/availabilityResources.web.js';
+import { closeDateRangeForTours, revertEmergencyClosure, getActiveEmergencyClosures } from 'backend/availability/availabilityEmergencyClosure.web.js';
+import { importCalendarClosures } from 'backend/availability/availabilityCalendarImport.web.js';
+import { getJSTToday, parseDateKey, formatDateKey, addDays } from 'public/jstDate.js';
+import { CALENDAR_IMPORT_MODES, BOOKED_DATE_RESOLUTIONS } from 'public/calendarImportOptions.js';
+import { GO_NO_GO_DECISIONS } from 'public/goNoGoDecisions.js';
 
 // Color variables centralized for easy management and consistency
 const COLORS = {
@@ -24,15 +34,18 @@ const COLORS = {
     STATUS_AVAILABLE: '#6F8D53',      // Available status color (green)
     STATUS_SOLDOUT: '#C13939',        // Sold out status color (red)
     STATUS_NOT_OPERATING: '#4C4C4C',  // Not operating status color (gray)
-    STATUS_PARTIAL: '#FF9300'         // Partial availability color (orange)
+    STATUS_PARTIAL: '#FF9300',        // Partial availability color (orange)
+    STATUS_BLOCKED: '#7A5BA6'         // Blocked by a shared resource color (purple)
 };
 
 // Global variables for state management
-let currentDate = new Date();
+let currentDate = getJSTMonthStartDate(); // First day of the viewed month (local calendar components)
 let currentTourId = null;
 let currentTourLabel = '';
-let availabilityData = {};
+let availabilityData = {}; // AvailabilityDates rows of the selected tour by date key
 let availabilityRecord = null;
+let cancellationSummary = null; // Cancellation policy of the selected tour
+let resourceBlocks = {}; // Upcoming dates blocked by other tours using a shared resource, by date key
 let toursData = [];
 let isCalendarMenuOpen = false;
 let isDayMenuOpen = false;
@@ -51,9 +64,6 @@ let menuButtonClicked = false;
 let clickHandlerSetupComplete = false;
 let operationCounter = 0; // Track operations to prevent accumulation
 
-// JST timezone configuration (Japan Standard Time - 9 hours ahead of UTC)
-const JST_OFFSET = 9 * 60 * 60 * 1000;
-
 // English month names for calendar display
 const MONTH_NAMES = [
     'January', 'February', 'March', 'April', 'May', 'June',
@@ -65,7 +75,8 @@ const STATUS_CONFIG = {
     available: { text: 'Available', color: COLORS.STATUS_AVAILABLE },
     soldout: { text: 'Sold out', color: COLORS.STATUS_SOLDOUT },
     notoperating: { text: 'Not operating', color: COLORS.STATUS_NOT_OPERATING },
-    partiallysoldout: { text: 'Slots', color: COLORS.STATUS_PARTIAL }
+    partiallysoldout: { text: 'Slots', color: COLORS.STATUS_PARTIAL },
+    blocked: { text: 'Blocked', color: COLORS.STATUS_BLOCKED }
 };
 
 // Initialize page when ready - sets up all components and handlers with proper loading states
@@ -144,10 +155,8 @@ function populateMonthDropdown() {
         
         // Process all dates in availability data
         Object.keys(availabilityData).forEach(dateKey => {
-            const date = new Date(dateKey);
-            const year = date.getFullYear();
-            const month = date.getMonth();
-            const monthYear = `${year}-${String(month).padStart(2, '0')}`;
+            const { year, month } = parseDateKey(dateKey);
+            const monthYear = `${year}-${String(month - 1).padStart(2, '0')}`;
             uniqueMonths.add(monthYear);
         });
         
@@ -247,9 +256,10 @@ function resetMonthDropdown() {
  * Shows current month and year consistently formatted
  */
 function updateCalendarDisplayToCurrentDate() {
-    const now = new Date();
-    const currentMonthName = MONTH_NAMES[now.getMonth()];
-    const currentYear = now.getFullYear();
+    // Current month in Japan, independent of the browser timezone
+    const today = parseDateKey(getJSTToday());
+    const currentMonthName = MONTH_NAMES[today.month - 1];
+    const currentYear = today.year;
     
     // Update year text to current year
     $w('#yearText').text = currentYear.toString();
@@ -257,9 +267,9 @@ function updateCalendarDisplayToCurrentDate() {
     // Set month dropdown to show current month with year
     $w('#calendarMonth').options = [{ 
         label: `${currentMonthName} ${currentYear}`,  // Consistent format: "July 2025"
-        value: `${currentYear}-${String(now.getMonth()).padStart(2, '0')}` 
+        value: `${currentYear}-${String(today.month - 1).padStart(2, '0')}` 
     }];
-    $w('#calendarMonth').value = `${currentYear}-${String(now.getMonth()).padStart(2, '0')}`;
+    $w('#calendarMonth').value = `${currentYear}-${String(today.month - 1).padStart(2, '0')}`;
     
     console.log(`Calendar display set to current date: ${currentMonthName} ${currentYear}`);
 }
@@ -359,7 +369,7 @@ function setupRobustGlobalClickListener() {
         if (isDayMenuOpen && currentOpenDayElement) {
             const dayElements = [
                 'dayMenuButton', 'dayDropdown', 
-                'setTimeSlotsOption', 'setNotOperatingOption'
+                'setTimeSlotsOption', 'setNotOperatingOption', 'assignGuideOption'
             ];
             
             if (!dayElements.includes(clickedElementId)) {
@@ -524,6 +534,9 @@ function setupRepeaterHandlers() {
             setupStatusButton($item, itemData, index);
             setupBookingCounter($item, itemData);
             setupSeasonTags($item, itemData);
+            setupCancellationDeadline($item, itemData);
+            setupHolidayName($item, itemData);
+            setupResourceBlock($item, itemData);
             
             // IMPORTANT: Hide the dayDropdown initially in each item to prevent visual glitches
             if ($item('#dayDropdown')) {
@@ -630,6 +643,8 @@ async function onTourSelected(event) {
         lastSelectedTourId = null;
         availabilityData = {};
         availabilityRecord = null;
+        cancellationSummary = null;
+        resourceBlocks = {};
         
         // Reset month dropdown and display current date
         resetMonthDropdown();
@@ -644,12 +659,14 @@ async function onTourSelected(event) {
     // Always force refresh by clearing previous data to ensure clean state
     availabilityData = {};
     availabilityRecord = null;
+    cancellationSummary = null;
+    resourceBlocks = {};
     
     // Reset month dropdown for new tour
     resetMonthDropdown();
     
     // Reset current date to today when selecting a tour to prevent navigation bugs
-    currentDate = new Date();
+    currentDate = getJSTMonthStartDate();
     updateCalendarDisplay();
     
     // Set tour ID and find label using urlName for user-friendly display
@@ -679,29 +696,34 @@ async function onTourSelected(event) {
             return;
         }
         
-        // Check if availability record has proper data structure
+        // Tours still stored as one availabilityData array are moved to date rows first
         const availabilityRecordItem = availabilityQuery.items[0];
+        const migratedDates = await migrateTourAvailability(currentTourId);
+        if (migratedDates > 0) {
+            appendLog(`Moved ${migratedDates} dates from the old availability array to date rows`);
+        }
         
-        // Enhanced validation for corrupted or empty availability data
-        if (!availabilityRecordItem.availabilityData || 
-            !Array.isArray(availabilityRecordItem.availabilityData) || 
-            availabilityRecordItem.availabilityData.length === 0 ||
-            (availabilityRecordItem.availabilityData.length === 1 && availabilityRecordItem.availabilityData[0] === "")) {
-            
-            appendLog('Availability record exists but contains no valid date data or corrupted data');
+        // Store availability record and load fresh data
+        availabilityRecord = availabilityRecordItem;
+        updateSystemStatus('Processing calendar data...');
+        
+        await loadAvailabilityData();
+        
+        // Enhanced validation for missing date rows
+        if (Object.keys(availabilityData).length === 0) {
+            appendLog('Availability record exists but contains no valid date data');
             showLoadingState();
             updateSystemStatus('Corrupted or empty availability data found');
             
-            // Show error lightbox for corrupted availability
+            // Show error lightbox for empty availability
             showAvailabilityErrorLightbox();
             return;
         }
         
-        // Store availability record and load fresh data
-        availabilityRecord = availabilityRecordItem;
-        updateSystemStatus('Processing calendar data...');
+        // Load cancellation policy so each date can show its free cancellation deadline
+        cancellationSummary = await getCancellationPolicySummary(currentTourId);
+        appendLog(`Cancellation policy: ${cancellationSummary.policyName || 'None'}`);
         
-        await loadAvailabilityData();
         calculateAvailableDateRange();
         await populateCalendar();
         updateNavigationButtons();
@@ -741,7 +763,7 @@ function showAvailabilityErrorLightbox() {
 }
 
 /**
- * Load availability data from database array field with improved date handling
+ * Load availability data from the AvailabilityDates rows of the selected tour
  * Processes availability data from database and creates lookup object
  */
 async function loadAvailabilityData() {
@@ -751,20 +773,40 @@ async function loadAvailabilityData() {
         appendLog('Processing availability data...');
         availabilityData = {};
         
-        // Process availabilityData array from database record
-        if (availabilityRecord.availabilityData && Array.isArray(availabilityRecord.availabilityData)) {
-            availabilityRecord.availabilityData.forEach(item => {
-                // Skip empty string entries that might be corrupted data
-                if (typeof item === 'string' && item === '') {
-                    return;
-                }
-                
-                // Use simple date format without JST conversion for key matching consistency
-                const itemDate = new Date(item.date);
-                const dateKey = formatDateKeySimple(itemDate);
-                availabilityData[dateKey] = item;
-                console.log(`Loaded availability: ${dateKey} = ${item.status}`);
-            });
+        // Rows are read page by page, long horizons exceed a single query page
+        let rowsQuery = await wixData.query('AvailabilityDates')
+            .eq('tourName', currentTourId)
+            .ascending('date')
+            .limit(1000)
+            .find();
+        const rows = [...rowsQuery.items];
+        while (rowsQuery.hasNext()) {
+            rowsQuery = await rowsQuery.next();
+            rows.push(...rowsQuery.items);
+        }
+        
+        rows.forEach(item => {
+            // Stored dates are already JST YYYY-MM-DD keys, parsing them as Date would shift them by timezone
+            const dateKey = item.date;
+            availabilityData[dateKey] = item;
+            console.log(`Loaded availability: ${dateKey} = ${item.status}`);
+        });
+        
+        const conflictDates = Object.keys(availabilityData).filter(dateKey => availabilityData[dateKey].bookingConflict);
+        if (conflictDates.length > 0) {
+            appendLog(`⚠️ ${conflictDates.length} booked dates have unresolved booking conflicts: ${conflictDates.join(', ')}`);
+        }
+        const lowDemandDates = Object.keys(availabilityData).filter(dateKey => availabilityData[dateKey].goNoGoDecision === GO_NO_GO_DECISIONS.CANCELLED_LOW_DEMAND);
+        if (lowDemandDates.length > 0) {
+            appendLog(`${lowDemandDates.length} dates were cancelled for low demand: ${lowDemandDates.join(', ')}`);
+        }
+        logUnassignedGuideWarnings();
+        
+        // Other tours sharing a vehicle or guide may have claimed upcoming dates
+        resourceBlocks = await getResourceBlocks(currentTourId, getJSTToday());
+        const blockedDates = Object.keys(resourceBlocks).filter(dateKey => availabilityData[dateKey]);
+        if (blockedDates.length > 0) {
+            appendLog(`${blockedDates.length} dates are blocked by shared resources: ${blockedDates.map(dateKey => `${dateKey} (${resourceBlocks[dateKey].reason})`).join(', ')}`);
         }
         
         console.log('Availability data processed:', Object.keys(availabilityData).length, 'items');
@@ -783,17 +825,18 @@ async function loadAvailabilityData() {
  * Determines min and max months that have availability data
  */
 function calculateAvailableDateRange() {
-    const dates = Object.keys(availabilityData).map(key => new Date(key));
-    if (dates.length === 0) {
+    // YYYY-MM-DD keys sort chronologically as text
+    const dateKeys = Object.keys(availabilityData).filter(key => parseDateKey(key)).sort();
+    if (dateKeys.length === 0) {
         availableDateRange = { min: null, max: null };
         return;
     }
     
-    // Use getTime() to convert dates to numbers for proper comparison
-    dates.sort((a, b) => a.getTime() - b.getTime());
+    const first = parseDateKey(dateKeys[0]);
+    const last = parseDateKey(dateKeys[dateKeys.length - 1]);
     availableDateRange = {
-        min: new Date(dates[0].getFullYear(), dates[0].getMonth(), 1),
-        max: new Date(dates[dates.length - 1].getFullYear(), dates[dates.length - 1].getMonth(), 1)
+        min: new Date(first.year, first.month - 1, 1),
+        max: new Date(last.year, last.month - 1, 1)
     };
     
     console.log('Available date range:', availableDateRange);
@@ -862,12 +905,9 @@ function createDayData(date, dayNumber, viewYear, viewMonth) {
         textColor = COLORS.TEXT_SATURDAY;
     }
     
-    // Calculate background and border colors with proper today detection
+    // Calculate background and border colors with proper today detection (today in Japan)
     let backgroundColor, borderColor;
-    const today = new Date();
-    const isToday = date.getDate() === today.getDate() && 
-                   date.getMonth() === today.getMonth() && 
-                   date.getFullYear() === today.getFullYear();
+    const isToday = dateKey === getJSTToday();
     
     if (isCurrentMonth) {
         backgroundColor = COLORS.BG_CURRENT_MONTH;
@@ -881,8 +921,15 @@ function createDayData(date, dayNumber, viewYear, viewMonth) {
     const seasonInfo = availability ? availability.season : 'normal';
     const status = availability ? availability.status : 'available';
     const bookedParticipants = availability ? (availability.bookedParticipants || 0) : 0;
+    const maxParticipants = availability && availability.maxParticipants !== undefined ? availability.maxParticipants : null;
     const hasData = availability !== null;
     
+    // Last day of free cancellation based on the tour cancellation policy
+    let cancellationDeadline = null;
+    if (cancellationSummary && cancellationSummary.freeCancellationDaysBefore !== null) {
+        cancellationDeadline = addDays(dateKey, -cancellationSummary.freeCancellationDaysBefore);
+    }
+    
     // Create valid ID for Wix repeater (required for proper element targeting)
     const validId = `d-${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(dayNumber).padStart(2, '0')}`;
     
@@ -897,7 +944,11 @@ function createDayData(date, dayNumber, viewYear, viewMonth) {
         borderColor: borderColor,
         status: status,
         bookedParticipants: bookedParticipants,
+        maxParticipants: maxParticipants,
+        timeSlots: availability && Array.isArray(availability.timeSlots) ? availability.timeSlots : [],
         season: seasonInfo,
+        cancellationDeadline: cancellationDeadline,
+        resourceBlock: resourceBlocks[dateKey] || null,
         availability: availability,
         hasAvailabilityData: hasData
     };
@@ -936,14 +987,10 @@ async function populateCalendar() {
 
 /**
  * Check if a date is in the past (before today)
- * Returns true if the date is before today's date
+ * Returns true if the date is before today's date in Japan
  */
 function isDateInPast(date) {
-    const today = new Date();
-    const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    const checkDate = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-    
-    return checkDate < todayStart;
+    return formatDateKeySimple(date) < getJSTToday();
 }
 
 /**
@@ -971,7 +1018,9 @@ function setupStatusButton($item, itemData, index) {
     $item('#statusButton').show();
     console.log(`Showing status button for day ${itemData.dayNumber} with status ${itemData.status}`);
     
-    const statusConfig = STATUS_CONFIG[itemData.status] || STATUS_CONFIG.available;
+    // Dates taken by another tour through a shared resource show as blocked, the click still changes the stored status
+    const isBlocked = itemData.resourceBlock && itemData.resourceBlock.startTimes === null && itemData.status !== 'notoperating';
+    const statusConfig = isBlocked ? STATUS_CONFIG.blocked : (STATUS_CONFIG[itemData.status] || STATUS_CONFIG.available);
     
     // Apply status styling with centralized colors
     $item('#statusButton').label = statusConfig.text;
@@ -1104,6 +1153,8 @@ async function refreshAvailabilityStatesWithoutFlash() {
                 itemData.status = newAvailability.status;
                 itemData.hasAvailabilityData = true;
                 itemData.bookedParticipants = newAvailability.bookedParticipants || 0;
+                itemData.maxParticipants = newAvailability.maxParticipants !== undefined ? newAvailability.maxParticipants : null;
+                itemData.timeSlots = Array.isArray(newAvailability.timeSlots) ? newAvailability.timeSlots : [];
                 
                 // Show/hide status button based on date and availability
                 const isPastDate = itemData.isCurrentMonth && isDateInPast(itemData.date);
@@ -1117,7 +1168,7 @@ async function refreshAvailabilityStatesWithoutFlash() {
                 }
                 
                 // Update booking counter
-                $item('#bookingCounterButton').label = itemData.bookedParticipants.toString();
+                $item('#bookingCounterButton').label = formatBookingCounter(itemData);
                 
                 console.log(`Updated ${dateKey} to ${newAvailability.status} without flash`);
             } else {
@@ -1156,7 +1207,18 @@ async function toggleDayStatus(dayData, $itemElement = null) {
  * Shows current booking count for the day
  */
 function setupBookingCounter($item, itemData) {
-    $item('#bookingCounterButton').label = itemData.bookedParticipants.toString();
+    $item('#bookingCounterButton').label = formatBookingCounter(itemData);
+}
+
+/**
+ * Format booking counter label
+ * Shows "booked/capacity" when the date has a capacity, otherwise booked count only
+ */
+function formatBookingCounter(itemData) {
+    if (itemData.maxParticipants === null || itemData.maxParticipants === undefined) {
+        return itemData.bookedParticipants.toString();
+    }
+    return `${itemData.bookedParticipants}/${itemData.maxParticipants}`;
 }
 
 /**
@@ -1173,6 +1235,59 @@ function setupSeasonTags($item, itemData) {
     }
 }
 
+/**
+ * Setup free cancellation deadline display
+ * Shows the last free cancellation day for operating dates, hides it otherwise
+ */
+function setupCancellationDeadline($item, itemData) {
+    if (!$item('#cancellationDeadlineText')) {
+        return;
+    }
+    
+    if (!itemData.hasAvailabilityData || !itemData.cancellationDeadline || itemData.status === 'notoperating') {
+        $item('#cancellationDeadlineText').hide();
+        return;
+    }
+    
+    const deadline = parseDateKey(itemData.cancellationDeadline);
+    $item('#cancellationDeadlineText').text = `Free cancel until ${MONTH_NAMES[deadline.month - 1].substring(0, 3)} ${deadline.day}`;
+    $item('#cancellationDeadlineText').show();
+}
+
+/**
+ * Setup national holiday name display
+ * Shows the holiday name stored on the availability entry, hides it otherwise
+ */
+function setupHolidayName($item, itemData) {
+    if (!$item('#holidayNameText')) {
+        return;
+    }
+    
+    if (itemData.availability && itemData.availability.holidayName) {
+        $item('#holidayNameText').text = itemData.availability.holidayName;
+        $item('#holidayNameText').show();
+    } else {
+        $item('#holidayNameText').hide();
+    }
+}
+
+/**
+ * Setup shared resource block display
+ * Shows why another tour blocks the date or some of its time slots, hides it otherwise
+ */
+function setupResourceBlock($item, itemData) {
+    if (!$item('#resourceBlockText')) {
+        return;
+    }
+    
+    if (itemData.resourceBlock && itemData.status !== 'notoperating') {
+        $item('#resourceBlockText').text = `Blocked: ${itemData.resourceBlock.reason}`;
+        $item('#resourceBlockText').show();
+    } else {
+        $item('#resourceBlockText').hide();
+    }
+}
+
 /**
  * Setup menu buttons with robust click handling
  * Configures calendar menu button with proper state management
@@ -1226,6 +1341,24 @@ function setupDropdownElements() {
         });
     }
     
+    if ($w('#bulkUpdateOption')) {
+        $w('#bulkUpdateOption').onClick(() => {
+            handleCalendarMenuAction('bulkUpdate');
+        });
+    }
+    
+    if ($w('#emergencyClosureOption')) {
+        $w('#emergencyClosureOption').onClick(() => {
+            handleCalendarMenuAction('emergencyClosure');
+        });
+    }
+    
+    if ($w('#importCalendarOption')) {
+        $w('#importCalendarOption').onClick(() => {
+            handleCalendarMenuAction('importCalendar');
+        });
+    }
+    
     // Setup day dropdown menu items
     if ($w('#setTimeSlotsOption')) {
         $w('#setTimeSlotsOption').onClick(() => {
@@ -1238,6 +1371,12 @@ function setupDropdownElements() {
             handleDayMenuAction('setNotOperating', currentDayData);
         });
     }
+    
+    if ($w('#assignGuideOption')) {
+        $w('#assignGuideOption').onClick(() => {
+            handleDayMenuAction('assignGuide', currentDayData);
+        });
+    }
 }
 
 /**
@@ -1297,12 +1436,20 @@ async function handleCalendarMenuAction(action) {
                 return;
             }
             
-            // Enhanced confirmation with tour information
-            const confirmMessage = `This operation will generate availability dates for tour:\n\n"${currentTourLabel}".\n\nIf availabilities are already present, the database will be rebuilt.\nSoldout/available statuses and existing bookings will be preserved.\n\nContinue?`;
-            
             try {
+                // Preview the changes with a dry run so nothing is saved before confirmation
+                updateSystemStatus('Previewing changes...');
+                const preview = await generateAvailabilityForTour(currentTourId, true, true);
+                appendLog(`Preview: ${preview.regeneratedDatesCount} dates after generation`);
+                updateSystemStatus('Ready');
+                
+                // Enhanced confirmation with tour information and the per-date changes
+                const confirmMessage = `This operation will generate availability dates for tour:\n\n"${currentTourLabel}".\n\n${formatChangesetForConfirmation(preview.changeset)}${formatBookingConflictsForConfirmation(preview.bookingConflicts)}\n\nSoldout/available statuses and existing bookings will be preserved.\n\nContinue?`;
+                
                 const result = await wixWindow.openLightbox('confirmLightbox2', {
-                    message: confirmMessage
+                    message: confirmMessage,
+                    changeset: preview.changeset,
+                    bookingConflicts: preview.bookingConflicts
                 });
                 
                 if (result === 'confirm') {
@@ -1315,15 +1462,347 @@ async function handleCalendarMenuAction(action) {
             } catch (error) {
                 console.error('Error in generate availabilities:', error);
                 appendLog(`Error in generate availabilities: ${error.message}`);
+                updateSystemStatus('Error generating availabilities');
             }
             break;
             
         case 'manageClosedPeriods':
             wixLocation.to('/manage-closed-periods');
             break;
+            
+        case 'bulkUpdate':
+            if (!currentTourId) {
+                await wixWindow.openLightbox('messageLightbox', {
+                    message: 'Select a tour from the menu.'
+                });
+                return;
+            }
+            await openBulkUpdateLightbox();
+            break;
+            
+        case 'emergencyClosure':
+            // Works across tours, so no tour has to be selected
+            await openEmergencyClosureLightbox();
+            break;
+            
+        case 'importCalendar':
+            await openCalendarImportLightbox();
+            break;
     }
 }
 
+/**
+ * Open bulk status lightbox for the selected tour
+ * Sets the status of a date range in one operation, optionally only on some weekdays
+ * (e.g., every Monday in February sold out)
+ */
+async function openBulkUpdateLightbox() {
+    try {
+        const result = await wixWindow.openLightbox('bulkUpdateLightbox', {
+            tourLabel: currentTourLabel,
+            fromDate: getJSTToday(),
+            statuses: ['available', 'soldout', 'notoperating'].map(status => ({ value: status, label: STATUS_CONFIG[status].text })),
+            weekdays: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+        });
+        
+        if (!result || result.action !== 'save') {
+            return;
+        }
+        
+        updateSystemStatus('Updating dates...');
+        const update = await bulkUpdateAvailability(currentTourId, {
+            from: result.from,
+            to: result.to,
+            weekdays: result.weekdays,
+            status: result.status,
+            reason: result.reason
+        });
+        
+        // Update local rows and redraw once, instead of one refresh per date
+        update.rows.forEach(row => {
+            availabilityData[row.date] = row;
+        });
+        await populateCalendar();
+        
+        const statusText = STATUS_CONFIG[result.status] ? STATUS_CONFIG[result.status].text : result.status;
+        appendLog(`${update.updatedDates.length} dates set to ${statusText}, ${update.unchangedCount} unchanged`);
+        if (update.bookedDates.length > 0) {
+            appendLog(`⚠️ ${update.bookedDates.length} closed dates have bookings: ${update.bookedDates.join(', ')}`);
+        }
+        if (update.conflictDates.length > 0) {
+            appendLog(`⚠️ ${update.conflictDates.length} dates changed during the update and were not set: ${update.conflictDates.join(', ')}`);
+        }
+        updateSystemStatus('Ready');
+        
+    } catch (error) {
+        console.error('Error in bulk status update:', error);
+        appendLog(`Error in bulk status update: ${error.message}`);
+        updateSystemStatus('Error updating dates');
+    }
+}
+
+/**
+ * Open emergency closure lightbox for closing a date range on all or selected tours
+ * The dates and bookings hit are previewed before anything is closed,
+ * and closures that are still active can be reverted as a unit from the same lightbox
+ */
+async function openEmergencyClosureLightbox() {
+    try {
+        updateSystemStatus('Loading emergency closures...');
+        const activeClosures = await getActiveEmergencyClosures();
+        updateSystemStatus('Ready');
+        
+        const result = await wixWindow.openLightbox('emergencyClosureLightbox', {
+            tours: toursData.map(tour => ({ _id: tour._id, label: tour.urlName || tour.title || tour._id })),
+            selectedTourId: currentTourId,
+            fromDate: getJSTToday(),
+            activeClosures: activeClosures
+        });
+        
+        if (!result) {
+            return;
+        }
+        
+        if (result.action === 'close') {
+            updateSystemStatus('Previewing emergency closure...');
+            const preview = await closeDateRangeForTours(result.fromDate, result.toDate, result.tourIds, result.reason, true);
+            updateSystemStatus('Ready');
+            
+            if (preview.closedDates.length === 0) {
+                appendLog(`No operating dates to close from ${result.fromDate} to ${result.toDate}`);
+                return;
+            }
+            
+            const confirmation = await wixWindow.openLightbox('confirmLightbox2', {
+                message: formatEmergencyClosureForConfirmation(result, preview),
+                affectedBookings: preview.affectedBookings
+            });
+            if (confirmation !== 'confirm') {
+                return;
+            }
+            
+            updateSystemStatus('Closing dates...');
+            const closure = await closeDateRangeForTours(result.fromDate, result.toDate, result.tourIds, result.reason, false);
+            appendLog(`Emergency closure ${closure.closureId}: ${closure.closedDates.length} dates closed on ${closure.affectedTourNames.join(', ')}, ${closure.affectedBookings.length} bookings affected`);
+            closure.affectedBookings.forEach(booking => {
+                appendLog(`  ${booking.tourLabel} ${booking.date}: ${booking.partySize} participants${booking.reference ? ` (${booking.reference})` : ''}`);
+            });
+            if (closure.failedTours.length > 0) {
+                appendLog(`⚠️ Emergency closure failed for: ${closure.errors.join('; ')}`);
+            }
+        } else if (result.action === 'revert') {
+            updateSystemStatus('Reverting emergency closure...');
+            const revert = await revertEmergencyClosure(result.closureId);
+            appendLog(`Emergency closure ${result.closureId} reverted: ${revert.revertedCount} dates reopened, ${revert.skipped.length} skipped`);
+            revert.skipped.forEach(skipped => {
+                appendLog(`  ${skipped.date}: ${skipped.reason}`);
+            });
+        } else {
+            return;
+        }
+        
+        if (currentTourId) {
+            await forceRefreshTourData();
+        }
+        updateSystemStatus('Ready');
+        
+    } catch (error) {
+        console.error('Error in emergency closure:', error);
+        appendLog(`Error in emergency closure: ${error.message}`);
+        updateSystemStatus('Error in emergency closure');
+    }
+}
+
+/**
+ * Open calendar import lightbox for closing tours on the days of an external calendar
+ * (e.g., a guide's days off), pasted as text or uploaded as an .ics file
+ * The dates and booked dates hit are previewed before anything is imported
+ */
+async function openCalendarImportLightbox() {
+    try {
+        const result = await wixWindow.openLightbox('calendarImportLightbox', {
+            tours: toursData.map(tour => ({ _id: tour._id, label: tour.urlName || tour.title || tour._id })),
+            selectedTourId: currentTourId,
+            modes: [
+                { value: CALENDAR_IMPORT_MODES.DATES, label: 'Not operating dates' },
+                { value: CALENDAR_IMPORT_MODES.CLOSED_PERIODS, label: 'Closed periods' }
+            ],
+            bookedDateOptions: [
+                { value: BOOKED_DATE_RESOLUTIONS.SKIP, label: 'Keep booked dates open' },
+                { value: BOOKED_DATE_RESOLUTIONS.CLOSE, label: 'Close booked dates too' }
+            ]
+        });
+        
+        if (!result || result.action !== 'import') {
+            return;
+        }
+        
+        const source = { icsText: result.icsText, fileUrl: result.fileUrl };
+        const options = { mode: result.mode, bookedDates: result.bookedDates };
+        
+        updateSystemStatus('Previewing calendar import...');
+        const preview = await importCalendarClosures(source, result.tourIds, options, true);
+        updateSystemStatus('Ready');
+        
+        preview.skippedEvents.forEach(message => {
+            appendLog(`⚠️ Skipped calendar event ${message}`);
+        });
+        if (preview.closedDates.length === 0 && preview.closedPeriods.length === 0) {
+            appendLog(`Nothing to import: ${preview.events.length} events, ${preview.bookingConflicts.length} booked dates kept open`);
+            return;
+        }
+        
+        const confirmation = await wixWindow.openLightbox('confirmLightbox2', {
+            message: formatCalendarImportForConfirmation(preview),
+            affectedBookings: preview.affectedBookings
+        });
+        if (confirmation !== 'confirm') {
+            return;
+        }
+        
+        updateSystemStatus('Importing calendar...');
+        const calendarImport = await importCalendarClosures(source, result.tourIds, options, false);
+        if (calendarImport.mode === CALENDAR_IMPORT_MODES.DATES) {
+            appendLog(`Calendar import ${calendarImport.importId}: ${calendarImport.closedDates.length} dates closed on ${calendarImport.affectedTourNames.join(', ')}`);
+        } else {
+            appendLog(`Calendar import ${calendarImport.importId}: ${calendarImport.closedPeriods.length} closed periods added on ${calendarImport.affectedTourNames.join(', ')}`);
+        }
+        calendarImport.bookingConflicts.forEach(conflict => {
+            appendLog(`  ⚠️ ${conflict.tourLabel} ${conflict.date}: ${conflict.bookedParticipants} booked, ${conflict.resolution}`);
+        });
+        if (calendarImport.failedTours.length > 0) {
+            appendLog(`⚠️ Calendar import failed for: ${calendarImport.errors.join('; ')}`);
+        }
+        
+        if (currentTourId) {
+            await forceRefreshTourData();
+        }
+        updateSystemStatus('Ready');
+        
+    } catch (error) {
+        console.error('Error in calendar import:', error);
+        appendLog(`Error in calendar import: ${error.message}`);
+        updateSystemStatus('Error in calendar import');
+    }
+}
+
+/**
+ * Format a calendar import preview for the confirmation lightbox
+ * Lists the first closures and booked dates, long lists are cut off
+ */
+function formatCalendarImportForConfirmation(preview) {
+    const MAX_LISTED_ITEMS = 10;
+    const lines = [];
+    
+    const listItems = (items, formatItem) => {
+        items.slice(0, MAX_LISTED_ITEMS).forEach(item => {
+            lines.push(`  ${formatItem(item)}`);
+        });
+        if (items.length > MAX_LISTED_ITEMS) {
+            lines.push(`  ...and ${items.length - MAX_LISTED_ITEMS} more`);
+        }
+    };
+    
+    if (preview.mode === CALENDAR_IMPORT_MODES.DATES) {
+        lines.push(`This import will close ${preview.closedDates.length} dates from ${preview.events.length} calendar events:`, '');
+        listItems(preview.closedDates, item => `${item.tourLabel} ${item.date}: ${item.summary}`);
+    } else {
+        lines.push(`This import will add ${preview.closedPeriods.length} closed periods from ${preview.events.length} calendar events:`, '');
+        listItems(preview.closedPeriods, item => `${item.tourLabel} ${item.startDate}${item.endDate !== item.startDate ? ` to ${item.endDate}` : ''}: ${item.reason}`);
+    }
+    
+    if (preview.bookingConflicts.length > 0) {
+        lines.push('', `⚠️ Booked dates: ${preview.bookingConflicts.length}`);
+        listItems(preview.bookingConflicts, conflict => `${conflict.tourLabel} ${conflict.date}: ${conflict.bookedParticipants} booked, ${conflict.resolution}`);
+    }
+    if (preview.skippedEvents.length > 0) {
+        lines.push('', `Skipped events: ${preview.skippedEvents.length} (see log)`);
+    }
+    
+    lines.push('', 'Continue?');
+    return lines.join('\n');
+}
+
+/**
+ * Format an emergency closure preview for the confirmation lightbox
+ * Lists the first bookings on the closed dates, long lists are cut off
+ */
+function formatEmergencyClosureForConfirmation(request, preview) {
+    const MAX_LISTED_BOOKINGS = 10;
+    const lines = [
+        `This operation will close ${preview.closedDates.length} operating dates from ${request.fromDate} to ${request.toDate} on:`,
+        '',
+        ...preview.affectedTourNames.map(tourName => `  ${tourName}`),
+        '',
+        `Reason: ${request.reason}`
+    ];
+    
+    if (preview.affectedBookings.length > 0) {
+        lines.push('', `⚠️ Bookings on closed dates: ${preview.affectedBookings.length}`);
+        preview.affectedBookings.slice(0, MAX_LISTED_BOOKINGS).forEach(booking => {
+            lines.push(`  ${booking.tourLabel} ${booking.date}: ${booking.partySize} participants${booking.reference ? ` (${booking.reference})` : ''}`);
+        });
+        if (preview.affectedBookings.length > MAX_LISTED_BOOKINGS) {
+            lines.push(`  ...and ${preview.affectedBookings.length - MAX_LISTED_BOOKINGS} more`);
+        }
+    }
+    
+    lines.push('', 'The closure can be reverted as a whole later.', '', 'Continue?');
+    return lines.join('\n');
+}
+
+/**
+ * Format a regeneration changeset for the confirmation lightbox
+ * Lists the first changed dates of each kind, long lists are cut off
+ */
+function formatChangesetForConfirmation(changeset) {
+    const MAX_LISTED_CHANGES = 10;
+    const statusText = status => (STATUS_CONFIG[status] ? STATUS_CONFIG[status].text : status);
+    const lines = [];
+    
+    const listChanges = (changes, formatChange) => {
+        changes.slice(0, MAX_LISTED_CHANGES).forEach(change => {
+            lines.push(`  ${formatChange(change)}`);
+        });
+        if (changes.length > MAX_LISTED_CHANGES) {
+            lines.push(`  ...and ${changes.length - MAX_LISTED_CHANGES} more`);
+        }
+    };
+    
+    if (changeset.addedDates.length > 0) {
+        lines.push(`Dates added: ${changeset.addedDates.length} (${changeset.addedDates[0]} to ${changeset.addedDates[changeset.addedDates.length - 1]})`);
+    }
+    if (changeset.removedDates.length > 0) {
+        lines.push(`Dates removed: ${changeset.removedDates.length} (${changeset.removedDates[0]} to ${changeset.removedDates[changeset.removedDates.length - 1]})`);
+    }
+    if (changeset.statusChanges.length > 0) {
+        lines.push(`Status changes: ${changeset.statusChanges.length}`);
+        listChanges(changeset.statusChanges, change => `${change.date}: ${statusText(change.from)} → ${statusText(change.to)}`);
+    }
+    if (changeset.seasonChanges.length > 0) {
+        lines.push(`Season changes: ${changeset.seasonChanges.length}`);
+        listChanges(changeset.seasonChanges, change => `${change.date}: ${change.from || 'none'} → ${change.to || 'none'}`);
+    }
+    
+    if (lines.length === 0) {
+        return `No dates will change (${changeset.unchangedCount} dates checked).`;
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Format booking conflicts for the confirmation lightbox
+ * Booked dates that the tour rules would close stay open and need staff attention
+ */
+function formatBookingConflictsForConfirmation(bookingConflicts) {
+    if (!bookingConflicts || bookingConflicts.length === 0) {
+        return '';
+    }
+    
+    const lines = bookingConflicts.map(conflict => `  ${conflict.date}: ${conflict.bookedParticipants} booked - ${conflict.reason}`);
+    return `\n\n⚠️ Booking conflicts: ${bookingConflicts.length}\nThese booked dates stay open and take no new bookings until resolved:\n${lines.join('\n')}`;
+}
+
 /**
  * Handle complete availability generation process with enhanced backend integration
  * UPDATED: Now uses proper backend functions with validation from availabilityCore
@@ -1355,7 +1834,7 @@ async function handleGenerateAvailabilitiesComplete() {
         if (existingAvailability.items.length > 0) {
             // Availability exists, use regeneration function
             appendLog('Existing availability found, regenerating...');
-            result = await generateAvailabilityForTour(currentTourId, true); // true = manual regeneration
+            result = await generateAvailabilityForTour(currentTourId, true, false); // true = manual regeneration
         } else {
             // No availability exists, create initial availability
             appendLog('No existing availability, creating initial...');
@@ -1415,60 +1894,41 @@ async function handleDayMenuAction(action, data) {
             // Use new no-flash method for setting not operating
             await setDayNotOperatingWithoutFlash(data);
             break;
+        case 'assignGuide':
+            await openAssignGuideLightbox(data);
+            break;
     }
 }
 
 /**
- * Update availability status in database without adding updatedAt to array items
- * Updates database record with clean data structure
+ * Update availability status of a single date row in database
+ * Only the row of the changed date is written, and the change is recorded in its history
  */
 async function updateAvailabilityStatus(dateKey, newStatus) {
     if (!currentTourId || !availabilityRecord) return;
     
     try {
-        // Preserve all existing record fields to maintain data integrity
-        const updateData = {
-            _id: availabilityRecord._id,
-            availabilityId: availabilityRecord.availabilityId,
-            tourName: availabilityRecord.tourName,
-            tourId: availabilityRecord.tourId,
-            closedPeriods: availabilityRecord.closedPeriods,
-            updatedAt: getJSTDate(new Date())
-        };
-        
-        // Process availability data array without corrupting existing structure
-        const availabilityDataArray = [...(availabilityRecord.availabilityData || [])];
-        const dateIndex = availabilityDataArray.findIndex(item => {
-            // Skip string entries that might be corrupted
-            if (typeof item === 'string') return false;
-            
-            const itemDate = new Date(item.date);
-            const itemDateKey = formatDateKeySimple(itemDate);
-            return itemDateKey === dateKey;
-        });
-        
-        if (dateIndex !== -1) {
-            // Update existing record without adding updatedAt to array item
-            availabilityDataArray[dateIndex] = {
-                ...availabilityDataArray[dateIndex],
-                status: newStatus
-            };
-        } else {
-            // Create new record without updatedAt in array item
-            availabilityDataArray.push({
-                date: dateKey,
-                status: newStatus,
-                bookedParticipants: 0,
-                season: 'normal'
-            });
+        if (!availabilityData[dateKey]) {
+            throw new Error(`No availability stored for ${dateKey}`);
         }
         
-        // Update database with clean array data
-        updateData.availabilityData = availabilityDataArray;
-        await wixData.update('Availability', updateData);
+        // The backend re-reads the row so seat reservations made since page load are not overwritten
+        const result = await setDateStatus(currentTourId, dateKey, newStatus);
+        
+        // Update local row to maintain consistency
+        availabilityData[dateKey] = result.row;
         
-        // Update local availability record to maintain consistency
-        availabilityRecord.availabilityData = availabilityDataArray;
+        // A reopened date offers its seats to the waitlist first
+        if (newStatus === 'available' || newStatus === 'partiallysoldout') {
+            const offerResult = await offerWaitlistSeats(currentTourId, dateKey);
+            if (offerResult.offers.length > 0) {
+                appendLog(`${dateKey}: offered seats to ${offerResult.offers.length} waitlist ${offerResult.offers.length === 1 ? 'party' : 'parties'}`);
+                const latestRow = await wixData.get('AvailabilityDates', result.row._id);
+                if (latestRow) {
+                    availabilityData[dateKey] = latestRow;
+                }
+            }
+        }
         
         console.log('Database updated successfully');
         
@@ -1547,6 +2007,61 @@ async function openTimeSlotsLightbox(dayData) {
     }
 }
 
+/**
+ * Open guide assignment lightbox for a day
+ * Lists the tour guides with their availability on the day and saves the chosen guide
+ */
+async function openAssignGuideLightbox(dayData) {
+    try {
+        if (!availabilityData[dayData.dateKey]) {
+            appendLog(`No availability stored for ${dayData.dateKey}, generate availability first`);
+            return;
+        }
+        
+        updateSystemStatus('Loading guides...');
+        const guides = await getGuidesForDate(currentTourId, dayData.dateKey);
+        const currentRow = availabilityData[dayData.dateKey];
+        
+        const result = await wixWindow.openLightbox('assignGuideLightbox', {
+            dayData: dayData,
+            guides: guides,
+            currentGuideId: currentRow.guideId || null
+        });
+        
+        if (result && result.action === 'save') {
+            updateSystemStatus('Assigning guide...');
+            const assignment = await assignGuideToDate(currentTourId, dayData.dateKey, result.guideId || null);
+            availabilityData[dayData.dateKey] = assignment.row;
+            appendLog(`${dayData.dateKey}: guide ${assignment.guideName || 'unassigned'}`);
+            logUnassignedGuideWarnings();
+        }
+        updateSystemStatus('Ready');
+        
+    } catch (error) {
+        console.error('Error assigning guide:', error);
+        appendLog(`Error assigning guide: ${error.message}`);
+        updateSystemStatus('Error assigning guide');
+    }
+}
+
+/**
+ * Warn about upcoming operating dates of the selected tour without an assigned guide
+ * Tours that require a guide do not sell these dates until one is assigned
+ */
+function logUnassignedGuideWarnings() {
+    const today = getJSTToday();
+    const unassignedDates = Object.keys(availabilityData)
+        .filter(dateKey => dateKey >= today && availabilityData[dateKey].status !== 'notoperating' && !availabilityData[dateKey].guideId)
+        .sort();
+    
+    if (unassignedDates.length > 0) {
+        const shownDates = unassignedDates.slice(0, 10).join(', ');
+        const selectedTour = toursData.find(tour => tour._id === currentTourId);
+        const saleNote = selectedTour && selectedTour.requiresGuide ? ' and are not on sale' : '';
+        appendLog(`⚠️ ${unassignedDates.length} upcoming operating dates have no guide${saleNote}: ${shownDates}${unassignedDates.length > 10 ? ', ...' : ''}`);
+    }
+}
+
 /**
  * Legacy set day not operating function - maintains compatibility
  * Wrapper that redirects to the new no-flash version
@@ -1770,21 +2285,19 @@ function appendLog(message) {
 
 /**
  * Format date to simple key format for consistency
- * Converts date to YYYY-MM-DD format for database keys
+ * Converts a calendar grid date (built from local year, month and day) to a YYYY-MM-DD key
  */
 function formatDateKeySimple(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+    return formatDateKey(date.getFullYear(), date.getMonth() + 1, date.getDate());
 }
 
 /**
- * Get JST date for database operations
- * Converts date to Japan Standard Time for consistent database operations
+ * Get the first day of the current month in Japan
+ * Returned as a local Date so the calendar grid can use local getters
  */
-function getJSTDate(date) {
-    return new Date(date.getTime() + JST_OFFSET);
+function getJSTMonthStartDate() {
+    const today = parseDateKey(getJSTToday());
+    return new Date(today.year, today.month - 1, 1);
 }
 
 /**
@@ -7,8 +7,17 @@ import {
     runFullSystemTest,
     testStatusFieldIdentification,
     runComprehensiveToursStatusCheck,
-    analyzeSelectedTourAvailability
+    analyzeSelectedTourAvailability,
+    testJSTDateHandling,
+    testRecurrenceRules,
+    testBookingCutoffRules,
+    testICalParsing,
+    testCalendarFeedFormatting,
+    runAvailabilityDateMigration,
+    runBookingReconciliation,
+    runGoNoGoDecisions
 } from 'backend/availability/availabilityTester.web.js';
+import { getJSTToday, getMonthStart, addMonths } from 'public/jstDate.js';
 
 import wixData from 'wix-data';
 import wixWindow from 'wix-window';
@@ -59,6 +68,52 @@ $w.onReady(function () {
         console.log("Tour analysis button not found, skipping binding");
     }
     
+    // JST date handling test button
+    try {
+        const jstDateTestButton = $w('#testJstDatesButton');
+        jstDateTestButton.onClick(testJstDatesButton_click);
+        console.log("JST date test button bound successfully");
+    } catch (elementError) {
+        console.log("JST date test button not found, skipping binding");
+    }
+    
+    // Rule engine and calendar case table buttons
+    try {
+        $w('#testRecurrenceRulesButton').onClick(testRecurrenceRulesButton_click);
+        $w('#testCutoffRulesButton').onClick(testCutoffRulesButton_click);
+        $w('#testICalParserButton').onClick(testICalParserButton_click);
+        $w('#testCalendarFeedButton').onClick(testCalendarFeedButton_click);
+        console.log("Case table test buttons bound successfully");
+    } catch (elementError) {
+        console.log("Case table test buttons not found, skipping binding");
+    }
+    
+    // Availability date rows migration button
+    try {
+        const migrateDatesButton = $w('#migrateAvailabilityDatesButton');
+        migrateDatesButton.onClick(migrateAvailabilityDatesButton_click);
+        console.log("Availability migration button bound successfully");
+    } catch (elementError) {
+        console.log("Availability migration button not found, skipping binding");
+    }
+    
+    // Booking reconciliation buttons
+    try {
+        $w('#reconcileBookingsButton').onClick(reconcileBookingsButton_click);
+        $w('#repairBookingsButton').onClick(repairBookingsButton_click);
+        console.log("Booking reconciliation buttons bound successfully");
+    } catch (elementError) {
+        console.log("Booking reconciliation buttons not found, skipping binding");
+    }
+    
+    // Minimum participants go/no-go button
+    try {
+        $w('#runGoNoGoButton').onClick(runGoNoGoButton_click);
+        console.log("Go/no-go button bound successfully");
+    } catch (elementError) {
+        console.log("Go/no-go button not found, skipping binding");
+    }
+    
     console.log("All button events bound successfully");
 });
 
@@ -134,10 +189,10 @@ function formatClosedPeriodsForDisplay(closedPeriods) {
     }
     
     const details = closedPeriods.map(period => {
-        const startDate = `${String(period.startMonth).padStart(2, '0')}-${String(period.startDay).padStart(2, '0')}`;
-        const endDate = `${String(period.endMonth).padStart(2, '0')}-${String(period.endDay).padStart(2, '0')}`;
+        const startDate = `${period.startYear ? `${period.startYear}-` : ''}${String(period.startMonth).padStart(2, '0')}-${String(period.startDay).padStart(2, '0')}`;
+        const endDate = `${period.endYear ? `${period.endYear}-` : ''}${String(period.endMonth).padStart(2, '0')}-${String(period.endDay).padStart(2, '0')}`;
         
-        if (period.startMonth === period.endMonth && period.startDay === period.endDay) {
+        if (startDate === endDate) {
             return `${startDate} (${period.reason})`;
         } else {
             return `${startDate} to ${endDate} (${period.reason})`;
@@ -356,6 +411,83 @@ export async function analyzeSelectedTourButton_click() {
     }
 }
 
+/**
+ * Handler for JST date handling test
+ * Runs month boundary, leap year and JST midnight checks on the backend
+ */
+export async function testJstDatesButton_click() {
+    console.log("🗓️ testJstDatesButton_click called");
+    await runCaseTableTest("🗓️", "JST date handling", testJSTDateHandling);
+}
+
+/**
+ * Handler for recurrence rules test
+ * Runs ordinal weekday, interval, month day and expansion checks on the backend
+ */
+export async function testRecurrenceRulesButton_click() {
+    console.log("🔁 testRecurrenceRulesButton_click called");
+    await runCaseTableTest("🔁", "Recurrence rules", testRecurrenceRules);
+}
+
+/**
+ * Handler for booking cutoff rules test
+ * Checks sales closing times of HOURS and DAYSBEFORE rules in JST
+ */
+export async function testCutoffRulesButton_click() {
+    console.log("⏰ testCutoffRulesButton_click called");
+    await runCaseTableTest("⏰", "Booking cutoff rules", testBookingCutoffRules);
+}
+
+/**
+ * Handler for iCalendar parser test
+ * Checks folding, UTC to JST conversion, DURATION and EXDATE handling of imported calendars
+ */
+export async function testICalParserButton_click() {
+    console.log("📥 testICalParserButton_click called");
+    await runCaseTableTest("📥", "iCalendar parsing", testICalParsing);
+}
+
+/**
+ * Handler for calendar feed formatting test
+ * Checks text escaping and line folding of the published calendar feed
+ */
+export async function testCalendarFeedButton_click() {
+    console.log("📤 testCalendarFeedButton_click called");
+    await runCaseTableTest("📤", "Calendar feed formatting", testCalendarFeedFormatting);
+}
+
+/**
+ * Run a backend case table test and log its failed cases
+ * @param {string} icon - Icon shown in the log
+ * @param {string} testLabel - Name of the test shown in the log and status
+ * @param {Function} testFunction - Backend test returning passed cases and failures
+ */
+async function runCaseTableTest(icon, testLabel, testFunction) {
+    setStatus(`Testing ${testLabel.toLowerCase()}...`);
+
+    try {
+        const result = await testFunction();
+        const statusIcon = result.status === 'SUCCESS' ? '✅' : '❌';
+
+        let multilineContent = `• Cases passed: ${result.passedCases}/${result.totalCases}`;
+        result.failures.forEach(failure => {
+            multilineContent += `\n  - ${failure.name}: expected ${JSON.stringify(failure.expected)}, got ${failure.error ? `error ${failure.error}` : JSON.stringify(failure.actual)}`;
+        });
+
+        appendLogWithStartEnd(
+            `${icon} ${testLabel} test started`,
+            multilineContent,
+            `${statusIcon} ${testLabel} test ${result.status === 'SUCCESS' ? 'passed' : 'failed'}`
+        );
+        setStatus(`${testLabel} test ${result.status === 'SUCCESS' ? 'passed' : 'failed'}`);
+
+    } catch (error) {
+        console.error(`${testLabel} test failed:`, error);
+        appendLog(`❌ ${testLabel} test failed: ${error.message}`, `${testLabel} test failed`);
+        setStatus(`${testLabel} test failed`);
+    }
+}
+
 /**
  * Handler for monthly date regeneration
  * CORRECTED: Now passes isManual=true to distinguish from automatic execution
@@ -364,16 +496,14 @@ export async function analyzeSelectedTourButton_click() {
 export async function runDateRegenerationButton_click() {
     console.log("⚠️ runDateRegenerationButton_click called - showing confirmation");
     
-    // More specific message with actual month information
-    const currentDate = new Date();
-    const prevMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1);
-    const futureMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() + 17, 1);
+    // More specific message with actual month information (months in Japan)
+    const currentMonthStart = getMonthStart(getJSTToday());
+    const prevMonth = addMonths(currentMonthStart, -1);
     
-    const prevMonthStr = `${prevMonth.getFullYear()}.${String(prevMonth.getMonth() + 1).padStart(2, '0')}`;
-    const futureMonthStr = `${futureMonth.getFullYear()}.${String(futureMonth.getMonth() + 1).padStart(2, '0')}`;
+    const prevMonthStr = prevMonth.substring(0, 7).replace('-', '.');
     
     const confirmed = await showConfirmation(
-        `This operation will start the monthly date update cycle for all published tours.\nThe process will handle the 18 months of availability\n\nThe previous month will be removed:\n${prevMonthStr}\n\nA new month wll be added:\n${futureMonthStr}\n\nThis will not delete or modify existing bookings.\nContinue?`
+        `This operation will start the monthly date update cycle for all published tours.\n\nThe previous month will be removed:\n${prevMonthStr}\n\nEach tour will be filled up to the end of its own availability horizon (availabilityHorizonMonths, 18 months by default), so the months added differ per tour.\n\nThis will not delete or modify existing bookings.\nContinue?`
     );
     
     console.log("User confirmation result:", confirmed);
@@ -390,6 +520,189 @@ export async function runDateRegenerationButton_click() {
     }
 }
 
+/**
+ * Handler for availability date rows migration
+ * Moves tours still stored as one availabilityData array onto AvailabilityDates rows
+ */
+export async function migrateAvailabilityDatesButton_click() {
+    console.log("📦 migrateAvailabilityDatesButton_click called");
+    
+    const confirmed = await showConfirmation(
+        `This operation will move the availability of every tour still stored as a single date array into per-date rows.\nTours that were already migrated are skipped.\n\nBookings, statuses and capacities are kept.\nContinue?`
+    );
+    
+    if (!confirmed) {
+        appendLog("ℹ️ Operation cancelled by user", "Operation cancelled");
+        setStatus("Operation cancelled");
+        return;
+    }
+    
+    setStatus("Migrating availability dates...");
+    
+    try {
+        const result = await runAvailabilityDateMigration();
+        if (result.status === 'FAILED') {
+            throw new Error(result.error);
+        }
+        
+        const statusIcon = result.status === 'SUCCESS' ? '✅' : '⚠️';
+        let multilineContent = `• Migrated tours: ${result.migratedTours.length} (${result.migratedDates} dates)
+• Already migrated: ${result.skippedCount}
+• Failed tours: ${result.failedTours.length}`;
+        result.migratedTours.forEach(tour => {
+            multilineContent += `\n  - ${tour}`;
+        });
+        if (result.failedTours.length > 0) {
+            multilineContent += `\n• Failed: ${result.failedTours.join(', ')}`;
+        }
+        
+        appendLogWithStartEnd(
+            "📦 Availability date migration started",
+            multilineContent,
+            `${statusIcon} Availability date migration ${result.status === 'SUCCESS' ? 'completed' : 'completed with errors'}`
+        );
+        setStatus(result.status === 'SUCCESS' ? "Migration completed" : "Migration completed with errors");
+        
+    } catch (error) {
+        console.error("Availability date migration failed:", error);
+        appendLog(`❌ Availability date migration failed: ${error.message}`, "Migration failed");
+        setStatus("Migration failed");
+    }
+}
+
+/**
+ * Handler for booking reconciliation in report mode
+ * Lists dates whose booked participants differ from the confirmed and held bookings
+ */
+export async function reconcileBookingsButton_click() {
+    console.log("🧾 reconcileBookingsButton_click called");
+    await runBookingReconciliationFromPage(false);
+}
+
+/**
+ * Handler for booking reconciliation with repair
+ * Replaces mismatching booked participants with the counts of the confirmed and held bookings
+ */
+export async function repairBookingsButton_click() {
+    console.log("🧾 repairBookingsButton_click called");
+    
+    const confirmed = await showConfirmation(
+        `This operation will replace the booked participants of every date from today on that differs from its confirmed and held bookings.
+Statuses follow the corrected counts and every repair is recorded in the change history.
+
+Continue?`
+    );
+    
+    if (!confirmed) {
+        appendLog("ℹ️ Operation cancelled by user", "Operation cancelled");
+        setStatus("Operation cancelled");
+        return;
+    }
+    
+    await runBookingReconciliationFromPage(true);
+}
+
+/**
+ * Run booking reconciliation and write the mismatches to the log
+ * @param {boolean} repair - If true, mismatching counts are written back
+ */
+async function runBookingReconciliationFromPage(repair) {
+    setStatus(repair ? "Repairing booked participants..." : "Checking booked participants...");
+    
+    try {
+        const result = await runBookingReconciliation(repair);
+        if (result.status === 'FAILED') {
+            throw new Error(result.error);
+        }
+        
+        const openCount = result.mismatches.length - result.repairedCount;
+        const statusIcon = openCount === 0 && result.failedTours.length === 0 ? '✅' : '⚠️';
+        let multilineContent = `• Checked: ${result.checkedDates} dates of ${result.checkedTours} tours
+• Mismatches: ${result.mismatches.length}
+• Repaired: ${result.repairedCount}`;
+        result.mismatches.forEach(mismatch => {
+            const slotLabel = mismatch.startTime ? ` ${mismatch.startTime}` : '';
+            const outcome = mismatch.repaired ? ' (repaired)' : (mismatch.note ? ` (${mismatch.note})` : '');
+            multilineContent += `\n  - ${mismatch.tourId} ${mismatch.date}${slotLabel}: stored ${mismatch.storedCount}, bookings ${mismatch.bookingCount}${outcome}`;
+        });
+        if (result.failedTours.length > 0) {
+            multilineContent += `\n• Failed: ${result.failedTours.join(', ')}`;
+        }
+        
+        appendLogWithStartEnd(
+            repair ? "🧾 Booking reconciliation with repair started" : "🧾 Booking reconciliation started",
+            multilineContent,
+            `${statusIcon} Booking reconciliation completed`
+        );
+        setStatus(openCount === 0 ? "Booking counts match" : `${openCount} booking count mismatches`);
+        
+    } catch (error) {
+        console.error("Booking reconciliation failed:", error);
+        appendLog(`❌ Booking reconciliation failed: ${error.message}`, "Reconciliation failed");
+        setStatus("Reconciliation failed");
+    }
+}
+
+/**
+ * Handler for minimum participants go/no-go decisions
+ * Cancels dates below the minimum at their deadline and lists the affected bookings
+ */
+export async function runGoNoGoButton_click() {
+    console.log("🚦 runGoNoGoButton_click called");
+    
+    const confirmed = await showConfirmation(
+        `This operation will decide every date of tours with minimum participants that has reached its decision deadline.
+Dates below the minimum are closed as cancelled for low demand. Bookings are not cancelled, they are listed for follow-up.
+
+Continue?`
+    );
+    
+    if (!confirmed) {
+        appendLog("ℹ️ Operation cancelled by user", "Operation cancelled");
+        setStatus("Operation cancelled");
+        return;
+    }
+    
+    setStatus("Running go/no-go decisions...");
+    
+    try {
+        const result = await runGoNoGoDecisions();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        
+        const statusIcon = result.errors.length === 0 ? '✅' : '⚠️';
+        let multilineContent = `• Tours with minimum participants: ${result.toursProcessed}
+• Go: ${result.goDates.length} dates
+• Cancelled for low demand: ${result.cancelledDates.length} dates
+• Affected bookings: ${result.affectedBookings.length}`;
+        result.cancelledDates.forEach(decision => {
+            multilineContent += `\n  - ${decision.tourLabel} ${decision.date}: ${decision.bookedParticipants}/${decision.minParticipants} booked`;
+        });
+        result.affectedBookings.forEach(booking => {
+            multilineContent += `\n  - Booking ${booking.bookingId}${booking.reference ? ` (${booking.reference})` : ''}: ${booking.tourLabel} ${booking.date}, ${booking.partySize} guests, ${booking.state}`;
+        });
+        result.warnings.forEach(warning => {
+            multilineContent += `\n  ⚠️ ${warning}`;
+        });
+        if (result.errors.length > 0) {
+            multilineContent += `\n• Errors: ${result.errors.join('; ')}`;
+        }
+        
+        appendLogWithStartEnd(
+            "🚦 Go/no-go decisions started",
+            multilineContent,
+            `${statusIcon} Go/no-go decisions ${result.errors.length === 0 ? 'completed' : 'completed with errors'}`
+        );
+        setStatus(result.errors.length === 0 ? "Go/no-go decisions completed" : "Go/no-go decisions completed with errors");
+        
+    } catch (error) {
+        console.error("Go/no-go decisions failed:", error);
+        appendLog(`❌ Go/no-go decisions failed: ${error.message}`, "Go/no-go failed");
+        setStatus("Go/no-go failed");
+    }
+}
+
 /**
  * Handler for individual tour availability generation
  * Creates or regenerates availability for selected tour
@@ -660,6 +973,15 @@ function logConnectivityResults(result) {
     
     const multilineContent = `• Tours: ${result.tests.toursDatabase.status} (${result.tests.toursDatabase.recordCount} records)
 • Availability: ${result.tests.availabilityDatabase.status} (${result.tests.availabilityDatabase.recordCount} records)
+• AvailabilityDates: ${result.tests.availabilityDatesDatabase.status} (${result.tests.availabilityDatesDatabase.recordCount} records)
+• AvailabilityDateLocks: ${result.tests.availabilityDateLocksDatabase.status} (${result.tests.availabilityDateLocksDatabase.recordCount} records)
+• AvailabilityChanges: ${result.tests.availabilityChangesDatabase.status} (${result.tests.availabilityChangesDatabase.recordCount} records)
+• Bookings: ${result.tests.bookingsDatabase.status} (${result.tests.bookingsDatabase.recordCount} records)
+• Waitlist: ${result.tests.waitlistDatabase.status} (${result.tests.waitlistDatabase.recordCount} records)
+• Guides: ${result.tests.guidesDatabase.status} (${result.tests.guidesDatabase.recordCount} records)
+• Resources: ${result.tests.resourcesDatabase.status} (${result.tests.resourcesDatabase.recordCount} records)
+• ResourceClaims: ${result.tests.resourceClaimsDatabase.status} (${result.tests.resourceClaimsDatabase.recordCount} records)
+• EmergencyClosures: ${result.tests.emergencyClosuresDatabase.status} (${result.tests.emergencyClosuresDatabase.recordCount} records)
 • SystemState: ${result.tests.systemStateDatabase.status} (${result.tests.systemStateDatabase.recordCount} records)
 • HighSeasonPeriods: ${result.tests.highSeasonDatabase.status} (${result.tests.highSeasonDatabase.recordCount} records)`;
 
@@ -732,9 +1054,20 @@ function logTourAnalysisResults(result, tourLabel) {
 • Database ID: ${result.tourDetails.databaseId}
 • Visibility: ${result.tourDetails.visibility}
 • Operating Days: ${result.operatingDays ? result.operatingDays.join(', ') : 'None'}
+• Availability Horizon: ${result.horizonMonths} months
+• Recurrence Rules: ${result.recurrenceRules && result.recurrenceRules.length > 0 ? result.recurrenceRules.join(' | ') : 'None'}
+• Booking Cutoff Rules: ${result.bookingCutoffRules && result.bookingCutoffRules.length > 0 ? result.bookingCutoffRules.join(' | ') : 'None'}
+• Holiday Rules: ${result.holidayRules && result.holidayRules.length > 0 ? result.holidayRules.join(', ') : 'None'}
 • High Season Policy: ${result.highSeasonPolicy ? result.highSeasonPolicy.name : 'None'}
 • Cancellation Policy: ${result.cancellationPolicy}
 • Closed Periods: ${result.closedPeriods}`;
+
+        if (result.recurrenceRuleErrors && result.recurrenceRuleErrors.length > 0) {
+            multilineContent += `\n• Invalid Recurrence Rules (ignored): ${result.recurrenceRuleErrors.join('; ')}`;
+        }
+        if (result.bookingCutoffRuleErrors && result.bookingCutoffRuleErrors.length > 0) {
+            multilineContent += `\n• Invalid Booking Cutoff Rules (ignored): ${result.bookingCutoffRuleErrors.join('; ')}`;
+        }
         
         if (result.availabilityStatus && result.availabilityStatus.hasAvailability) {
             const stats = result.availabilityStatus.stats;
@@ -742,10 +1075,14 @@ function logTourAnalysisResults(result, tourLabel) {
   - Total Dates: ${stats.totalDates}
   - Available Dates: ${stats.availableDates}
   - High Season Dates: ${stats.highSeasonDates}
-  - Normal Season Dates: ${stats.normalSeasonDates}`;
+  - Normal Season Dates: ${stats.normalSeasonDates}
+  - Holiday Dates: ${stats.holidayDates || 0}`;
             if (stats.dateRange) {
                 multilineContent += `\n  - Date Range: ${stats.dateRange.from} to ${stats.dateRange.to}`;
             }
+            if (stats.pendingMigration) {
+                multilineContent += '\n  - ⚠️ Stored as a single date array, not migrated to AvailabilityDates yet';
+            }
         } else {
             multilineContent += '\n• Availability: ❌ No availability data found';
         }
@@ -801,7 +1138,7 @@ async function logGenerationResults(result) {
     }
     
     if (result.simulatedResults) {
-        multilineContent += `\n• Estimated dates: ${result.simulatedResults.estimatedDatesCount}`;
+        multilineContent += `\n• Estimated dates: ${result.simulatedResults.estimatedDatesCount} (${result.simulatedResults.horizonMonths} month horizon)`;
     }
     
     if (result.actualResults) {
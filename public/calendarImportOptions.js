@@ -0,0 +1,17 @@
+/**
+ * Options of the calendar import shared by backend and pages
+ * Pages cannot import constants from backend web modules, only their functions,
+ * so the values the Manager page offers and the backend checks live here
+ */
+
+// How imported events close tour dates
+export const CALENDAR_IMPORT_MODES = {
+    DATES: 'dates',
+    CLOSED_PERIODS: 'closedPeriods'
+};
+
+// What happens to imported dates that already have bookings
+export const BOOKED_DATE_RESOLUTIONS = {
+    SKIP: 'skip',
+    CLOSE: 'close'
+};
@@ -0,0 +1,11 @@
+/**
+ * Minimum participants decisions shared by backend and pages
+ * Pages cannot import constants from backend web modules, only their functions,
+ * so the values the backend stores and the Manager page shows live here
+ */
+
+// Values of the goNoGoDecision field of a date
+export const GO_NO_GO_DECISIONS = {
+    GO: 'go',
+    CANCELLED_LOW_DEMAND: 'cancelledlowdemand'
+};
@@ -0,0 +1,223 @@
+/**
+ * JST calendar date utilities shared by backend and pages
+ * All availability dates are plain "YYYY-MM-DD" keys for the Japan calendar day.
+ * Calendar math runs on UTC components only, so results do not depend on the
+ * timezone of the server or the browser. Only getJSTToday and toJSTDateKey
+ * look at real instants, and both convert them to the JST calendar day first.
+ */
+
+// JST is UTC+9 all year (no daylight saving time)
+export const JST_OFFSET = 9 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Get today's date in Japan
+ * @param {Date} now - Current instant (defaults to now)
+ * @returns {string} Today's JST date as YYYY-MM-DD
+ */
+export function getJSTToday(now = new Date()) {
+    return toJSTDateKey(now);
+}
+
+/**
+ * Convert an instant to the JST calendar date it falls on
+ * Valid YYYY-MM-DD strings are returned unchanged
+ * @param {Date|string|number} value - Date, timestamp or date key
+ * @returns {string|null} JST date as YYYY-MM-DD, or null if invalid
+ */
+export function toJSTDateKey(value) {
+    if (typeof value === 'string' && DATE_KEY_PATTERN.test(value)) {
+        return isValidDateKey(value) ? value : null;
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+        return null;
+    }
+    return new Date(date.getTime() + JST_OFFSET).toISOString().split('T')[0];
+}
+
+/**
+ * Check if a value is a real calendar date in YYYY-MM-DD format
+ * @param {string} dateKey - Value to check
+ * @returns {boolean} True for valid dates such as 2028-02-29, false for 2027-02-29
+ */
+export function isValidDateKey(dateKey) {
+    return parseDateKey(dateKey) !== null;
+}
+
+/**
+ * Split a date key into its parts
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @returns {Object|null} Year, month (1-12) and day, or null if invalid
+ */
+export function parseDateKey(dateKey) {
+    if (typeof dateKey !== 'string') {
+        return null;
+    }
+
+    const match = dateKey.match(DATE_KEY_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    const year = Number(match[1]);
+    const month = Number(match[2]);
+    const day = Number(match[3]);
+    if (month < 1 || month > 12 || day < 1 || day > getDaysInMonth(year, month)) {
+        return null;
+    }
+
+    return { year, month, day };
+}
+
+/**
+ * Build a date key from its parts
+ * Out of range months and days roll over like Date.UTC (day 0 is the last day of the previous month)
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string} Date as YYYY-MM-DD
+ */
+export function formatDateKey(year, month, day) {
+    return new Date(Date.UTC(year, month - 1, day)).toISOString().split('T')[0];
+}
+
+/**
+ * Check if a year is a leap year in the Gregorian calendar
+ * @param {number} year - Year
+ * @returns {boolean} True if February has 29 days
+ */
+export function isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/**
+ * Get the number of days in a month
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {number} Days in the month
+ */
+export function getDaysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Add days to a date key
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Shifted date as YYYY-MM-DD
+ */
+export function addDays(dateKey, days) {
+    const { year, month, day } = requireDateKey(dateKey);
+    return formatDateKey(year, month, day + days);
+}
+
+/**
+ * Add months to a date key
+ * The day is clamped to the last day of the target month (2028-01-31 + 1 month = 2028-02-29)
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @param {number} months - Months to add (negative to subtract)
+ * @returns {string} Shifted date as YYYY-MM-DD
+ */
+export function addMonths(dateKey, months) {
+    const { year, month, day } = requireDateKey(dateKey);
+    const monthIndex = year * 12 + (month - 1) + months;
+    const targetYear = Math.floor(monthIndex / 12);
+    const targetMonth = monthIndex - targetYear * 12 + 1;
+    return formatDateKey(targetYear, targetMonth, Math.min(day, getDaysInMonth(targetYear, targetMonth)));
+}
+
+/**
+ * Get the first day of the month of a date key
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @returns {string} First day of the month as YYYY-MM-DD
+ */
+export function getMonthStart(dateKey) {
+    const { year, month } = requireDateKey(dateKey);
+    return formatDateKey(year, month, 1);
+}
+
+/**
+ * Get the last day of the month of a date key
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @returns {string} Last day of the month as YYYY-MM-DD
+ */
+export function getMonthEnd(dateKey) {
+    const { year, month } = requireDateKey(dateKey);
+    return formatDateKey(year, month, getDaysInMonth(year, month));
+}
+
+/**
+ * Get the weekday of a date key
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @returns {number} Weekday like Date.getDay() (0 = Sunday, 6 = Saturday)
+ */
+export function getWeekday(dateKey) {
+    return dateKeyToUTCDate(dateKey).getUTCDay();
+}
+
+/**
+ * Count calendar days between two date keys
+ * @param {string} fromKey - Start date as YYYY-MM-DD
+ * @param {string} toKey - End date as YYYY-MM-DD
+ * @returns {number} Days from fromKey to toKey (negative if toKey is earlier)
+ */
+export function diffDays(fromKey, toKey) {
+    return Math.round((dateKeyToUTCDate(toKey).getTime() - dateKeyToUTCDate(fromKey).getTime()) / DAY_MS);
+}
+
+/**
+ * List every date key in an inclusive range
+ * @param {string} fromKey - First date as YYYY-MM-DD
+ * @param {string} toKey - Last date as YYYY-MM-DD
+ * @returns {Array} Date keys in ascending order, empty if toKey is before fromKey
+ */
+export function eachDateKey(fromKey, toKey) {
+    const dateKeys = [];
+    for (let dateKey = fromKey; dateKey <= toKey; dateKey = addDays(dateKey, 1)) {
+        dateKeys.push(dateKey);
+    }
+    return dateKeys;
+}
+
+/**
+ * Convert a date key to a Date at 00:00 UTC of that day
+ * For APIs that still take Date objects; compare with UTC getters only
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @returns {Date} Date at midnight UTC
+ */
+export function dateKeyToUTCDate(dateKey) {
+    const { year, month, day } = requireDateKey(dateKey);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Get the instant of a JST wall clock time on a date
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @param {string} time - Time as HH:MM (defaults to midnight)
+ * @returns {Date} Instant of that time in Japan
+ */
+export function toJSTInstant(dateKey, time = '00:00') {
+    const { year, month, day } = requireDateKey(dateKey);
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time));
+    if (!match) {
+        throw new Error(`Invalid time: ${time}, expected HH:MM`);
+    }
+    return new Date(Date.UTC(year, month - 1, day, Number(match[1]), Number(match[2])) - JST_OFFSET);
+}
+
+/**
+ * Parse a date key or throw
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @returns {Object} Year, month (1-12) and day
+ */
+function requireDateKey(dateKey) {
+    const parts = parseDateKey(dateKey);
+    if (!parts) {
+        throw new Error(`Invalid date key: ${dateKey}`);
+    }
+    return parts;
+}